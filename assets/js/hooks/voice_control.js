@@ -6,9 +6,9 @@
  * (Voice Activity Detection) for efficient, privacy-first voice control.
  *
  * Designed for continuous 4+ hour recording sessions where the host can
- * say "show number [N]" at any time during natural conversation to switch
- * to product N. Uses a specific trigger phrase to avoid false positives
- * from numbers spoken in other contexts.
+ * say "show number [N]", "next product" or "go back" at any time during
+ * natural conversation to navigate the product set. Commands need a trigger
+ * phrase to avoid false positives from numbers spoken in other contexts.
  *
  * @module VoiceControl
  * @requires @ricky0123/vad-web - Voice Activity Detection library
@@ -21,30 +21,46 @@
  *
  * 2. **Rolling Buffer** - Maintains last 5 seconds of audio
  *    - Continuously collects frames regardless of speech boundaries
- *    - Enables number detection within continuous speech
+ *    - Supplies the moments before speech was detected to each stream
  *
- * 3. **Periodic Processing** - Transcribes buffer every 2.5 seconds during speech
+ * 3. **Streaming** - Streams speech to the worker in 0.5 second chunks
  *    - Starts when speech probability exceeds threshold
- *    - Stops after extended silence (~1 second)
- *    - Includes deduplication to prevent repeated jumps
+ *    - Ends after extended silence (~1 second)
+ *    - The worker answers with partial and final words, placed on one
+ *      timeline by their timestamps (see lib/voice/transcript_stream.mjs)
  *
  * 4. **Whisper Worker** - Transcribes audio to text in background thread
- *    - Uses OpenAI Whisper Tiny English model (~40MB, cached)
+ *    - Decodes only audio that isn't settled yet (no overlapping windows)
+ *    - Uses OpenAI Whisper Tiny, Base or Small (~40-250MB, cached), English-only
+ *      or multilingual, picked in the panel
+ *    - Multilingual models take a spoken language (or auto-detect) and can
+ *      translate to English; Spanish and Portuguese commands are understood
  *    - WebGPU accelerated (2-4x faster than CPU)
  *    - Automatic CPU/WASM fallback for unsupported browsers
  *
- * 5. **Command Extraction** - Detects "show number [N]" voice commands
- *    - Trigger phrase: "show number" followed by a number
- *    - Handles words: "show number twenty three" → 23
- *    - Handles digits: "show number 23" → 23
- *    - Works mid-sentence: "...talking about show number 5 and then..." → 5
- *    - Ignores numbers without the trigger phrase (reduces false positives)
- *    - Validates range: 1 to 99 (backend validates against actual product count)
- *    - 5-second deduplication window prevents repeated jumps
+ * 5. **Command Grammar** - Matches transcripts against voice commands
+ *    (see lib/voice/command_grammar.mjs)
+ *    - "show number twenty three" → jump_to_product 23
+ *    - "show the cashmere cardigan" → jump_to_product by name (fuzzy, by
+ *      spelling and sound; ambiguous names offer the top candidates to tap)
+ *    - "next product" / "go back" → next_product / previous_product
+ *    - "next image" / "previous image" → next_image / previous_image
+ *    - "pin this one" → pin_product (marks the current product pinned)
+ *    - Works mid-sentence: "...talking about show number 5 and then..." → 5,
+ *      except everyday phrases like "go back", which must be said on their own
+ *    - Every match has a confidence; weak ones are ignored
+ *    - Triggers configurable per product set
+ *    - Fires as soon as a command's last word is decoded, and once only
+ *      (commands said before the last fired one are skipped by timestamp)
  *
- * 6. **LiveView Integration** - Pushes events to trigger product navigation
- *    - Event: "jump_to_product" with {position: "23"}
- *    - Reuses existing event handler (no server changes needed)
+ * 6. **LiveView Integration** - Pushes each command's event
+ *    - "jump_to_product" with {position: "23"}, "next_product", ...
+ *    - Reuses the controller's existing event handlers
+ *
+ * 7. **Transcript Log** - Rolling transcript of what was heard in the panel
+ *    (see lib/voice/transcript_log.mjs)
+ *    - Words of matched commands highlighted (fired, failed or ignored)
+ *    - Session transcript exportable as text or JSON for post-stream review
  *
  * ## Usage
  *
@@ -55,6 +71,8 @@
  *   phx-hook="VoiceControl"
  *   phx-update="ignore"
  *   data-total-products={@total_products}
+ *   data-voice-commands={Jason.encode!(@product_set.voice_commands)}
+ *   data-voice-products={Jason.encode!(@voice_products)}
  * >
  * </div>
  * ```
@@ -68,6 +86,10 @@
  * ## Data Attributes
  *
  * - `data-total-products` (optional) - Total product count (not used for validation; backend handles range checking)
+ * - `data-voice-commands` (optional) - JSON grammar config for the product set, e.g.
+ *   `{"next_product": {"triggers": ["next look"]}, "next_image": false}`
+ * - `data-voice-products` (optional) - JSON `[{position, name, aliases}]` for jumps by product name
+ * - `data-voice-min-confidence` (optional) - Ignore matches below this confidence (default 0.6)
  *
  * ## Keyboard Shortcuts
  *
@@ -78,12 +100,12 @@
  * - 100% local processing (no cloud/CDN dependencies at runtime)
  * - No audio sent to external servers
  * - Models cached in IndexedDB
- * - Microphone preference saved in localStorage
+ * - Microphone, model and language preferences saved in localStorage
  *
  * ## Performance
  *
  * - Memory: ~150-200MB (models + runtime)
- * - Latency: 0.5-2s per utterance (WebGPU: 0.5-1s, CPU: 1-2s)
+ * - Latency: 0.5-1.5s from the end of a command (WebGPU: 0.5-1s, CPU: 1-1.5s)
  * - Network: ~42MB first load (cached), 0 bytes thereafter
  *
  * ## Browser Support
@@ -96,6 +118,11 @@
  * @see VOICE_CONTROL_PLAN.md - Complete implementation documentation
  */
 
+import { createGrammar, matchCommands } from '../lib/voice/command_grammar.mjs'
+import { createProductNameParser } from '../lib/voice/product_names.mjs'
+import { SAMPLE_RATE, pauseIndexes, readyCommands } from '../lib/voice/transcript_stream.mjs'
+import { createTranscriptLog, formatTime } from '../lib/voice/transcript_log.mjs'
+
 // Lazy-loaded VAD library (reduces main bundle by ~50-100KB)
 let MicVAD = null
 
@@ -106,6 +133,28 @@ async function loadVAD() {
   return MicVAD
 }
 
+// Whisper models for the panel's picker (downloaded once, then cached)
+const MODELS = [
+  { id: 'Xenova/whisper-tiny.en', label: 'Tiny · English (~40MB)' },
+  { id: 'Xenova/whisper-tiny', label: 'Tiny · Multilingual (~40MB)' },
+  { id: 'Xenova/whisper-base.en', label: 'Base · English (~75MB)' },
+  { id: 'Xenova/whisper-base', label: 'Base · Multilingual (~75MB)' },
+  { id: 'Xenova/whisper-small.en', label: 'Small · English (~250MB)' },
+  { id: 'Xenova/whisper-small', label: 'Small · Multilingual (~250MB)' }
+]
+const DEFAULT_MODEL = 'Xenova/whisper-tiny.en'
+
+// Spoken languages for multilingual models: Whisper's language and task, and
+// the grammar languages that read the transcript (translations are English)
+const LANGUAGES = [
+  { id: 'auto', label: 'Auto-detect language', language: null, task: 'transcribe', grammar: ['en', 'es', 'pt'] },
+  { id: 'en', label: 'English', language: 'en', task: 'transcribe', grammar: ['en'] },
+  { id: 'es', label: 'Español', language: 'es', task: 'transcribe', grammar: ['es', 'en'] },
+  { id: 'pt', label: 'Português', language: 'pt', task: 'transcribe', grammar: ['pt', 'en'] },
+  { id: 'es-translate', label: 'Español → English', language: 'es', task: 'translate', grammar: ['en'] },
+  { id: 'pt-translate', label: 'Português → English', language: 'pt', task: 'translate', grammar: ['en'] }
+]
+
 /**
  * Phoenix LiveView hook for voice-activated product navigation
  * @type {Object}
@@ -124,7 +173,6 @@ export default {
     this.vad = null;
     this.worker = null;
     this.modelReady = false;
-    this.isProcessing = false; // Back-pressure: prevent overlapping transcriptions
     this.isCollapsed = localStorage.getItem('pavoi_voice_collapsed') === 'true';
     this.microphonesLoaded = false; // Track if microphones have been enumerated
 
@@ -133,17 +181,47 @@ export default {
     this.audioBuffer = new Float32Array(this.bufferMaxSamples);
     this.bufferWriteIndex = 0;          // Next write position in ring buffer
     this.bufferLength = 0;              // Current number of valid samples
-    this.processInterval = null;        // Timer for periodic processing
-    this.processingIntervalMs = 2500;   // Process every 2.5 seconds
+    this.samplesSeen = 0;               // Session timeline, in samples
     this.speechActive = false;          // Track if speech is currently detected
     this.speechThreshold = 0.5;         // VAD probability threshold
     this.silenceFrameCount = 0;         // Count consecutive silence frames
     this.silenceFrameThreshold = 30;    // ~1 second of silence to stop (30 frames at ~30fps)
 
-    // Number deduplication
-    this.lastDetectedNumber = null;
-    this.lastDetectionTime = 0;
-    this.deduplicationWindowMs = 5000;  // Ignore same number within 5 seconds
+    // Whisper model and spoken language (saved like the microphone)
+    const savedModel = localStorage.getItem('pavoi_voice_model');
+    this.modelId = MODELS.some(m => m.id === savedModel) ? savedModel : DEFAULT_MODEL;
+    const savedLanguage = localStorage.getItem('pavoi_voice_language');
+    this.languageId = LANGUAGES.some(l => l.id === savedLanguage) ? savedLanguage : 'auto';
+
+    // Command grammar (per product set and language) and matching threshold
+    this.grammarConfig = this.parseGrammarConfig();
+    this.productNameParser = createProductNameParser(this.parseProducts());
+    this.buildGrammar();
+    const minConfidence = parseFloat(this.el.dataset.voiceMinConfidence);
+    this.minConfidence = Number.isNaN(minConfidence) ? 0.6 : minConfidence;
+
+    // Streaming to the worker
+    this.streamId = null;               // Current stream (null between utterances)
+    this.nextStreamId = 1;
+    this.streamFrames = [];             // Frames recorded since the last chunk
+    this.streamInterval = null;         // Timer for sending chunks
+    this.streamChunkMs = 500;           // Send audio every 0.5 seconds
+    this.prerollSamples = 8000;         // ~0.5s from before speech was detected
+
+    // Stitched transcript: recent final words (for commands split across
+    // decodes) and where the last fired command ended, in session seconds
+    this.settledWords = [];
+    this.contextWords = 12;
+    this.firedUntil = -Infinity;
+
+    // Session transcript (all of it, for export) and its last lines on screen
+    this.transcriptLog = createTranscriptLog();
+    this.transcriptLineEls = new Map();
+    this.maxTranscriptLineEls = 100;
+
+    // Candidates offered for an ambiguous product name
+    this.candidatesTimeout = null;
+    this.candidatesTimeoutMs = 15000;   // Hide unpicked candidates after 15 seconds
 
     // Waveform visualization
     this.audioContext = null;
@@ -156,7 +234,7 @@ export default {
 
     // Mobile reliability: periodic worker restart (mitigates WebGPU memory leak)
     this.transcriptionCount = 0;
-    this.maxTranscriptionsBeforeRestart = 500; // ~20 min at 2.5s intervals
+    this.maxTranscriptionsBeforeRestart = 1500; // Decodes; ~20 min of speech
 
     // Mobile reliability: wake lock
     this.wakeLock = null;
@@ -182,6 +260,54 @@ export default {
     this.toggleBtn.disabled = true;
   },
 
+  /**
+   * The spoken language in effect (English-only models are always English)
+   */
+  currentLanguage() {
+    const id = this.modelId.endsWith('.en') ? 'en' : this.languageId;
+    return LANGUAGES.find(l => l.id === id);
+  },
+
+  /**
+   * (Re)build the command grammar for the current language
+   */
+  buildGrammar() {
+    this.grammar = createGrammar(this.grammarConfig, {
+      parsers: { product_name: this.productNameParser },
+      languages: this.currentLanguage().grammar
+    });
+  },
+
+  /**
+   * Read the product set's grammar config from data-voice-commands
+   */
+  parseGrammarConfig() {
+    const raw = this.el.dataset.voiceCommands;
+    if (!raw) return {};
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('[VoiceControl] Invalid data-voice-commands, using default grammar:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Read the product set's names from data-voice-products
+   */
+  parseProducts() {
+    const raw = this.el.dataset.voiceProducts;
+    if (!raw) return [];
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('[VoiceControl] Invalid data-voice-products, jumps by name disabled:', error);
+      return [];
+    }
+  },
+
   /**
    * Initialize the Whisper Web Worker
    */
@@ -213,19 +339,20 @@ export default {
           this.waveformContainer.style.display = '';
           break;
 
-        case 'transcript':
+        case 'partial':
+        case 'final':
           // Reset error counter on success
           this.consecutiveErrors = 0;
 
+          this.handleStreamWords(data.id, data.words, { settled: type === 'final', done: Boolean(data.done) });
+
           // Track transcription count for periodic worker restart
+          // (between utterances only, so no speech is lost)
           this.transcriptionCount++;
-          if (this.transcriptionCount >= this.maxTranscriptionsBeforeRestart) {
+          if (data.done && this.transcriptionCount >= this.maxTranscriptionsBeforeRestart) {
             console.log('[VoiceControl] Preventive worker restart for memory management');
             this.restartWorker();
           }
-
-          this.handleTranscript(data.text);
-          this.isProcessing = false;
           break;
 
         case 'error':
@@ -238,7 +365,6 @@ export default {
           } else {
             this.handleError(data.message);
           }
-          this.isProcessing = false;
           break;
       }
     };
@@ -249,11 +375,14 @@ export default {
     };
 
     // Load model with device detection
+    const { language, task } = this.currentLanguage();
     this.worker.postMessage({
       type: 'load_model',
       data: {
-        model: 'Xenova/whisper-tiny.en',
-        device: this.detectDevice()
+        model: this.modelId,
+        device: this.detectDevice(),
+        language,
+        task
       }
     });
   },
@@ -296,7 +425,7 @@ export default {
       <div class="voice-control-panel${this.isCollapsed ? ' controller-panel--collapsed' : ''}">
         <div class="controller-panel__header" id="voice-header">
           <span class="controller-panel__title">Voice Control</span>
-          <span class="voice-control-hint voice-control-hint--hidden">Say "show number ..." to jump to a product</span>
+          <span class="voice-control-hint voice-control-hint--hidden">Say "show number ...", "next product" or "go back"</span>
           <div class="voice-control-actions">
             <button type="button" id="voice-toggle" class="voice-toggle-btn" disabled>
               <span class="text">Loading model...</span>
@@ -324,6 +453,31 @@ export default {
             </div>
           </div>
         </div>
+
+        <!-- Model and language -->
+        <div class="voice-settings">
+          <select id="model-select" aria-label="Speech model">
+            ${MODELS.map(m => `<option value="${m.id}">${m.label}</option>`).join('')}
+          </select>
+          <select id="language-select" aria-label="Spoken language">
+            ${LANGUAGES.map(l => `<option value="${l.id}">${l.label}</option>`).join('')}
+          </select>
+        </div>
+
+        <!-- Candidates for an ambiguous product name -->
+        <div class="voice-candidates voice-candidates--hidden"></div>
+
+        <!-- Rolling transcript of what was heard -->
+        <div class="voice-transcript-log">
+          <div class="voice-transcript-log__header">
+            <span class="voice-transcript-log__title">Transcript</span>
+            <button type="button" class="voice-transcript-log__export" data-export="text">Export .txt</button>
+            <button type="button" class="voice-transcript-log__export" data-export="json">.json</button>
+          </div>
+          <div class="voice-transcript" role="log" aria-live="off">
+            <div class="voice-transcript__empty">Nothing heard yet</div>
+          </div>
+        </div>
       </div>
     `;
 
@@ -332,8 +486,15 @@ export default {
     this.header = this.el.querySelector('#voice-header');
     this.toggleBtn = this.el.querySelector('#voice-toggle');
     this.micSelect = this.el.querySelector('#mic-select');
+    this.modelSelect = this.el.querySelector('#model-select');
+    this.languageSelect = this.el.querySelector('#language-select');
+    this.modelSelect.value = this.modelId;
+    this.languageSelect.value = this.languageId;
+    this.updateLanguageSelect();
     this.statusEl = this.el.querySelector('#voice-status');
     this.hintEl = this.el.querySelector('.voice-control-hint');
+    this.candidatesEl = this.el.querySelector('.voice-candidates');
+    this.transcriptEl = this.el.querySelector('.voice-transcript');
     this.waveformContainer = this.el.querySelector('.voice-waveform');
     this.waveformCanvas = this.el.querySelector('#waveform-canvas');
     this.waveformCtx = this.waveformCanvas.getContext('2d');
@@ -358,6 +519,17 @@ export default {
       this.toggleCollapse();
     });
 
+    this.candidatesEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-position]');
+      if (!button) return;
+      this.clearCandidates();
+      this.jumpToProduct({ position: button.dataset.position }, button.dataset.position);
+    });
+
+    this.el.querySelectorAll('[data-export]').forEach((button) => {
+      button.addEventListener('click', () => this.exportTranscript(button.dataset.export));
+    });
+
     this.micSelect.addEventListener('change', () => {
       const selectedMic = this.micSelect.value;
       localStorage.setItem('pavoi_voice_mic', selectedMic);
@@ -368,6 +540,24 @@ export default {
       }
     });
 
+    this.modelSelect.addEventListener('change', () => {
+      this.modelId = this.modelSelect.value;
+      localStorage.setItem('pavoi_voice_model', this.modelId);
+      this.updateLanguageSelect();
+      this.buildGrammar();
+      this.changeModel();
+    });
+
+    this.languageSelect.addEventListener('change', () => {
+      this.languageId = this.languageSelect.value;
+      localStorage.setItem('pavoi_voice_language', this.languageId);
+      this.buildGrammar();
+
+      // Takes effect from the next decode, no reload needed
+      const { language, task } = this.currentLanguage();
+      this.worker?.postMessage({ type: 'configure', data: { language, task } });
+    });
+
     // Keyboard shortcut: Ctrl/Cmd + M
     this.keyboardHandler = (e) => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'm') {
@@ -600,14 +790,10 @@ export default {
           // Note: actual speech handling now done in handleFrame()
         },
 
-        // Called when VAD detects speech end (backup processing)
-        onSpeechEnd: (audio) => {
+        // Called when VAD detects speech end (kept for logging)
+        onSpeechEnd: () => {
           console.log('[VoiceControl] VAD speech end event');
-          // Process the VAD-segmented audio as a backup
-          // (periodic processing should have already caught any numbers)
-          if (!this.isProcessing && audio.length > 8000) {
-            this.processAudio(audio);
-          }
+          // Note: the stream already carries this audio
         },
 
         // Called on false positives (ignored)
@@ -648,8 +834,8 @@ export default {
   stop({ keepStatus = false } = {}) {
     console.log('[VoiceControl] Stopping voice control...');
 
-    // Stop periodic processing
-    this.stopPeriodicProcessing();
+    // Close the stream (its last words are ignored once stopped)
+    this.endStream();
 
     this.stopWaveformAnimation();
     this.cleanupAudioAnalysis();
@@ -665,7 +851,6 @@ export default {
 
     // Reset state
     this.isActive = false;
-    this.isProcessing = false;
     this.speechActive = false;
     this.silenceFrameCount = 0;
 
@@ -673,9 +858,8 @@ export default {
     this.bufferWriteIndex = 0;
     this.bufferLength = 0;
 
-    // Reset deduplication (allow fresh detection on restart)
-    this.lastDetectedNumber = null;
-    this.lastDetectionTime = 0;
+    // Forget unfinished phrases (a command can't span a restart)
+    this.settledWords = [];
 
     this.toggleBtn.classList.remove('active');
     this.toggleBtn.querySelector('.text').textContent = 'Start';
@@ -696,6 +880,33 @@ export default {
     await this.start();
   },
 
+  /**
+   * English-only models can't take a language: show English, disabled
+   */
+  updateLanguageSelect() {
+    const englishOnly = this.modelId.endsWith('.en');
+    this.languageSelect.disabled = englishOnly;
+    this.languageSelect.value = englishOnly ? 'en' : this.languageId;
+  },
+
+  /**
+   * Load the picked model, resuming listening once it's ready
+   */
+  async changeModel() {
+    console.log(`[VoiceControl] Switching model to ${this.modelId}`);
+    const wasActive = this.isActive;
+    if (wasActive) {
+      this.stop({ keepStatus: true });
+    }
+
+    this.updateStatus('loading', 'Loading model...');
+    await this.restartWorker();
+
+    if (wasActive) {
+      await this.start();
+    }
+  },
+
   /**
    * Restart the Whisper worker to reclaim GPU memory
    * Mitigates the WebGPU memory leak in Transformers.js v3
@@ -715,6 +926,10 @@ export default {
     this.transcriptionCount = 0;
     this.consecutiveErrors = 0;
 
+    // The new worker doesn't know the current stream; the next chunk starts one
+    this.streamId = null;
+    this.streamFrames = [];
+
     // Create new worker - model will reload from IndexedDB cache (fast)
     this.setupWorker();
 
@@ -733,31 +948,6 @@ export default {
     console.log('[VoiceControl] Worker restarted successfully');
   },
 
-  /**
-   * Process audio chunk through Whisper (VAD fallback path)
-   */
-  processAudio(audioData) {
-    // Back-pressure: don't send new audio if still processing
-    if (this.isProcessing) {
-      console.log('[VoiceControl] Already processing, skipping chunk');
-      return;
-    }
-
-    this.isProcessing = true;
-    // Keep showing waveform during background processing (don't show "Processing...")
-
-    // Convert Float32Array to regular array for worker transfer
-    const audioArray = Array.from(audioData);
-
-    console.log(`[VoiceControl] Sending ${audioArray.length} samples to worker (VAD fallback)`);
-
-    // Send to worker for transcription
-    this.worker.postMessage({
-      type: 'transcribe',
-      data: { audio: audioArray }
-    });
-  },
-
   /**
    * Append audio frame to ring buffer
    * Uses fixed-size Float32Array to avoid GC pressure over long sessions
@@ -779,6 +969,12 @@ export default {
   handleFrame(probabilities, frame) {
     // Always append to rolling buffer
     this.appendToBuffer(frame);
+    this.samplesSeen += frame.length;
+
+    // Frames are reused by the VAD, so stream a copy
+    if (this.streamId) {
+      this.streamFrames.push(new Float32Array(frame));
+    }
 
     const isSpeaking = probabilities.isSpeech > this.speechThreshold;
 
@@ -792,293 +988,319 @@ export default {
         this.speechActive = true;
         this.updateStatus('listening', 'Listening...');
         this.startWaveformAnimation();
-        this.startPeriodicProcessing();
+        this.startStream();
       }
     } else {
       // Silence detected
       if (this.speechActive) {
         this.silenceFrameCount++;
 
-        // Check if silence has persisted long enough to stop processing
+        // Check if silence has persisted long enough to end the stream
         if (this.silenceFrameCount >= this.silenceFrameThreshold) {
-          console.log('[VoiceControl] Extended silence detected, pausing periodic processing');
+          console.log('[VoiceControl] Extended silence detected, ending stream');
           this.speechActive = false;
-          this.stopPeriodicProcessing();
-
-          // Process any remaining buffer one final time
-          if (this.bufferLength > 8000) {
-            this.processBufferedAudio();
-          }
+          this.endStream();
         }
       }
     }
   },
 
   /**
-   * Start periodic processing timer
-   * Processes audio buffer every N milliseconds during speech
+   * Start streaming speech to the worker
+   * Sends the moments before speech was detected, then a chunk every streamChunkMs
    */
-  startPeriodicProcessing() {
-    if (this.processInterval) return;
+  startStream() {
+    if (!this.streamInterval) {
+      this.streamInterval = setInterval(() => this.flushStream(), this.streamChunkMs);
+    }
 
-    console.log(`[VoiceControl] Starting periodic processing every ${this.processingIntervalMs}ms`);
+    // Wait for the model (e.g. while the worker restarts); flushStream retries
+    if (!this.modelReady || !this.worker) return;
 
-    this.processInterval = setInterval(() => {
-      if (this.bufferLength < 8000) {
-        // Skip if less than 0.5 seconds of audio
-        return;
-      }
-      this.processBufferedAudio();
-    }, this.processingIntervalMs);
+    this.streamId = this.nextStreamId++;
+    this.streamFrames = [];
+
+    const preroll = this.readBuffer(this.prerollSamples);
+    const startTime = (this.samplesSeen - preroll.length) / SAMPLE_RATE;
+
+    console.log(`[VoiceControl] Starting stream ${this.streamId} every ${this.streamChunkMs}ms`);
+
+    this.worker.postMessage({ type: 'stream_start', data: { id: this.streamId, startTime } });
+    this.worker.postMessage(
+      { type: 'stream_chunk', data: { id: this.streamId, audio: preroll } },
+      [preroll.buffer]
+    );
   },
 
   /**
-   * Stop periodic processing timer
+   * Send the frames recorded since the last chunk
    */
-  stopPeriodicProcessing() {
-    if (this.processInterval) {
-      console.log('[VoiceControl] Stopping periodic processing');
-      clearInterval(this.processInterval);
-      this.processInterval = null;
+  flushStream() {
+    if (!this.streamId) {
+      this.startStream();
+      return;
+    }
+    if (this.streamFrames.length === 0) return;
+
+    const length = this.streamFrames.reduce((sum, frame) => sum + frame.length, 0);
+    const audio = new Float32Array(length);
+    let offset = 0;
+    for (const frame of this.streamFrames) {
+      audio.set(frame, offset);
+      offset += frame.length;
     }
+    this.streamFrames = [];
+
+    this.worker.postMessage(
+      { type: 'stream_chunk', data: { id: this.streamId, audio } },
+      [audio.buffer]
+    );
   },
 
   /**
-   * Process the current audio buffer through Whisper
+   * Send the last chunk and let the worker settle the stream's words
    */
-  processBufferedAudio() {
-    if (this.isProcessing || this.bufferLength < 8000) {
-      if (this.isProcessing) {
-        console.log('[VoiceControl] Already processing, skipping buffer');
-      }
-      return;
+  endStream() {
+    if (this.streamInterval) {
+      clearInterval(this.streamInterval);
+      this.streamInterval = null;
     }
+    if (!this.streamId) return;
 
-    // Extract samples from ring buffer in correct order
-    const audioData = new Float32Array(this.bufferLength);
-    const startIndex = (this.bufferWriteIndex - this.bufferLength + this.bufferMaxSamples) % this.bufferMaxSamples;
+    this.flushStream();
+    console.log(`[VoiceControl] Ending stream ${this.streamId}`);
+    this.worker.postMessage({ type: 'stream_end', data: { id: this.streamId } });
 
-    for (let i = 0; i < this.bufferLength; i++) {
-      audioData[i] = this.audioBuffer[(startIndex + i) % this.bufferMaxSamples];
-    }
-
-    console.log(`[VoiceControl] Processing buffer: ${audioData.length} samples (~${(audioData.length / 16000).toFixed(1)}s)`);
+    this.streamId = null;
+    this.streamFrames = [];
+  },
 
-    this.isProcessing = true;
-    // Keep showing waveform during background processing (don't show "Processing...")
+  /**
+   * Copy the last `samples` samples out of the ring buffer, oldest first
+   */
+  readBuffer(samples) {
+    const length = Math.min(samples, this.bufferLength);
+    const audioData = new Float32Array(length);
+    const startIndex = (this.bufferWriteIndex - length + this.bufferMaxSamples) % this.bufferMaxSamples;
 
-    this.worker.postMessage({
-      type: 'transcribe',
-      data: { audio: Array.from(audioData) }
-    });
+    for (let i = 0; i < length; i++) {
+      audioData[i] = this.audioBuffer[(startIndex + i) % this.bufferMaxSamples];
+    }
+    return audioData;
   },
 
   /**
-   * Handle transcript from Whisper
-   * Includes deduplication to prevent repeated jumps during continuous speech
+   * Handle partial or final words from the worker
+   * Fires each command once, as soon as it is complete (see readyCommands)
    */
-  handleTranscript(text) {
-    console.log('[VoiceControl] Transcript:', text);
-
-    // Extract number from transcript
-    const number = this.extractNumber(text);
-
-    // Support all two-digit numbers (1-99) to match keyboard shortcuts
-    // Backend will validate against actual product count
-    if (number !== null && number >= 1 && number <= 99) {
-      // Deduplication: check if this is the same number detected recently
-      const now = Date.now();
-      const isDuplicate = (
-        number === this.lastDetectedNumber &&
-        (now - this.lastDetectionTime) < this.deduplicationWindowMs
-      );
+  handleStreamWords(id, words, { settled, done = false }) {
+    // Words from a stream closed by Stop
+    if (!this.isActive) return;
 
-      if (isDuplicate) {
-        console.log(`[VoiceControl] Ignoring duplicate: ${number} (within ${this.deduplicationWindowMs}ms window)`);
-        // Resume listening without showing error
-        if (this.isActive && this.speechActive) {
-          this.updateStatus('listening', 'Listening...');
-        }
-        return;
-      }
+    const line = this.transcriptLog.addWords(id, words, { settled });
 
-      // Update deduplication tracking
-      this.lastDetectedNumber = number;
-      this.lastDetectionTime = now;
-
-      // Keep waveform showing while we send request
-      console.log(`[VoiceControl] Requesting jump to product ${number}`);
+    let view;
+    if (settled) {
+      this.settledWords = this.settledWords.concat(words).slice(-this.contextWords);
+      view = this.settledWords;
+    } else {
+      view = this.settledWords.concat(words);
+    }
 
-      // Push event to LiveView with reply callback
-      this.pushEvent("jump_to_product", { position: number.toString() }, (reply) => {
-        if (reply.success) {
-          // Briefly show success, then return to listening
-          this.updateStatus('success', `→ ${reply.position}`);
-          console.log(`[VoiceControl] Successfully jumped to product ${reply.position}`);
-        } else {
-          this.updateStatus('error', reply.error || `Product ${number} not found`);
-          console.warn(`[VoiceControl] Jump failed: ${reply.error}`);
-        }
+    if (words.length > 0) {
+      console.log(`[VoiceControl] ${settled ? 'Final' : 'Partial'}:`, words.map(w => w.text).join(' '));
+    }
 
-        // Return to listening quickly (waveform keeps running)
-        setTimeout(() => {
-          if (this.isActive) {
-            this.updateStatus('listening', 'Listening...');
-          }
-        }, 1000);
-      });
+    // Pauses mark where standalone commands ("go back") may start and end
+    const pauses = pauseIndexes(view, { ended: settled && done });
+    const matches = matchCommands(view.map(w => w.text).join(' '), this.grammar, { pauses });
+    const timesOf = (match) => ({ start: view[match.start].start, end: view[match.end - 1].end });
 
-    } else {
-      // No valid number detected - this is normal during continuous speech
-      // Only log, don't show error to user (too noisy during continuous mode)
-      if (text && text.trim()) {
-        console.log(`[VoiceControl] No number in transcript: "${text.substring(0, 50)}..."`);
+    // Keep weak matches in the log (once, when their words settle) to review missed commands
+    if (settled && words.length > 0) {
+      for (const match of matches) {
+        if (match.confidence < this.minConfidence && view[match.start].start >= words[0].start) {
+          this.transcriptLog.addCommand(match, timesOf(match), 'ignored');
+        }
       }
+    }
 
-      // Resume listening state if still active
-      if (this.isActive && this.speechActive) {
-        this.updateStatus('listening', 'Listening...');
-      }
+    const strong = matches.filter(m => m.confidence >= this.minConfidence);
+    for (const match of readyCommands(strong, view, { settled, firedUntil: this.firedUntil })) {
+      this.firedUntil = view[match.end - 1].end;
+      console.log(`[VoiceControl] Matched "${match.phrase}" → ${match.event} (confidence ${match.confidence})`);
+      const entry = this.transcriptLog.addCommand(match, timesOf(match), match.candidates ? 'ambiguous' : 'fired');
+      this.executeCommand(match, entry);
     }
+
+    if (line) this.renderTranscriptLine(line);
   },
 
   /**
-   * Extract product number from "show number [N]" command in transcript
-   *
-   * Only triggers on the specific phrase "show number" followed by a number.
-   * This allows the command to be embedded in continuous speech without
-   * false positives from numbers spoken in other contexts.
-   *
-   * Handles:
-   * - "show number 5" → 5
-   * - "show number twenty three" → 23
-   * - "...talking about something show number 12 and then more talking..." → 12
-   * - "show number five" → 5
-   *
-   * Does NOT trigger on:
-   * - "the price is 5 dollars" (no "show number" prefix)
-   * - "I have 23 items" (no "show number" prefix)
-   * - "show me the product" (no number following)
+   * Push a matched command's event to LiveView
    */
-  extractNumber(text) {
-    if (!text) return null;
-
-    // Normalize the text for pattern matching
-    const normalized = text.toLowerCase()
-      .replace(/[.,!?;:]+/g, ' ')  // Replace punctuation with spaces
-      .replace(/\s+/g, ' ')        // Normalize whitespace
-      .trim();
-
-    // Pattern: "show number" followed by digits or number words
-    // The (?:^|\\s) ensures we match "show" as a word boundary
-    // Looking for: "show number 5" or "show number five" or "show number twenty three"
-
-    // First, try to find "show number" followed by digits
-    const digitPattern = /(?:^|\s)show\s+number\s+(\d+)/i;
-    const digitMatch = normalized.match(digitPattern);
-    if (digitMatch) {
-      const num = parseInt(digitMatch[1]);
-      if (num > 0) {
-        console.log(`[VoiceControl] Matched "show number ${num}" (digit)`);
-        return num;
-      }
+  executeCommand(match, entry = null) {
+    this.clearCandidates();
+
+    // Ambiguous product name: let the host pick instead of guessing
+    if (match.candidates) {
+      this.showCandidates(match.candidates);
+      return;
     }
 
-    // Next, try to find "show number" followed by word numbers
-    // We need to extract the text after "show number" and parse it
-    const wordPattern = /(?:^|\s)show\s+number\s+([a-z][a-z\s]*)/i;
-    const wordMatch = normalized.match(wordPattern);
-    if (wordMatch) {
-      // Extract just the number words (stop at non-number words)
-      const afterShowNumber = wordMatch[1].trim();
-      const numberWords = this.extractNumberWords(afterShowNumber);
-
-      if (numberWords) {
-        const num = this.wordsToNumber(numberWords);
-        if (num !== null && num > 0) {
-          console.log(`[VoiceControl] Matched "show number ${numberWords}" → ${num}`);
-          return num;
-        }
-      }
+    if (match.event === 'jump_to_product') {
+      this.jumpToProduct(match.payload, match.value, entry);
+      return;
     }
 
-    return null;
+    this.pushEvent(match.event, match.payload);
+    this.updateStatus('success', `→ ${match.phrase}`);
+    this.resumeListening();
   },
 
   /**
-   * Extract number words from the beginning of a string
-   * Stops when encountering non-number words
-   *
-   * "twenty three and then" → "twenty three"
-   * "five more things" → "five"
-   * "hello world" → null
+   * Jump to a product, showing the server's answer
    */
-  extractNumberWords(text) {
-    const numberWordSet = new Set([
-      'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
-      'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
-      'seventeen', 'eighteen', 'nineteen',
-      'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety',
-      'hundred'
-    ]);
-
-    const words = text.split(/\s+/);
-    const numberWords = [];
-
-    for (const word of words) {
-      if (numberWordSet.has(word)) {
-        numberWords.push(word);
+  jumpToProduct(payload, label, entry = null) {
+    // Push event to LiveView with reply callback
+    this.pushEvent('jump_to_product', payload, (reply) => {
+      if (reply.success) {
+        // Briefly show success, then return to listening
+        this.updateStatus('success', `→ ${reply.position}`);
+        console.log(`[VoiceControl] Successfully jumped to product ${reply.position}`);
       } else {
-        // Stop at first non-number word
-        break;
+        this.updateStatus('error', reply.error || `Product ${label} not found`);
+        console.warn(`[VoiceControl] Jump failed: ${reply.error}`);
+        if (entry) this.markCommandFailed(entry, reply.error || 'Product not found');
       }
-    }
-
-    return numberWords.length > 0 ? numberWords.join(' ') : null;
+      this.resumeListening();
+    });
   },
 
   /**
-   * Simple word-to-number conversion for common spoken numbers
-   * Handles numbers 1-999
+   * Return to listening shortly after a command (waveform keeps running)
    */
-  wordsToNumber(text) {
-    const ones = {
-      'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
-      'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
-      'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
-      'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
-      'eighteen': 18, 'nineteen': 19
-    };
+  resumeListening() {
+    setTimeout(() => {
+      if (this.isActive) {
+        this.updateStatus('listening', 'Listening...');
+      }
+    }, 1000);
+  },
 
-    const tens = {
-      'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
-      'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90
-    };
+  /**
+   * Offer the products an ambiguous name could mean, for a one-tap confirm
+   */
+  showCandidates(candidates) {
+    this.candidatesEl.replaceChildren(
+      ...candidates.map(({ position, name }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'voice-candidate';
+        button.dataset.position = position;
+        // Names are user content: set as text, never HTML
+        button.textContent = `${position} · ${name}`;
+        return button;
+      })
+    );
+    this.candidatesEl.classList.remove('voice-candidates--hidden');
+    this.updateStatus('ready', 'Which product?');
 
-    // Check direct match first
-    if (ones[text] !== undefined) return ones[text];
-    if (tens[text] !== undefined) return tens[text];
+    this.candidatesTimeout = setTimeout(() => {
+      this.clearCandidates();
+      if (this.isActive) {
+        this.updateStatus('listening', 'Listening...');
+      }
+    }, this.candidatesTimeoutMs);
+  },
 
-    // Parse compound numbers like "twenty three" or "one hundred five"
-    const words = text.split(/\s+/);
-    let total = 0;
-    let current = 0;
+  clearCandidates() {
+    if (this.candidatesTimeout) {
+      clearTimeout(this.candidatesTimeout);
+      this.candidatesTimeout = null;
+    }
+    this.candidatesEl.replaceChildren();
+    this.candidatesEl.classList.add('voice-candidates--hidden');
+  },
 
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
+  /**
+   * Record a refused jump and show it in the transcript
+   */
+  markCommandFailed(entry, error) {
+    this.transcriptLog.setStatus(entry, 'failed', error);
+    const line = this.transcriptLog.lines.find(l => this.transcriptLog.commandsIn(l).includes(entry));
+    if (line) this.renderTranscriptLine(line);
+  },
 
-      if (ones[word] !== undefined) {
-        current += ones[word];
-      } else if (tens[word] !== undefined) {
-        current += tens[word];
-      } else if (word === 'hundred' && current > 0) {
-        current *= 100;
+  /**
+   * Draw (or redraw) one transcript line, highlighting command words
+   * Built with text nodes only: transcripts are never HTML
+   */
+  renderTranscriptLine(line) {
+    let lineEl = this.transcriptLineEls.get(line.id);
+    if (!lineEl) {
+      this.transcriptEl.querySelector('.voice-transcript__empty')?.remove();
+      lineEl = document.createElement('div');
+      lineEl.className = 'voice-transcript__line';
+      this.transcriptLineEls.set(line.id, lineEl);
+      this.transcriptEl.appendChild(lineEl);
+
+      // Only the last lines stay on screen; the log keeps the rest for export
+      if (this.transcriptLineEls.size > this.maxTranscriptLineEls) {
+        const [oldestId, oldestEl] = this.transcriptLineEls.entries().next().value;
+        oldestEl.remove();
+        this.transcriptLineEls.delete(oldestId);
       }
     }
 
-    total += current;
+    // Follow new lines unless the user scrolled up to read
+    const el = this.transcriptEl;
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 24;
+
+    const time = document.createElement('span');
+    time.className = 'voice-transcript__time';
+    time.textContent = formatTime(line.start);
+
+    const commands = this.transcriptLog.commandsIn(line);
+    const wordEls = line.words.concat(line.partial).map((word, i) => {
+      const span = document.createElement('span');
+      span.textContent = word.text;
+
+      const midpoint = (word.start + word.end) / 2;
+      const command = commands.find(c => midpoint >= c.start && midpoint <= c.end);
+      if (command) {
+        span.className = `voice-transcript__command voice-transcript__command--${command.status}`;
+        span.title = `${command.event} (confidence ${command.confidence}, ${command.status}${command.detail ? `: ${command.detail}` : ''})`;
+      }
+      if (i >= line.words.length) {
+        span.classList.add('voice-transcript__partial');
+      }
+      return span;
+    });
+
+    lineEl.replaceChildren(time, ...wordEls.flatMap(span => [' ', span]));
+
+    if (atBottom) {
+      el.scrollTop = el.scrollHeight;
+    }
+  },
 
-    return total > 0 ? total : null;
+  /**
+   * Download the session transcript for post-stream review
+   */
+  exportTranscript(format) {
+    const json = format === 'json';
+    const content = json
+      ? JSON.stringify(this.transcriptLog.toJSON(), null, 2)
+      : this.transcriptLog.toText();
+
+    const blob = new Blob([content], { type: json ? 'application/json' : 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `voice-transcript-${new Date().toISOString().replace(/[:.]/g, '-')}.${json ? 'json' : 'txt'}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   },
 
   /**
@@ -1270,11 +1492,13 @@ export default {
     const statusText = this.statusEl.querySelector('.status-text');
     statusText.textContent = message;
 
-    // Enable/disable toggle button based on state
+    // Enable/disable toggle button and model picker based on state
     if (state === 'loading') {
       this.toggleBtn.disabled = true;
+      this.modelSelect.disabled = true;
     } else {
       this.toggleBtn.disabled = false;
+      this.modelSelect.disabled = false;
     }
   },
 
@@ -1337,6 +1561,10 @@ export default {
     // Release wake lock
     this.releaseWakeLock();
 
+    if (this.candidatesTimeout) {
+      clearTimeout(this.candidatesTimeout);
+    }
+
     // Remove event listeners
     if (this.keyboardHandler) {
       document.removeEventListener('keydown', this.keyboardHandler);
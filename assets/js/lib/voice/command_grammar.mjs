@@ -0,0 +1,439 @@
+/**
+ * Voice Command Grammar
+ *
+ * Turns Whisper transcripts into product controller commands. A grammar is a
+ * list of commands, each with the trigger phrases that introduce it, an
+ * optional argument parser for what follows the trigger, and the LiveView
+ * event it pushes:
+ *
+ *   "show number twenty three" -> jump_to_product { position: "23" }
+ *   "show the cashmere cardigan" -> jump_to_product { position: "3" }
+ *   "next product"             -> next_product
+ *   "go back"                  -> previous_product
+ *   "next image"               -> next_image
+ *   "pin this one"             -> pin_product
+ *
+ * Every match has a confidence between 0 and 1: triggers heard slightly off
+ * ("show numbers", "nex product") and arguments that are only likely ("show
+ * number to" -> 2) score lower, so callers can ignore weak matches.
+ *
+ * Some triggers are everyday phrases ("go back", "el siguiente") and are
+ * `standalone`: they only count at full confidence as a whole utterance, with
+ * a pause on both sides. Inside other speech ("let's go back to the red one")
+ * they score below any useful threshold.
+ *
+ * Product sets adjust the defaults with a config object (the VoiceControl
+ * hook reads it from `data-voice-commands`), keyed by command name:
+ *
+ *   { "next_product": { "triggers": ["next look", "next product"] }, "next_image": false }
+ *
+ * `triggers` replaces a command's trigger phrases and `false` turns it off.
+ *
+ * Grammars are built for one or more languages (`en`, `es`, `pt`): each adds
+ * its trigger phrases ("siguiente producto", "mostra o número") and number
+ * words ("veintitrés", "vinte e três"). Accents are optional in both.
+ * Commands whose argument parser isn't available are left out (product names
+ * need the product set's names, see product_names.mjs).
+ */
+
+export const DEFAULT_COMMANDS = [
+  {
+    name: 'jump_to_product',
+    event: 'jump_to_product',
+    triggers: ['show number', 'show product', 'product number', 'go to number', 'go to product', 'jump to'],
+    localized: {
+      es: ['muestra el número', 'muestra el producto', 'muestra número', 'producto número', 'ir al número', 'ir al producto'],
+      pt: ['mostra o número', 'mostra o produto', 'mostrar número', 'produto número', 'vai para o número', 'vai para o produto']
+    },
+    argument: 'number'
+  },
+  {
+    name: 'jump_to_product_name',
+    event: 'jump_to_product',
+    triggers: ['show', 'go to', 'jump to', 'pull up', 'switch to'],
+    localized: {
+      es: ['muestra', 'muéstrame', 'ir a'],
+      pt: ['mostra', 'mostrar', 'vai para']
+    },
+    argument: 'product_name',
+    // "show" is too short and common to match when misheard ("how", "so")
+    fuzzy: false
+  },
+  {
+    name: 'next_product',
+    event: 'next_product',
+    triggers: ['next product', 'next item'],
+    localized: {
+      es: ['siguiente producto', 'producto siguiente', 'el siguiente'],
+      pt: ['próximo produto', 'produto seguinte', 'o próximo']
+    },
+    standalone: ['el siguiente', 'o próximo']
+  },
+  {
+    name: 'previous_product',
+    event: 'previous_product',
+    triggers: ['previous product', 'previous one', 'go back'],
+    localized: {
+      es: ['producto anterior', 'el anterior', 'regresa'],
+      pt: ['produto anterior', 'o anterior', 'volta']
+    },
+    standalone: ['previous one', 'go back', 'el anterior', 'regresa', 'o anterior', 'volta']
+  },
+  {
+    name: 'next_image',
+    event: 'next_image',
+    triggers: ['next image', 'next photo', 'next picture'],
+    localized: {
+      es: ['siguiente imagen', 'siguiente foto'],
+      pt: ['próxima imagem', 'próxima foto']
+    }
+  },
+  {
+    name: 'previous_image',
+    event: 'previous_image',
+    triggers: ['previous image', 'previous photo', 'previous picture'],
+    localized: {
+      es: ['imagen anterior', 'foto anterior'],
+      pt: ['imagem anterior', 'foto anterior']
+    }
+  },
+  {
+    name: 'pin_product',
+    event: 'pin_product',
+    triggers: ['pin this one', 'pin this product', 'pin this', 'pin it'],
+    localized: {
+      es: ['fija este', 'fija este producto', 'fíjalo'],
+      pt: ['fixa este', 'fixa esse', 'fixa este produto']
+    }
+  }
+]
+
+// Confidence multiplier for each trigger word heard one letter off
+const FUZZY_WORD_PENALTY = 0.85
+
+// Shortest word that may be matched fuzzily ("next" but not "go")
+const FUZZY_MIN_LENGTH = 4
+
+// Confidence multiplier for a standalone trigger heard inside other speech
+const EMBEDDED_PENALTY = 0.5
+
+// Number words by language, without accents (see fold). `joiner` links tens
+// and ones ("treinta y cinco"); `multiplier` scales what came before it
+const NUMBER_WORDS = {
+  en: {
+    values: {
+      zero: 0, one: 1, two: 2, three: 3, four: 4,
+      five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+      ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+      fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+      eighteen: 18, nineteen: 19,
+      twenty: 20, thirty: 30, forty: 40, fifty: 50,
+      sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    },
+    multiplier: { hundred: 100 },
+    joiner: null
+  },
+  es: {
+    values: {
+      cero: 0, uno: 1, un: 1, una: 1, dos: 2, tres: 3, cuatro: 4,
+      cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+      diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+      dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+      veinte: 20, veintiuno: 21, veintiun: 21, veintidos: 22, veintitres: 23,
+      veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27,
+      veintiocho: 28, veintinueve: 29,
+      treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60,
+      setenta: 70, ochenta: 80, noventa: 90,
+      cien: 100, ciento: 100
+    },
+    multiplier: {},
+    joiner: 'y'
+  },
+  pt: {
+    values: {
+      zero: 0, um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4,
+      cinco: 5, seis: 6, sete: 7, oito: 8, nove: 9,
+      dez: 10, onze: 11, doze: 12, treze: 13, catorze: 14, quatorze: 14,
+      quinze: 15, dezesseis: 16, dezasseis: 16, dezessete: 17, dezassete: 17,
+      dezoito: 18, dezenove: 19, dezanove: 19,
+      vinte: 20, trinta: 30, quarenta: 40, cinquenta: 50, sessenta: 60,
+      setenta: 70, oitenta: 80, noventa: 90,
+      cem: 100, cento: 100
+    },
+    multiplier: {},
+    joiner: 'e'
+  }
+}
+
+export const LANGUAGES = Object.keys(NUMBER_WORDS)
+
+// Words Whisper writes for a spoken number it didn't recognize as one
+const HOMOPHONES = { to: 2, too: 2, for: 4, won: 1, ate: 8 }
+
+// Words allowed between a trigger and its number ("jump to product 5")
+const NUMBER_FILLERS = new Set(['number', 'product', 'item', 'the', 'numero', 'producto', 'produto', 'el', 'o'])
+
+/**
+ * Lowercase, strip punctuation and split a transcript into words
+ */
+export function tokenize(text) {
+  if (!text) return []
+  return text.toLowerCase()
+    .replace(/[.,!?;:"]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+/**
+ * Drop accents, so "número" and "numero" compare equal
+ */
+export function fold(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '')
+}
+
+function numberValue(word, language) {
+  const { values } = NUMBER_WORDS[language]
+  const key = fold(word)
+  return Object.hasOwn(values, key) ? values[key] : null
+}
+
+/**
+ * Take the leading number words from a list of words
+ *
+ * ["twenty", "three", "and", "then"] → "twenty three"
+ * ["treinta", "y", "cinco", "por"], "es" → "treinta y cinco"
+ * ["hello", "world"] → null
+ */
+export function extractNumberWords(words, language = 'en') {
+  const { multiplier, joiner } = NUMBER_WORDS[language]
+  const numberWords = []
+
+  for (let i = 0; i < words.length; i++) {
+    const word = fold(words[i])
+    if (numberValue(word, language) !== null || Object.hasOwn(multiplier, word)) {
+      numberWords.push(word)
+      continue
+    }
+
+    // "y"/"e" only joins tens to ones: "treinta y cinco", not "cinco y seis"
+    const previous = numberValue(numberWords[numberWords.length - 1] || '', language)
+    const next = numberValue(words[i + 1] || '', language)
+    if (word === joiner && previous !== null && previous >= 20 && previous % 10 === 0 && next !== null && next < 10) {
+      numberWords.push(word)
+      continue
+    }
+    break
+  }
+  return numberWords.length > 0 ? numberWords.join(' ') : null
+}
+
+/**
+ * Simple word-to-number conversion for common spoken numbers
+ * Handles numbers 1-999 in English, 1-199 in Spanish and Portuguese
+ */
+export function wordsToNumber(text, language = 'en') {
+  const { multiplier, joiner } = NUMBER_WORDS[language]
+
+  // Compound numbers like "twenty three", "one hundred five" or "vinte e três"
+  let current = 0
+  let found = false
+  for (const word of fold(text).split(/\s+/)) {
+    const value = numberValue(word, language)
+    if (value !== null) {
+      current += value
+      found = true
+    } else if (Object.hasOwn(multiplier, word) && current > 0) {
+      current *= multiplier[word]
+    } else if (word !== joiner) {
+      break
+    }
+  }
+  return found ? current : null
+}
+
+/**
+ * Argument parsers: given the words after a trigger, return
+ * `{ value, payload, confidence, length }` (length = words consumed) or null
+ */
+export const ARGUMENT_PARSERS = {
+  /**
+   * A product position, 1-99, as digits or words ("5", "#5", "twenty three",
+   * "veintitrés") in any of the grammar's languages
+   */
+  number(words, { languages = ['en'] } = {}) {
+    let skipped = 0
+    while (skipped < 2 && words[skipped] !== undefined && NUMBER_FILLERS.has(fold(words[skipped]))) skipped++
+    const rest = words.slice(skipped)
+    if (rest.length === 0) return null
+
+    let value = null
+    let confidence = 1
+    let length = 1
+
+    const digits = rest[0].match(/^#?(\d+)$/)
+    if (digits) {
+      value = parseInt(digits[1], 10)
+    } else {
+      for (const language of languages) {
+        const numberWords = extractNumberWords(rest, language)
+        if (!numberWords) continue
+        value = wordsToNumber(numberWords, language)
+        length = numberWords.split(' ').length
+        confidence = 0.95
+        break
+      }
+      if (value === null && languages.includes('en') && Object.hasOwn(HOMOPHONES, rest[0])) {
+        value = HOMOPHONES[rest[0]]
+        confidence = 0.6
+      }
+    }
+
+    // Two-digit positions, like the keyboard shortcuts; the server checks the product exists
+    if (value === null || value < 1 || value > 99) return null
+    return { value, payload: { position: value.toString() }, confidence, length: skipped + length }
+  }
+}
+
+function editDistanceAtMostOne(a, b) {
+  if (a === b) return true
+  if (Math.abs(a.length - b.length) > 1) return false
+
+  let i = 0
+  let j = 0
+  let edits = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++
+      j++
+      continue
+    }
+    if (++edits > 1) return false
+    if (a.length > b.length) i++
+    else if (b.length > a.length) j++
+    else { i++; j++ }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1
+}
+
+/**
+ * How well the words at `start` match a trigger: 1 for exact, lower for each
+ * word heard one letter off, 0 for no match
+ */
+function triggerScore(words, start, trigger, fuzzy) {
+  let score = 1
+  for (let k = 0; k < trigger.length; k++) {
+    const word = words[start + k]
+    if (word === undefined) return 0
+    if (word === trigger[k]) continue
+    if (fuzzy && trigger[k].length >= FUZZY_MIN_LENGTH && editDistanceAtMostOne(word, trigger[k])) {
+      score *= FUZZY_WORD_PENALTY
+      continue
+    }
+    return 0
+  }
+  return score
+}
+
+/**
+ * Build a grammar from the defaults and a product set's config (see above).
+ * `parsers` adds argument parsers to the built-in ones; `languages` picks
+ * whose triggers and number words are understood.
+ */
+export function createGrammar(config = {}, { commands = DEFAULT_COMMANDS, parsers = {}, languages = ['en'] } = {}) {
+  const argumentParsers = { ...ARGUMENT_PARSERS, ...parsers }
+
+  const grammar = []
+  for (const command of commands) {
+    const override = config?.[command.name]
+    if (override === false) continue
+    if (command.argument && !argumentParsers[command.argument]) continue
+
+    const triggers = Array.isArray(override?.triggers) && override.triggers.length > 0
+      ? override.triggers
+      : languages.flatMap(language => language === 'en' ? command.triggers : command.localized?.[language] || [])
+    const parse = command.argument ? argumentParsers[command.argument] : null
+    const phrase = (trigger) => tokenize(trigger).map(fold)
+
+    grammar.push({
+      ...command,
+      triggers: triggers.map(phrase).filter(words => words.length > 0),
+      standalone: new Set((command.standalone || []).map(trigger => phrase(trigger).join(' '))),
+      fuzzy: command.fuzzy !== false,
+      parse: parse && ((words) => parse(words, { languages }))
+    })
+  }
+  return grammar
+}
+
+/**
+ * Find the commands in a transcript. Returns non-overlapping matches in the
+ * order they were said:
+ *
+ *   [{ command, event, payload, value, confidence, candidates, start, end, phrase }]
+ *
+ * `start`/`end` are word indexes (end exclusive). Where matches overlap, the
+ * more confident (then longer) one wins. `candidates` lists the close
+ * alternatives when an argument was ambiguous, and is null otherwise.
+ *
+ * `pauses` are the word indexes that follow a pause (see pauseIndexes in
+ * transcript_stream.mjs), with the word count when the speech has stopped.
+ * Without them the text is taken as one whole utterance. A standalone trigger
+ * at the end of speech that may still go on isn't matched yet.
+ */
+export function matchCommands(text, grammar, { pauses = null } = {}) {
+  const words = tokenize(text)
+  const folded = words.map(fold)
+  const candidates = []
+  const pauseBefore = (index) => pauses ? pauses.has(index) : index === 0 || index === words.length
+
+  for (const command of grammar) {
+    for (const trigger of command.triggers) {
+      for (let start = 0; start + trigger.length <= words.length; start++) {
+        const score = triggerScore(folded, start, trigger, command.fuzzy)
+        if (score === 0) continue
+
+        let end = start + trigger.length
+        let value = null
+        let payload = {}
+        let confidence = score
+        let alternatives = null
+
+        if (command.standalone.has(trigger.join(' '))) {
+          if (end === words.length && !pauseBefore(end)) continue
+          if (!pauseBefore(start) || !pauseBefore(end)) confidence *= EMBEDDED_PENALTY
+        }
+
+        if (command.parse) {
+          const argument = command.parse(words.slice(end))
+          if (!argument) continue
+          end += argument.length
+          value = argument.value
+          payload = argument.payload
+          confidence *= argument.confidence
+          alternatives = argument.candidates || null
+        }
+
+        candidates.push({
+          command: command.name,
+          event: command.event,
+          payload,
+          value,
+          confidence: Math.round(confidence * 100) / 100,
+          candidates: alternatives,
+          start,
+          end,
+          phrase: words.slice(start, end).join(' ')
+        })
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start))
+
+  const matches = []
+  for (const candidate of candidates) {
+    if (matches.some(match => candidate.start < match.end && match.start < candidate.end)) continue
+    matches.push(candidate)
+  }
+  return matches.sort((a, b) => a.start - b.start)
+}
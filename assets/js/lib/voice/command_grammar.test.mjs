@@ -0,0 +1,97 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createGrammar, matchCommands, wordsToNumber } from './command_grammar.mjs'
+
+const grammar = createGrammar()
+
+test('show number with digits or words jumps to that product', () => {
+  const [digits] = matchCommands('Show number 23.', grammar)
+  assert.equal(digits.event, 'jump_to_product')
+  assert.deepEqual(digits.payload, { position: '23' })
+  assert.equal(digits.confidence, 1)
+
+  const [words] = matchCommands('okay show number twenty three and then', grammar)
+  assert.deepEqual(words.payload, { position: '23' })
+  assert.ok(words.confidence < 1)
+})
+
+test('numbers without a trigger phrase are ignored', () => {
+  assert.deepEqual(matchCommands('the price is 5 dollars', grammar), [])
+  assert.deepEqual(matchCommands('show me the product', grammar), [])
+})
+
+test('navigation commands map to their events', () => {
+  assert.equal(matchCommands('alright next product', grammar)[0].event, 'next_product')
+  assert.equal(matchCommands('go back', grammar)[0].event, 'previous_product')
+  assert.equal(matchCommands('next image please', grammar)[0].event, 'next_image')
+  assert.equal(matchCommands('let me pin this one for you', grammar)[0].event, 'pin_product')
+})
+
+test('everyday phrases only count as a whole utterance', () => {
+  assert.equal(matchCommands('go back', grammar)[0].confidence, 1)
+  assert.ok(matchCommands("let's go back to the red one", grammar)[0].confidence < 0.6)
+  assert.ok(matchCommands('oops go back', grammar)[0].confidence < 0.6)
+  assert.deepEqual(matchCommands('I love the next one', grammar), [])
+
+  // Said on its own between pauses in longer speech
+  const words = 'that one is sold out go back'
+  assert.equal(matchCommands(words, grammar, { pauses: new Set([0, 5, 7]) })[0].confidence, 1)
+
+  // Speech that may still go on ("go back to ...") waits
+  assert.deepEqual(matchCommands(words, grammar, { pauses: new Set([0, 5]) }), [])
+})
+
+test('slightly misheard triggers match with lower confidence', () => {
+  const [match] = matchCommands('show numbers 5', grammar)
+  assert.deepEqual(match.payload, { position: '5' })
+  assert.ok(match.confidence < 1 && match.confidence > 0.8)
+})
+
+test('homophones of numbers match with low confidence', () => {
+  const [match] = matchCommands('show number to', grammar)
+  assert.equal(match.value, 2)
+  assert.ok(match.confidence <= 0.6)
+})
+
+test('several commands come back in the order they were said', () => {
+  const events = matchCommands('next product and then show number 4', grammar).map(match => match.event)
+  assert.deepEqual(events, ['next_product', 'jump_to_product'])
+})
+
+test('config replaces triggers and turns commands off', () => {
+  const custom = createGrammar({ next_product: { triggers: ['next look'] }, next_image: false })
+  assert.equal(matchCommands('next look', custom)[0].event, 'next_product')
+  assert.deepEqual(matchCommands('next product', custom), [])
+  assert.deepEqual(matchCommands('next image', custom), [])
+})
+
+test('wordsToNumber handles compound numbers', () => {
+  assert.equal(wordsToNumber('twenty three'), 23)
+  assert.equal(wordsToNumber('one hundred five'), 105)
+  assert.equal(wordsToNumber('zero'), 0)
+})
+
+test('wordsToNumber reads Spanish and Portuguese numbers', () => {
+  assert.equal(wordsToNumber('veintitrés', 'es'), 23)
+  assert.equal(wordsToNumber('treinta y cinco', 'es'), 35)
+  assert.equal(wordsToNumber('ciento cinco', 'es'), 105)
+  assert.equal(wordsToNumber('vinte e três', 'pt'), 23)
+  assert.equal(wordsToNumber('dezessete', 'pt'), 17)
+})
+
+test('localized triggers and numbers match in their language only', () => {
+  const spanish = createGrammar({}, { languages: ['es', 'en'] })
+  const [jump] = matchCommands('ahora muestra el numero treinta y cinco por favor', spanish)
+  assert.deepEqual(jump.payload, { position: '35' })
+  assert.equal(matchCommands('siguiente producto', spanish)[0].event, 'next_product')
+  assert.equal(matchCommands('next product', spanish)[0].event, 'next_product')
+
+  const portuguese = createGrammar({}, { languages: ['pt'] })
+  assert.deepEqual(matchCommands('mostra o número vinte e dois', portuguese)[0].payload, { position: '22' })
+  assert.equal(matchCommands('próxima imagem', portuguese)[0].event, 'next_image')
+
+  // "y"/"e" only join tens and ones, and English grammars don't read Spanish
+  assert.deepEqual(matchCommands('muestra el número cinco y seis', spanish)[0].payload, { position: '5' })
+  assert.deepEqual(matchCommands('siguiente producto', grammar), [])
+  assert.deepEqual(matchCommands('show number constructor', grammar), [])
+})
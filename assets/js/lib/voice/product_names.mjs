@@ -0,0 +1,214 @@
+/**
+ * Product Name Matching
+ *
+ * Resolves a spoken product name ("show the cashmere cardigan") to a position
+ * in the product set. Whisper often mishears names ("kashmir cardigan",
+ * "cardigans"), so each name word is compared by spelling and by sound, and a
+ * name scores by how much of it was said and how much of what was said it
+ * explains:
+ *
+ *   rankProducts(['kashmir', 'cardigan'], products)
+ *   → [{ position: 3, name: 'Cashmere Cardigan', score: 0.93 }, ...]
+ *
+ * Products come from the VoiceControl hook's `data-voice-products`:
+ * `[{ position, name, aliases }]`, where aliases are other names the host
+ * uses for a product in this set.
+ */
+
+import { fold, tokenize } from './command_grammar.mjs'
+
+// Below this score a name isn't considered said at all
+const MIN_SCORE = 0.6
+
+// Candidates scoring within this much of the best make the match ambiguous
+const AMBIGUITY_MARGIN = 0.1
+
+// How many candidates an ambiguous match offers
+const MAX_CANDIDATES = 3
+
+// Words that carry no part of a name ("the", "the blue one")
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'with', 'of', 'in', 'one', 'this', 'that'])
+
+// Words allowed between a trigger and the name ("show me the ...")
+const NAME_FILLERS = new Set(['me', 'us', 'you', 'the', 'a', 'our', 'that', 'this'])
+
+// Score for two different spellings of the same sound
+const PHONETIC_SIMILARITY = 0.85
+
+// Letter codes for the phonetic key (Soundex groups); vowels and h/w/y are dropped
+const CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+}
+
+/**
+ * A key that is the same for words that sound alike:
+ * "cashmere" and "kashmir" → "256"
+ *
+ * Soundex's letter groups, but the first letter is coded too (so "c" and "k"
+ * agree) and a few English spellings are normalized first. Accents are
+ * dropped too, so "piñata" keys like "pinata" rather than losing its "ñ".
+ */
+export function phoneticKey(word) {
+  const normalized = fold(word.toLowerCase())
+    .replace(/[^a-z]/g, '')
+    .replace(/^kn/, 'n')
+    .replace(/^wr/, 'r')
+    .replace(/ph/g, 'f')
+    .replace(/gh/g, '')
+    .replace(/ck/g, 'k')
+    .replace(/s$/, '')
+
+  let key = ''
+  let previous = null
+  for (const letter of normalized) {
+    const code = CODES[letter] ?? null
+    if (code !== null && code !== previous) key += code
+    // Like Soundex, h and w don't separate repeated codes
+    if (letter !== 'h' && letter !== 'w') previous = code
+  }
+  return key
+}
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i]
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(
+        row[j] + 1,
+        next[j - 1] + 1,
+        row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    row = next
+  }
+  return row[b.length]
+}
+
+/**
+ * How alike two words are, 0 to 1, by spelling or sound
+ */
+export function wordSimilarity(a, b) {
+  if (a === b) return 1
+
+  const spelling = 1 - editDistance(a, b) / Math.max(a.length, b.length)
+  const key = phoneticKey(a)
+  const sound = key.length >= 2 && key === phoneticKey(b) ? PHONETIC_SIMILARITY : 0
+  const similarity = Math.max(spelling, sound)
+
+  // Short words sharing a letter or two aren't alike
+  return similarity >= 0.5 ? similarity : 0
+}
+
+function nameWords(name) {
+  return tokenize(name).filter(word => !STOP_WORDS.has(word))
+}
+
+function bestSimilarity(word, others) {
+  let best = 0
+  for (const other of others) best = Math.max(best, wordSimilarity(word, other))
+  return best
+}
+
+/**
+ * How well the spoken words match a name: the harmonic mean of how much of
+ * the name was said and how much of what was said is in the name
+ */
+function nameScore(spoken, name) {
+  const said = spoken.filter(word => !STOP_WORDS.has(word))
+  if (said.length === 0 || name.length === 0) return 0
+
+  const recall = name.reduce((sum, word) => sum + bestSimilarity(word, said), 0) / name.length
+  const precision = said.reduce((sum, word) => sum + bestSimilarity(word, name), 0) / said.length
+  return recall + precision > 0 ? (2 * recall * precision) / (recall + precision) : 0
+}
+
+/**
+ * Prepare products for matching (names split into words once)
+ */
+export function prepareProducts(products) {
+  if (!Array.isArray(products)) return []
+
+  return products
+    .filter(product => product && product.position && product.name)
+    .map(product => ({
+      position: product.position,
+      name: product.name,
+      variants: [product.name, ...(product.aliases || [])].map(nameWords).filter(words => words.length > 0)
+    }))
+}
+
+/**
+ * Score every product against the words at the start of `words`. Tries each
+ * way the name could end in the transcript, since whatever follows it ("...
+ * cardigan and then") isn't part of it.
+ *
+ * Returns `[{ position, name, score, length }]`, best first, for products
+ * scoring at least MIN_SCORE (`length` = words the name took up).
+ */
+export function rankProducts(words, prepared) {
+  const ranked = []
+
+  for (const product of prepared) {
+    let best = { score: 0, length: 0 }
+
+    for (const variant of product.variants) {
+      const longest = Math.min(words.length, variant.length + 2)
+      for (let length = 1; length <= longest; length++) {
+        const score = nameScore(words.slice(0, length), variant)
+        if (score > best.score) best = { score, length }
+      }
+    }
+
+    if (best.score >= MIN_SCORE) {
+      ranked.push({
+        position: product.position,
+        name: product.name,
+        score: Math.round(best.score * 100) / 100,
+        length: best.length
+      })
+    }
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || a.position - b.position)
+}
+
+/**
+ * A `product_name` argument parser for the command grammar (see
+ * createGrammar's `parsers`). A clear winner resolves to its position; when
+ * other products score close to it, the result also carries `candidates` for
+ * the host to pick from.
+ */
+export function createProductNameParser(products) {
+  const prepared = prepareProducts(products)
+
+  return function productName(words) {
+    if (prepared.length === 0) return null
+
+    let skipped = 0
+    while (skipped < 2 && NAME_FILLERS.has(words[skipped])) skipped++
+
+    const ranked = rankProducts(words.slice(skipped), prepared)
+    if (ranked.length === 0) return null
+
+    const [best] = ranked
+    const close = ranked
+      .filter(candidate => best.score - candidate.score <= AMBIGUITY_MARGIN)
+      .slice(0, MAX_CANDIDATES)
+
+    return {
+      value: best.position,
+      payload: { position: best.position.toString() },
+      confidence: best.score,
+      length: skipped + best.length,
+      candidates: close.length > 1
+        ? close.map(({ position, name, score }) => ({ position, name, score }))
+        : null
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createGrammar, matchCommands } from './command_grammar.mjs'
+import { createProductNameParser, phoneticKey, wordSimilarity } from './product_names.mjs'
+
+const products = [
+  { position: 1, name: 'Blue Denim Jacket', aliases: [] },
+  { position: 2, name: 'Silk Wrap Dress', aliases: ['the green dress'] },
+  { position: 3, name: 'Cashmere Cardigan', aliases: [] },
+  { position: 4, name: 'Cashmere Crew Sweater', aliases: [] },
+  { position: 5, name: 'Cashmere Crew Cardigan', aliases: [] }
+]
+
+const grammar = createGrammar({}, { parsers: { product_name: createProductNameParser(products) } })
+
+test('words that sound alike share a phonetic key', () => {
+  assert.equal(phoneticKey('cashmere'), phoneticKey('kashmir'))
+  assert.equal(phoneticKey('phone'), phoneticKey('fone'))
+  assert.notEqual(phoneticKey('cardigan'), phoneticKey('jacket'))
+  assert.equal(phoneticKey('façade'), phoneticKey('facade'))
+  assert.equal(phoneticKey('Piñata'), phoneticKey('pinata'))
+  assert.ok(wordSimilarity('cardigans', 'cardigan') > 0.85)
+  assert.equal(wordSimilarity('dress', 'jacket'), 0)
+})
+
+test('a spoken product name jumps to its position', () => {
+  const [match] = matchCommands('okay now show the blue denim jacket please', grammar)
+  assert.equal(match.event, 'jump_to_product')
+  assert.deepEqual(match.payload, { position: '1' })
+  assert.equal(match.candidates, null)
+  assert.equal(match.phrase, 'show the blue denim jacket')
+})
+
+test('misheard names and aliases still match', () => {
+  assert.deepEqual(matchCommands('pull up the green dress', grammar)[0].payload, { position: '2' })
+
+  const [misheard] = matchCommands('show me the kashmir cardigan', grammar)
+  assert.deepEqual(misheard.payload, { position: '3' })
+  assert.ok(misheard.confidence < 1)
+})
+
+test('a name shared by several products comes back with candidates', () => {
+  const [match] = matchCommands('show the cashmere crew', grammar)
+  const positions = match.candidates.map(candidate => candidate.position)
+  assert.ok(positions.includes(4) && positions.includes(5))
+  assert.ok(match.candidates.length <= 3)
+})
+
+test('unrelated speech after a trigger is ignored', () => {
+  assert.deepEqual(matchCommands('let me show you how this works', grammar), [])
+  assert.deepEqual(matchCommands('how much is the cashmere cardigan', grammar), [])
+})
+
+test('numbers still win over names', () => {
+  const [match] = matchCommands('show number 4', grammar)
+  assert.deepEqual(match.payload, { position: '4' })
+  assert.equal(match.command, 'jump_to_product')
+})
+
+test('without products the name command is left out', () => {
+  const names = createGrammar().map(command => command.name)
+  assert.ok(!names.includes('jump_to_product_name'))
+})
@@ -0,0 +1,143 @@
+/**
+ * Voice Transcript Log
+ *
+ * What the recognizer heard during a session, for the voice panel's rolling
+ * transcript and for reviewing missed or false jumps after the stream. One
+ * line per utterance (a stream from speech start to silence), with words on
+ * the session timeline (see transcript_stream.mjs), and every command that
+ * was matched in it:
+ *
+ *   [00:12:03] okay next product please
+ *              → next_product (confidence 1, fired)
+ *
+ * Command statuses: `fired` (event pushed), `failed` (the server refused a
+ * jump), `ambiguous` (candidates offered) and `ignored` (below the minimum
+ * confidence).
+ */
+
+// Lines kept for export (~4 hours of steady talking); older ones are dropped
+const MAX_LINES = 5000
+const MAX_COMMANDS = 5000
+
+/**
+ * Session seconds as hh:mm:ss
+ */
+export function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  return [h, m, s].map(n => n.toString().padStart(2, '0')).join(':')
+}
+
+export function createTranscriptLog({ maxLines = MAX_LINES, maxCommands = MAX_COMMANDS, now = () => new Date() } = {}) {
+  const lines = []
+  const commands = []
+  let nextCommandId = 1
+
+  function findLine(id) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].id === id) return lines[i]
+    }
+    return null
+  }
+
+  /**
+   * The commands said within a line's words
+   */
+  function commandsIn(line) {
+    const end = line.partial.length > 0 ? line.partial[line.partial.length - 1].end : line.end
+    return commands.filter(command => command.start >= line.start && command.start <= end)
+  }
+
+  return {
+    lines,
+    commands,
+    commandsIn,
+
+    /**
+     * Add a stream's words: settled words are appended, partial ones replace
+     * the line's previous partial words. Returns the line.
+     */
+    addWords(id, words, { settled = false } = {}) {
+      let line = findLine(id)
+      if (!line) {
+        if (words.length === 0) return null
+        line = { id, at: now().toISOString(), start: words[0].start, end: words[0].end, words: [], partial: [] }
+        lines.push(line)
+        if (lines.length > maxLines) lines.shift()
+      }
+
+      // Partial words can shift until the first ones settle
+      if (line.words.length === 0 && words.length > 0) line.start = words[0].start
+
+      if (settled) {
+        line.words.push(...words)
+        line.partial = []
+      } else {
+        line.partial = words
+      }
+      if (line.words.length > 0) line.end = line.words[line.words.length - 1].end
+      return line
+    },
+
+    /**
+     * Record a matched command. `start`/`end` are its session times.
+     */
+    addCommand(match, { start, end }, status) {
+      const command = {
+        id: nextCommandId++,
+        at: now().toISOString(),
+        command: match.command,
+        event: match.event,
+        payload: match.payload,
+        phrase: match.phrase,
+        confidence: match.confidence,
+        start,
+        end,
+        status,
+        detail: null
+      }
+      commands.push(command)
+      if (commands.length > maxCommands) commands.shift()
+      return command
+    },
+
+    setStatus(command, status, detail = null) {
+      command.status = status
+      command.detail = detail
+    },
+
+    /**
+     * Plain-text export: one line per utterance, commands under it
+     */
+    toText() {
+      const out = [`Voice transcript exported ${now().toISOString()}`, '']
+      for (const line of lines) {
+        const text = line.words.concat(line.partial).map(w => w.text).join(' ')
+        out.push(`[${formatTime(line.start)}] ${text}`)
+        for (const command of commandsIn(line)) {
+          const payload = Object.keys(command.payload).length > 0 ? ` ${JSON.stringify(command.payload)}` : ''
+          const detail = command.detail ? `: ${command.detail}` : ''
+          out.push(`           → ${command.event}${payload} "${command.phrase}" (confidence ${command.confidence}, ${command.status}${detail})`)
+        }
+      }
+      return out.join('\n') + '\n'
+    },
+
+    toJSON() {
+      return {
+        exportedAt: now().toISOString(),
+        lines: lines.map(({ id, at, start, end, words, partial }) => ({
+          id,
+          at,
+          start,
+          end,
+          text: words.concat(partial).map(w => w.text).join(' '),
+          words: words.concat(partial)
+        })),
+        commands
+      }
+    }
+  }
+}
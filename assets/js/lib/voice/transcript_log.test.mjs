@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createTranscriptLog, formatTime } from './transcript_log.mjs'
+
+const now = () => new Date('2026-02-14T20:00:00Z')
+
+function words(...entries) {
+  return entries.map(([text, start, end]) => ({ text, start, end }))
+}
+
+test('formatTime writes session seconds as hh:mm:ss', () => {
+  assert.equal(formatTime(0), '00:00:00')
+  assert.equal(formatTime(3723.9), '01:02:03')
+})
+
+test('partial words are replaced and settled words kept', () => {
+  const log = createTranscriptLog({ now })
+  log.addWords(1, words(['next', 10, 10.3]), { settled: false })
+  log.addWords(1, words(['next', 10, 10.3], ['product', 10.3, 10.8]), { settled: false })
+  const line = log.addWords(1, words(['next', 10, 10.3]), { settled: true })
+
+  assert.equal(log.lines.length, 1)
+  assert.deepEqual(line.words.map(w => w.text), ['next'])
+  assert.deepEqual(line.partial, [])
+
+  log.addWords(1, words(['product', 10.3, 10.8]), { settled: true })
+  assert.deepEqual(line.words.map(w => w.text), ['next', 'product'])
+  assert.equal(line.end, 10.8)
+})
+
+test('each stream gets its own line', () => {
+  const log = createTranscriptLog({ now })
+  log.addWords(1, words(['hello', 1, 1.5]), { settled: true })
+  log.addWords(2, words(['again', 5, 5.5]), { settled: true })
+  assert.deepEqual(log.lines.map(line => line.id), [1, 2])
+  assert.equal(log.addWords(3, [], { settled: true }), null)
+})
+
+test('exports list commands under the line they were said in', () => {
+  const log = createTranscriptLog({ now })
+  log.addWords(1, words(['show', 62, 62.3], ['number', 62.3, 62.6], ['9', 62.6, 63]), { settled: true })
+  const command = log.addCommand(
+    { command: 'jump_to_product', event: 'jump_to_product', payload: { position: '9' }, phrase: 'show number 9', confidence: 1 },
+    { start: 62, end: 63 },
+    'fired'
+  )
+  log.setStatus(command, 'failed', 'Product not found')
+
+  assert.equal(log.toText(), [
+    'Voice transcript exported 2026-02-14T20:00:00.000Z',
+    '',
+    '[00:01:02] show number 9',
+    '           → jump_to_product {"position":"9"} "show number 9" (confidence 1, failed: Product not found)',
+    ''
+  ].join('\n'))
+
+  const json = log.toJSON()
+  assert.equal(json.lines[0].text, 'show number 9')
+  assert.equal(json.commands[0].status, 'failed')
+})
+
+test('the log drops its oldest lines past the limit', () => {
+  const log = createTranscriptLog({ maxLines: 2, now })
+  for (const id of [1, 2, 3]) log.addWords(id, words([`w${id}`, id, id + 0.5]), { settled: true })
+  assert.deepEqual(log.lines.map(line => line.id), [2, 3])
+})
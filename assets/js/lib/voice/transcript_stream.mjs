@@ -0,0 +1,121 @@
+/**
+ * Streaming Transcripts
+ *
+ * The Whisper worker decodes a stream of audio as it arrives instead of
+ * re-transcribing fixed windows. Every decode covers the audio that hasn't
+ * been settled yet; words are placed on the stream's timeline by their
+ * timestamps, so each one is decoded once for good:
+ *
+ *   audio:   |---- settled ----|------ pending ------|
+ *   words:    show number five  and the next one ...
+ *                         final ^ partial (may still change)
+ *
+ * Words that end well before the end of the audio heard so far are settled
+ * (`final`); the rest are `partial` and decoded again with the next chunk.
+ * Times are seconds on one timeline for the whole session, so commands can
+ * be fired once by where they were said (see readyCommands).
+ */
+
+import { tokenize } from './command_grammar.mjs'
+
+export const SAMPLE_RATE = 16000
+
+// Words ending this close to the end of the audio may still change
+export const STABLE_MARGIN_S = 1.0
+
+// Past this much unsettled audio, settle all but the last word anyway
+export const MAX_PENDING_S = 12
+
+// Timestamps of the same word move this much between decodes
+const TIMESTAMP_JITTER_S = 0.2
+
+// A gap between words at least this long ends an utterance
+export const PAUSE_S = 0.5
+
+/**
+ * Turn Whisper's timestamped chunks into words on the session timeline:
+ * `[{ text, start, end }]`, text as command_grammar's tokenize writes it.
+ *
+ * Word-level chunks map one to one. Segment-level chunks (models without word
+ * timestamps) are split into words spread evenly over the segment. A chunk
+ * with no end (cut off by the end of the audio) ends at `audioEnd`.
+ */
+export function chunksToWords(chunks, offset, audioEnd) {
+  const words = []
+
+  for (const chunk of chunks || []) {
+    const tokens = tokenize(chunk.text)
+    if (tokens.length === 0) continue
+
+    const [chunkStart, chunkEnd] = chunk.timestamp || [0, null]
+    const start = offset + (chunkStart ?? 0)
+    const end = chunkEnd == null ? audioEnd : Math.max(start, offset + chunkEnd)
+    const step = (end - start) / tokens.length
+
+    tokens.forEach((text, i) => {
+      words.push({
+        text,
+        start: round(start + step * i),
+        end: round(start + step * (i + 1))
+      })
+    })
+  }
+
+  return words
+}
+
+/**
+ * Split a decode's words into those that are settled and those still pending.
+ * Only a leading run settles, so the settled text never has holes in it.
+ */
+export function splitStable(words, audioEnd, { final = false, marginS = STABLE_MARGIN_S, maxPendingS = MAX_PENDING_S, pendingStart = 0 } = {}) {
+  if (final) return { stable: words, pending: [] }
+
+  let count = 0
+  while (count < words.length && words[count].end <= audioEnd - marginS) count++
+
+  // A long run of speech without a pause: don't let the pending audio grow forever
+  if (count === 0 && words.length > 1 && audioEnd - pendingStart > maxPendingS) {
+    count = words.length - 1
+  }
+
+  return { stable: words.slice(0, count), pending: words.slice(count) }
+}
+
+/**
+ * Which matched commands to fire now. `words` are the words the matches were
+ * found in (match start/end index them), `firedUntil` is where the last fired
+ * command ended.
+ *
+ * A command is ready once its last word is decoded: when the words are
+ * settled, when a word follows it, or when it takes no argument (nothing
+ * could extend "next product", but "show number twenty" may become "twenty
+ * three"). Commands said before `firedUntil` already fired from an earlier
+ * decode.
+ */
+export function readyCommands(matches, words, { settled = false, firedUntil = -Infinity } = {}) {
+  return matches.filter(match => {
+    const first = words[match.start]
+    if (!first || first.start < firedUntil - TIMESTAMP_JITTER_S) return false
+
+    return settled || match.end < words.length || match.value === null
+  })
+}
+
+/**
+ * Indexes of the words that follow a pause, for matchCommands: the first
+ * word, each word after a gap of `gapS`, and `words.length` once the speech
+ * has `ended` (the stream went silent).
+ */
+export function pauseIndexes(words, { ended = false, gapS = PAUSE_S } = {}) {
+  const pauses = new Set([0])
+  for (let i = 1; i < words.length; i++) {
+    if (words[i].start - words[i - 1].end >= gapS) pauses.add(i)
+  }
+  if (ended) pauses.add(words.length)
+  return pauses
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100
+}
@@ -0,0 +1,83 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createGrammar, matchCommands } from './command_grammar.mjs'
+import { chunksToWords, pauseIndexes, readyCommands, splitStable } from './transcript_stream.mjs'
+
+const grammar = createGrammar()
+
+function words(...entries) {
+  return entries.map(([text, start, end]) => ({ text, start, end }))
+}
+
+function ready(view, options) {
+  const matches = matchCommands(view.map(w => w.text).join(' '), grammar)
+  return readyCommands(matches, view, options)
+}
+
+test('word chunks land on the session timeline', () => {
+  const chunks = [
+    { text: ' Show', timestamp: [0.2, 0.5] },
+    { text: ' number', timestamp: [0.5, 0.9] },
+    { text: ' 5.', timestamp: [0.9, null] }
+  ]
+  assert.deepEqual(chunksToWords(chunks, 10, 11.5), words(
+    ['show', 10.2, 10.5],
+    ['number', 10.5, 10.9],
+    ['5', 10.9, 11.5]
+  ))
+})
+
+test('segment chunks are split into evenly timed words', () => {
+  const chunks = [{ text: ' Next product, please.', timestamp: [0, 1.5] }]
+  assert.deepEqual(chunksToWords(chunks, 0, 2), words(
+    ['next', 0, 0.5],
+    ['product', 0.5, 1],
+    ['please', 1, 1.5]
+  ))
+})
+
+test('only words well before the end of the audio settle', () => {
+  const decoded = words(['next', 0, 0.4], ['product', 0.4, 0.9], ['and', 1.6, 1.8])
+  const { stable, pending } = splitStable(decoded, 2)
+  assert.deepEqual(stable.map(w => w.text), ['next', 'product'])
+  assert.deepEqual(pending.map(w => w.text), ['and'])
+
+  assert.equal(splitStable(decoded, 2, { final: true }).pending.length, 0)
+})
+
+test('long unbroken speech settles all but its last word', () => {
+  const decoded = words(['a', 0, 6], ['b', 6, 12.5])
+  const { stable } = splitStable(decoded, 13, { pendingStart: 0 })
+  assert.deepEqual(stable.map(w => w.text), ['a'])
+})
+
+test('pauses split words into utterances', () => {
+  const decoded = words(['sold', 0, 0.4], ['out', 0.4, 0.7], ['go', 1.5, 1.7], ['back', 1.7, 2])
+  assert.deepEqual(Array.from(pauseIndexes(decoded)), [0, 2])
+  assert.deepEqual(Array.from(pauseIndexes(decoded, { ended: true })), [0, 2, 4])
+})
+
+test('commands without an argument fire from a partial', () => {
+  const [match] = ready(words(['next', 0, 0.3], ['product', 0.3, 0.8]), { settled: false })
+  assert.equal(match.event, 'next_product')
+})
+
+test('a number at the end of a partial waits to be complete', () => {
+  const partial = words(['show', 0, 0.3], ['number', 0.3, 0.6], ['twenty', 0.6, 1])
+  assert.deepEqual(ready(partial, { settled: false }), [])
+
+  const next = words(['show', 0, 0.3], ['number', 0.3, 0.6], ['twenty', 0.6, 1], ['three', 1, 1.3], ['and', 1.4, 1.5])
+  assert.deepEqual(ready(next, { settled: false })[0].payload, { position: '23' })
+})
+
+test('a command decoded again later is not fired twice', () => {
+  // Fired from a partial, ending at 0.8s; the final has slightly different timestamps
+  const final = words(['next', 0.05, 0.35], ['product', 0.35, 0.85])
+  assert.deepEqual(ready(final, { settled: true, firedUntil: 0.8 }), [])
+
+  // Saying it again right after is a new command
+  const again = words(['next', 0.05, 0.35], ['product', 0.35, 0.85], ['next', 1.2, 1.5], ['product', 1.5, 1.9])
+  const fired = ready(again, { settled: true, firedUntil: 0.8 })
+  assert.equal(fired.length, 1)
+  assert.equal(fired[0].start, 2)
+})
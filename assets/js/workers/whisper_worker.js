@@ -1,8 +1,24 @@
 // Whisper Web Worker - Module worker for speech recognition
 // Bundles via esbuild (no CDN dependencies - CSP compliant)
 // Uses Transformers.js with WebGPU acceleration and CPU/WASM fallback
+//
+// Two ways to transcribe:
+// - `transcribe`: one clip in, one `transcript` out
+// - streaming: `stream_start`, then `stream_chunk`s of audio as it is
+//   recorded, then `stream_end`. Each decode posts the words it settled as
+//   `final` and the rest as `partial` (see lib/voice/transcript_stream.mjs);
+//   `stream_end` flushes everything as a last `final` with `done: true`.
+//
+// `load_model` takes `language` and `task` for multilingual models, passed
+// to every pipeline call; `configure` changes them without reloading.
 
 import { pipeline, env } from "@huggingface/transformers";
+import {
+  SAMPLE_RATE,
+  STABLE_MARGIN_S,
+  chunksToWords,
+  splitStable
+} from "../lib/voice/transcript_stream.mjs";
 
 // Configure Transformers.js environment for local hosting
 // All models will be served from the app's static assets
@@ -13,9 +29,16 @@ env.allowRemoteModels = true; // Allow initial download from HF hub
 let transcriber = null;
 let modelLoaded = false;
 let currentDevice = null;
+let currentModel = null;
 // Track ONNX file progress for cumulative download calculation
 let fileProgress = {};
 let lastReportedPercent = 0;
+// Word timestamps need a model exported with cross attentions; others fall back to segments
+let wordTimestamps = true;
+// The audio stream being transcribed, if any (see startStream)
+let stream = null;
+// Language and task for multilingual models (English-only `.en` models take neither)
+let decodeOptions = {};
 
 // Listen for messages from main thread
 self.onmessage = async (e) => {
@@ -24,13 +47,30 @@ self.onmessage = async (e) => {
   try {
     switch (type) {
       case 'load_model':
+        configure(data.model, data);
         await loadModel(data.model, data.device);
         break;
 
+      case 'configure':
+        configure(currentModel, data);
+        break;
+
       case 'transcribe':
         await transcribe(data.audio);
         break;
 
+      case 'stream_start':
+        startStream(data.id, data.startTime);
+        break;
+
+      case 'stream_chunk':
+        appendToStream(data.id, data.audio);
+        break;
+
+      case 'stream_end':
+        endStream(data.id);
+        break;
+
       case 'ping':
         // Health check
         self.postMessage({
@@ -54,6 +94,19 @@ self.onmessage = async (e) => {
   }
 };
 
+/**
+ * Set the language and task passed to the pipeline
+ * @param {string} modelName - Model the options are for
+ * @param {{language?: string|null, task?: string}} options - e.g. {language: 'es', task: 'transcribe'};
+ *   no language lets Whisper detect it, task 'translate' outputs English
+ */
+function configure(modelName, { language = null, task = 'transcribe' } = {}) {
+  currentModel = modelName;
+  decodeOptions = modelName && !modelName.endsWith('.en')
+    ? { task, ...(language && { language }) }
+    : {};
+}
+
 /**
  * Load the Whisper model with device selection and progress reporting
  * @param {string} modelName - HuggingFace model identifier (e.g., 'Xenova/whisper-tiny.en')
@@ -162,7 +215,8 @@ async function loadModel(modelName, device) {
       type: 'model_ready',
       data: {
         device: detectedDevice,
-        model: modelName
+        model: modelName,
+        ...decodeOptions
       }
     });
 
@@ -241,8 +295,7 @@ async function transcribe(audioArray) {
       return;
     }
 
-    const result = await transcriber(audioData, {
-      return_timestamps: false,
+    const result = await transcribeWithTimestamps(audioData, {
       chunk_length_s: 30,
       stride_length_s: 5
     });
@@ -252,7 +305,9 @@ async function transcribe(audioArray) {
       type: 'transcript',
       data: {
         text: text.trim(),
-        chunks: result.chunks || null
+        chunks: result.chunks || null,
+        words: chunksToWords(result.chunks, 0, audioData.length / SAMPLE_RATE),
+        timestamps: wordTimestamps ? 'word' : 'segment'
       }
     });
   } catch (error) {
@@ -267,6 +322,150 @@ async function transcribe(audioArray) {
   }
 }
 
+/**
+ * Start a new stream, dropping any unfinished one
+ * @param {number} id - Stream id, echoed on every partial/final
+ * @param {number} startTime - Session time (seconds) of the stream's first sample
+ */
+function startStream(id, startTime = 0) {
+  stream = {
+    id,
+    // Audio not settled yet, starting at `offset` seconds on the session timeline
+    audio: new Float32Array(0),
+    offset: startTime,
+    decoding: false,
+    dirty: false,
+    ended: false
+  };
+}
+
+function appendToStream(id, samples) {
+  if (!stream || stream.id !== id || stream.ended) return;
+
+  const chunk = samples instanceof Float32Array ? samples : new Float32Array(samples);
+  const audio = new Float32Array(stream.audio.length + chunk.length);
+  audio.set(stream.audio);
+  audio.set(chunk, stream.audio.length);
+  stream.audio = audio;
+
+  pumpStream(stream);
+}
+
+function endStream(id) {
+  if (!stream || stream.id !== id) return;
+  stream.ended = true;
+  pumpStream(stream);
+}
+
+/**
+ * Decode a stream until it has caught up with its audio. Chunks that arrive
+ * mid-decode are picked up by the next pass, so decodes never overlap.
+ */
+async function pumpStream(current) {
+  if (current.decoding) {
+    current.dirty = true;
+    return;
+  }
+
+  current.decoding = true;
+  try {
+    do {
+      current.dirty = false;
+      await decodeStream(current);
+    } while (current.dirty && stream === current);
+  } catch (error) {
+    console.error('[Whisper Worker] Stream decode failed:', error);
+    self.postMessage({
+      type: 'error',
+      data: {
+        message: `Transcription failed: ${error.message}`,
+        details: error.stack
+      }
+    });
+  } finally {
+    current.decoding = false;
+  }
+}
+
+async function decodeStream(current) {
+  // Close the stream rather than leave the hook waiting on it
+  if (!modelLoaded || !transcriber) {
+    if (stream === current) stream = null;
+    self.postMessage({
+      type: 'final',
+      data: { id: current.id, text: '', words: [], done: true }
+    });
+    self.postMessage({
+      type: 'error',
+      data: { message: 'Model not loaded. Please load the model first.' }
+    });
+    return;
+  }
+
+  const final = current.ended;
+  const audio = current.audio;
+  const audioEnd = current.offset + audio.length / SAMPLE_RATE;
+
+  // Under ~0.3s of audio there's nothing to decode yet. Pending audio is
+  // usually well under Whisper's 30s window, but can pile up while a slow
+  // decode runs, so it's chunked like a clip.
+  let words = [];
+  if (audio.length >= SAMPLE_RATE * 0.3) {
+    const result = await transcribeWithTimestamps(audio, {
+      chunk_length_s: 30,
+      stride_length_s: 5
+    });
+    words = chunksToWords(result.chunks, current.offset, audioEnd);
+  }
+
+  const { stable, pending } = splitStable(words, audioEnd, { final, pendingStart: current.offset });
+
+  // Drop the settled audio; with nothing said, keep only the last moment
+  let settledUntil = current.offset;
+  if (stable.length > 0) {
+    settledUntil = stable[stable.length - 1].end;
+  } else if (words.length === 0 && audioEnd - current.offset > STABLE_MARGIN_S * 2) {
+    settledUntil = audioEnd - STABLE_MARGIN_S;
+  }
+  const drop = Math.min(current.audio.length, Math.round((settledUntil - current.offset) * SAMPLE_RATE));
+  if (drop > 0) {
+    current.audio = current.audio.slice(drop);
+    current.offset = settledUntil;
+  }
+
+  if (stable.length > 0 || final) {
+    self.postMessage({
+      type: 'final',
+      data: { id: current.id, text: stable.map(w => w.text).join(' '), words: stable, done: final }
+    });
+  }
+
+  if (final) {
+    if (stream === current) stream = null;
+    return;
+  }
+
+  self.postMessage({
+    type: 'partial',
+    data: { id: current.id, text: pending.map(w => w.text).join(' '), words: pending }
+  });
+}
+
+/**
+ * Transcribe with word timestamps, or segment timestamps if the model can't
+ */
+async function transcribeWithTimestamps(audio, options = {}) {
+  if (wordTimestamps) {
+    try {
+      return await transcriber(audio, { ...decodeOptions, ...options, return_timestamps: 'word' });
+    } catch (error) {
+      console.warn('[Whisper Worker] Word timestamps unavailable, using segments:', error.message);
+      wordTimestamps = false;
+    }
+  }
+  return transcriber(audio, { ...decodeOptions, ...options, return_timestamps: true });
+}
+
 // Error handler for uncaught errors in worker
 self.onerror = (error) => {
   self.postMessage({
@@ -39,7 +39,9 @@ if config_env() == :dev do
     tiktok_bridge_enabled: System.get_env("TIKTOK_BRIDGE_ENABLED", "false") == "true",
     tiktok_bridge_url:
       System.get_env("TIKTOK_BRIDGE_URL") ||
-        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}"
+        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}",
+    # Shared secret the bridge requires on its API and WebSocket (unset = no auth)
+    tiktok_bridge_secret: System.get_env("TIKTOK_BRIDGE_SECRET")
 
   # OpenAI client configuration
   config :social_objects, SocialObjects.AI.OpenAIClient,
@@ -112,7 +114,9 @@ if config_env() == :prod do
     tiktok_bridge_enabled: System.get_env("TIKTOK_BRIDGE_ENABLED", "true") == "true",
     tiktok_bridge_url:
       System.get_env("TIKTOK_BRIDGE_URL") ||
-        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}"
+        "http://localhost:#{System.get_env("TIKTOK_BRIDGE_PORT", "8080")}",
+    # Shared secret the bridge requires on its API and WebSocket (unset = no auth)
+    tiktok_bridge_secret: System.get_env("TIKTOK_BRIDGE_SECRET")
 
   # OpenAI client configuration
   config :social_objects, SocialObjects.AI.OpenAIClient,
@@ -878,6 +878,26 @@ defmodule SocialObjects.ProductSets do
   defp calculate_cycled_index(current, count, :next), do: rem(current + 1, count)
   defp calculate_cycled_index(current, count, :previous), do: rem(current - 1 + count, count)
 
+  @doc """
+  Marks the current product as the one pinned in the live room.
+  """
+  @spec pin_current_product(pos_integer()) ::
+          {:ok, ProductSetState.t()} | {:error, :no_current_product | term()}
+  def pin_current_product(product_set_id) do
+    case get_product_set_state(product_set_id) do
+      {:ok, %{current_product_set_product_id: nil}} ->
+        {:error, :no_current_product}
+
+      {:ok, state} ->
+        update_product_set_state(product_set_id, %{
+          pinned_product_set_product_id: state.current_product_set_product_id
+        })
+
+      error ->
+        error
+    end
+  end
+
   @doc """
   Sets the current image index directly for the product set.
   Used when clicking on a thumbnail to jump to a specific image.
@@ -14,6 +14,7 @@ defmodule SocialObjects.ProductSets.ProductSet do
           slug: String.t() | nil,
           notes: String.t() | nil,
           notes_image_url: String.t() | nil,
+          voice_commands: map(),
           brand_id: pos_integer() | nil,
           inserted_at: NaiveDateTime.t() | nil,
           updated_at: NaiveDateTime.t() | nil
@@ -24,6 +25,8 @@ defmodule SocialObjects.ProductSets.ProductSet do
     field :slug, :string
     field :notes, :string
     field :notes_image_url, :string
+    # Voice command grammar overrides, keyed by command name (see assets/js/lib/voice/command_grammar.mjs)
+    field :voice_commands, :map, default: %{}
 
     belongs_to :brand, SocialObjects.Catalog.Brand
 
@@ -45,7 +48,7 @@ defmodule SocialObjects.ProductSets.ProductSet do
   @doc false
   def changeset(product_set, attrs) do
     product_set
-    |> cast(attrs, [:brand_id, :name, :slug, :notes, :notes_image_url])
+    |> cast(attrs, [:brand_id, :name, :slug, :notes, :notes_image_url, :voice_commands])
     |> validate_required([:brand_id, :name, :slug])
     |> unique_constraint(:slug)
     |> foreign_key_constraint(:brand_id)
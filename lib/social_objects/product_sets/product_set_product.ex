@@ -17,6 +17,7 @@ defmodule SocialObjects.ProductSets.ProductSetProduct do
           featured_original_price_cents: integer() | nil,
           featured_sale_price_cents: integer() | nil,
           notes: String.t() | nil,
+          voice_aliases: [String.t()],
           product_set_id: pos_integer() | nil,
           product_id: pos_integer() | nil,
           inserted_at: NaiveDateTime.t() | nil,
@@ -31,6 +32,8 @@ defmodule SocialObjects.ProductSets.ProductSetProduct do
     field :featured_original_price_cents, :integer
     field :featured_sale_price_cents, :integer
     field :notes, :string
+    # Other names the host uses for the product, for voice jumps by name
+    field :voice_aliases, {:array, :string}, default: []
 
     belongs_to :product_set, SocialObjects.ProductSets.ProductSet
     belongs_to :product, SocialObjects.Catalog.Product
@@ -50,7 +53,8 @@ defmodule SocialObjects.ProductSets.ProductSetProduct do
       :featured_talking_points_md,
       :featured_original_price_cents,
       :featured_sale_price_cents,
-      :notes
+      :notes,
+      :voice_aliases
     ])
     |> validate_required([:product_set_id, :product_id, :position])
     |> validate_number(:position, greater_than: 0)
@@ -3,7 +3,8 @@ defmodule SocialObjects.ProductSets.ProductSetState do
   Tracks the real-time state of a product set during live streaming.
 
   Stores the current product being featured, which image is displayed,
-  and the most recent message from the host. This state is synced across
+  the product the host pinned in the live room, and the most recent message
+  from the host. This state is synced across
   all connected clients via PubSub.
   """
   use Ecto.Schema
@@ -20,7 +21,8 @@ defmodule SocialObjects.ProductSets.ProductSetState do
           current_host_message_color: message_color() | nil,
           updated_at: DateTime.t() | nil,
           product_set_id: pos_integer() | nil,
-          current_product_set_product_id: pos_integer() | nil
+          current_product_set_product_id: pos_integer() | nil,
+          pinned_product_set_product_id: pos_integer() | nil
         }
 
   @valid_colors ~w(amber blue green red purple gray)a
@@ -35,6 +37,7 @@ defmodule SocialObjects.ProductSets.ProductSetState do
 
     belongs_to :product_set, SocialObjects.ProductSets.ProductSet
     belongs_to :current_product_set_product, SocialObjects.ProductSets.ProductSetProduct
+    belongs_to :pinned_product_set_product, SocialObjects.ProductSets.ProductSetProduct
   end
 
   @doc false
@@ -43,6 +46,7 @@ defmodule SocialObjects.ProductSets.ProductSetState do
     |> cast(attrs, [
       :product_set_id,
       :current_product_set_product_id,
+      :pinned_product_set_product_id,
       :current_image_index,
       :current_host_message_text,
       :current_host_message_id,
@@ -54,6 +58,7 @@ defmodule SocialObjects.ProductSets.ProductSetState do
     |> unique_constraint(:product_set_id)
     |> foreign_key_constraint(:product_set_id)
     |> foreign_key_constraint(:current_product_set_product_id)
+    |> foreign_key_constraint(:pinned_product_set_product_id)
     |> put_change(:updated_at, DateTime.utc_now() |> DateTime.truncate(:second))
   end
 end
@@ -25,6 +25,16 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       BridgeClient.connect_stream("brand_handle")
 
       # Events are broadcast via PubSub to "tiktok_live:bridge:events"
+
+  ## Replay
+
+  Every bridge event carries a sequence number (`seq`). On reconnect we ask the
+  bridge for everything after the last one we saw (`/events?since=<seq>`), so
+  events emitted while we were disconnected are replayed rather than lost.
+
+  A bridge instance draining for a deploy hands its streams to its successor
+  and sends a `handoff` message with the sequence number the successor
+  continues from; we resume from there, so nothing captured in between is lost.
   """
 
   use WebSockex
@@ -37,6 +47,13 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   # If no events received for this long, consider connection stale
   @stale_connection_threshold_ms 120_000
 
+  # Shopping events the bridge decodes from TikTok protobufs (besides product_pinned).
+  # Messages without a schema arrive as rawShopping.
+  @shopping_event_types %{
+    "coupon_shown" => :coupon_shown,
+    "shopping_update" => :shopping_update
+  }
+
   defmodule State do
     @moduledoc false
     defstruct [
@@ -44,7 +61,8 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       :reconnect_attempts,
       :connected_at,
       :heartbeat_ref,
-      :last_event_at
+      :last_event_at,
+      :last_seq
     ]
   end
 
@@ -87,7 +105,12 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
         # Start with async connection to avoid blocking supervisor
         # handle_initial_conn_failure allows the process to start even if connection fails
-        ws_opts = [name: name, handle_initial_conn_failure: true, async: true]
+        ws_opts = [
+          name: name,
+          handle_initial_conn_failure: true,
+          async: true,
+          extra_headers: auth_headers()
+        ]
 
         case WebSockex.start_link(bridge_url, __MODULE__, state, ws_opts) do
           {:ok, pid} ->
@@ -130,17 +153,24 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   @doc """
   Connect to a TikTok Live stream via the bridge HTTP API.
   This is independent of the WebSocket connection.
+
+  Returns `{:error, {:rate_limited, retry_after_seconds}}` when the bridge's
+  connect rate limits or connection quota refuse the connect.
   """
   def connect_stream(unique_id) do
     http_url = bridge_http_url()
 
     case Req.post("#{http_url}/connect",
-           json: %{uniqueId: unique_id},
+           json: %{uniqueId: unique_id, requestedBy: "social_objects"},
+           headers: auth_headers(),
            receive_timeout: 30_000
          ) do
       {:ok, %{status: 200, body: body}} ->
         {:ok, body}
 
+      {:ok, %{status: 429} = response} ->
+        {:error, {:rate_limited, retry_after(response)}}
+
       {:ok, %{status: _status, body: body}} ->
         {:error, body["error"] || "Connection failed"}
 
@@ -157,6 +187,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
     case Req.post("#{http_url}/disconnect",
            json: %{uniqueId: unique_id},
+           headers: auth_headers(),
            receive_timeout: 10_000
          ) do
       {:ok, %{status: 200, body: body}} ->
@@ -176,7 +207,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
   def status do
     http_url = bridge_http_url()
 
-    case Req.get("#{http_url}/status", receive_timeout: 5_000) do
+    case Req.get("#{http_url}/status", headers: auth_headers(), receive_timeout: 5_000) do
       {:ok, %{status: 200, body: body}} ->
         {:ok, body}
 
@@ -228,7 +259,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     case Jason.decode(data) do
       {:ok, event} ->
         _ = handle_bridge_event(event)
-        {:ok, %{state | last_event_at: DateTime.utc_now()}}
+        {:ok, %{state | last_event_at: DateTime.utc_now(), last_seq: event_seq(event, state)}}
 
       {:error, reason} ->
         Logger.warning("Failed to parse bridge message: #{inspect(reason)}")
@@ -285,7 +316,7 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
       Process.sleep(@reconnect_delay_ms)
 
-      {:reconnect,
+      {:reconnect, replay_conn(disconnect_map.conn, state.last_seq),
        %{state | reconnect_attempts: state.reconnect_attempts + 1, heartbeat_ref: nil}}
     else
       # Crash to trigger supervisor restart with fresh state
@@ -307,6 +338,22 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     Logger.debug("Bridge status: #{length(connections)} active connections")
   end
 
+  defp handle_bridge_event(%{"type" => "replay", "count" => count} = event) do
+    if event["truncated"] do
+      Logger.warning(
+        "Bridge replayed #{count} missed events, but older ones were already evicted"
+      )
+    else
+      Logger.info("Bridge replayed #{count} missed events")
+    end
+  end
+
+  defp handle_bridge_event(%{"type" => "handoff", "seq" => seq} = event) do
+    Logger.info(
+      "Bridge instance handed #{event["streams"] || 0} streams to its successor, resuming from seq #{seq}"
+    )
+  end
+
   defp handle_bridge_event(%{"type" => "heartbeat", "activeConnections" => count}) do
     Logger.debug("Bridge heartbeat: #{count} active connections")
   end
@@ -322,17 +369,22 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     })
   end
 
-  defp handle_bridge_event(%{
-         "type" => "thumbnail",
-         "uniqueId" => unique_id,
-         "thumbnailBase64" => thumbnail_base64
-       }) do
-    Logger.info("Thumbnail received for @#{unique_id}")
+  # The bridge samples a frame every minute or so; sample 0 is the initial thumbnail
+  defp handle_bridge_event(
+         %{
+           "type" => "thumbnail",
+           "uniqueId" => unique_id,
+           "thumbnailBase64" => thumbnail_base64
+         } = event
+       ) do
+    Logger.info("Thumbnail received for @#{unique_id} (sample #{event["sample"] || 0})")
 
     broadcast_event(unique_id, %{
       type: :thumbnail,
       thumbnail_base64: thumbnail_base64,
-      content_type: "image/jpeg"
+      content_type: "image/jpeg",
+      captured_at: parse_timestamp(event["capturedAt"]),
+      sample: event["sample"] || 0
     })
   end
 
@@ -341,6 +393,25 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     broadcast_event(unique_id, %{type: :disconnected})
   end
 
+  # The bridge retries dropped TikTok connections itself; a final `disconnected`
+  # (or `streamEnd`) follows if it gives up, so these are informational only
+  defp handle_bridge_event(%{"type" => "reconnecting", "uniqueId" => unique_id} = event) do
+    Logger.warning(
+      "Stream @#{unique_id} dropped, bridge reconnecting " <>
+        "(attempt #{event["attempt"]}/#{event["maxAttempts"]})"
+    )
+  end
+
+  defp handle_bridge_event(%{"type" => "reconnect_failed", "uniqueId" => unique_id} = event) do
+    Logger.error("Bridge gave up reconnecting to @#{unique_id}: #{event["error"]}")
+  end
+
+  # A watchlisted account went live; the bridge connects on its own and a
+  # `connected` event follows
+  defp handle_bridge_event(%{"type" => "went_live", "uniqueId" => unique_id} = event) do
+    Logger.info("Watched account @#{unique_id} went live (room #{event["data"]["roomId"]})")
+  end
+
   defp handle_bridge_event(%{"type" => "error", "uniqueId" => unique_id, "error" => error}) do
     Logger.error("Stream error for @#{unique_id}: #{error}")
     broadcast_event(unique_id, %{type: :error, error: error})
@@ -354,6 +425,28 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       username: data["uniqueId"],
       nickname: data["nickname"],
       content: data["comment"],
+      flags: data["flags"] || [],
+      product_refs: data["productRefs"] || [],
+      intent: data["intent"],
+      timestamp: parse_timestamp(data["createTime"]),
+      raw: data
+    })
+  end
+
+  # A chat message matched an alerting moderation rule (link request, price
+  # question...) and the host may want to answer it live
+  defp handle_bridge_event(%{"type" => "chat_alert", "uniqueId" => unique_id, "data" => data}) do
+    broadcast_event(unique_id, %{
+      type: :chat_alert,
+      msg_id: data["msgId"],
+      user_id: to_string(data["userId"]),
+      username: data["uniqueId"],
+      nickname: data["nickname"],
+      content: data["comment"],
+      flags: data["flags"] || [],
+      alerts: data["alerts"] || [],
+      product_refs: data["productRefs"] || [],
+      intent: data["intent"],
       timestamp: parse_timestamp(data["createTime"]),
       raw: data
     })
@@ -370,11 +463,47 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
       diamond_count: data["diamondCount"],
       repeat_count: data["repeatCount"],
       repeat_end: data["repeatEnd"],
+      gift_type: data["giftType"],
+      streaking: data["streaking"] || false,
+      diamond_value: data["diamondValue"],
+      total_diamonds: data["totalDiamonds"],
       timestamp: parse_timestamp(data["createTime"]),
       raw: data
     })
   end
 
+  # Running totals kept by the bridge (sent periodically, and once more with
+  # final: true when the stream ends). `session` is when the bridge started
+  # counting the stream; a restarted bridge counts again from zero under a new one.
+  defp handle_bridge_event(%{"type" => "stream_totals", "uniqueId" => unique_id, "data" => data}) do
+    broadcast_event(unique_id, %{
+      type: :stream_totals,
+      session: data["startedAt"],
+      gifts: data["gifts"] || 0,
+      diamonds: data["diamonds"] || 0,
+      likes: data["likes"] || 0,
+      room_likes: data["roomLikes"],
+      follows: data["follows"] || 0,
+      shares: data["shares"] || 0,
+      final: data["final"] || false,
+      raw: data
+    })
+  end
+
+  # Viewer count sampled by the bridge at a fixed interval (the last reported
+  # count is carried forward when TikTok goes quiet)
+  defp handle_bridge_event(%{"type" => "viewer_sample", "uniqueId" => unique_id, "data" => data}) do
+    broadcast_event(unique_id, %{
+      type: :viewer_sample,
+      viewer_count: data["viewers"] || 0,
+      peak: data["peak"] || 0,
+      average: data["average"],
+      top_gifters: data["topGifters"] || [],
+      sampled_at: parse_timestamp(data["sampledAt"]),
+      raw: data
+    })
+  end
+
   defp handle_bridge_event(%{"type" => "like", "uniqueId" => unique_id, "data" => data}) do
     broadcast_event(unique_id, %{
       type: :like,
@@ -468,6 +597,39 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     })
   end
 
+  # A pinned product card, decoded by the bridge. Products use the same normalized
+  # fields as the `shopping` event, so it's handled as one downstream.
+  defp handle_bridge_event(%{
+         "type" => "product_pinned",
+         "uniqueId" => unique_id,
+         "data" => data
+       }) do
+    products = parse_products(data)
+    Logger.info("Product pinned for @#{unique_id}: #{length(products)} products")
+
+    broadcast_event(unique_id, %{
+      type: :shopping,
+      products: products,
+      product_number: data["productNumber"],
+      timestamp: DateTime.utc_now() |> DateTime.truncate(:second),
+      raw: data
+    })
+  end
+
+  defp handle_bridge_event(%{"type" => type, "uniqueId" => unique_id, "data" => data})
+       when is_map_key(@shopping_event_types, type) do
+    Logger.info("Shopping event for @#{unique_id}: #{type} (#{data["messageType"]})")
+
+    broadcast_event(unique_id, %{
+      type: Map.fetch!(@shopping_event_types, type),
+      message_type: data["messageType"],
+      products: parse_products(data),
+      coupon: data["coupon"],
+      timestamp: parse_timestamp(data["createTime"]),
+      raw: data
+    })
+  end
+
   defp handle_bridge_event(%{"type" => "liveIntro", "uniqueId" => unique_id, "data" => data}) do
     broadcast_event(unique_id, %{
       type: :live_intro,
@@ -488,13 +650,16 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     })
   end
 
+  # Shopping message the bridge has no schema for, or couldn't decode
   defp handle_bridge_event(%{"type" => "rawShopping", "uniqueId" => unique_id, "data" => data}) do
     Logger.info("Raw shopping message for @#{unique_id}: #{data["messageType"]}")
 
     broadcast_event(unique_id, %{
       type: :raw_shopping,
       message_type: data["messageType"],
+      msg_id: data["msgId"],
       payload_base64: data["payload"],
+      fields: data["fields"],
       timestamp: DateTime.utc_now() |> DateTime.truncate(:second),
       raw: data
     })
@@ -530,6 +695,24 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
     Application.get_env(:social_objects, :tiktok_bridge_url, "http://localhost:8080")
   end
 
+  # The bridge requires this bearer token on everything but /health when
+  # TIKTOK_BRIDGE_SECRET is set
+  defp auth_headers do
+    case Application.get_env(:social_objects, :tiktok_bridge_secret) do
+      secret when is_binary(secret) and secret != "" -> [{"authorization", "Bearer #{secret}"}]
+      _ -> []
+    end
+  end
+
+  defp retry_after(response) do
+    with [value | _] <- Req.Response.get_header(response, "retry-after"),
+         {seconds, ""} <- Integer.parse(value) do
+      seconds
+    else
+      _ -> 60
+    end
+  end
+
   defp parse_timestamp(nil), do: DateTime.utc_now() |> DateTime.truncate(:second)
 
   defp parse_timestamp(ts) when is_integer(ts) do
@@ -543,6 +726,24 @@ defmodule SocialObjects.TiktokLive.BridgeClient do
 
   defp parse_timestamp(_), do: DateTime.utc_now() |> DateTime.truncate(:second)
 
+  # Track the bridge sequence number of the latest event (status/heartbeat/replay
+  # messages aren't sequenced). The latest rather than the max, so a bridge whose
+  # journal was wiped and restarted numbering at 1 doesn't strand us.
+  defp event_seq(%{"seq" => seq, "uniqueId" => _}, _state) when is_integer(seq), do: seq
+
+  # Before our first event, baseline on the bridge's position from the status message
+  defp event_seq(%{"type" => "status", "seq" => seq}, %{last_seq: nil}) when is_integer(seq),
+    do: seq
+
+  # A draining bridge's successor numbers its events from here; resuming from
+  # it replays the overlap twice rather than skipping any of it
+  defp event_seq(%{"type" => "handoff", "seq" => seq}, _state) when is_integer(seq), do: seq
+
+  defp event_seq(_event, state), do: state.last_seq
+
+  defp replay_conn(conn, nil), do: conn
+  defp replay_conn(conn, last_seq), do: %{conn | query: "since=#{last_seq}"}
+
   defp cancel_heartbeat(nil), do: :ok
   defp cancel_heartbeat(ref), do: Process.cancel_timer(ref)
 
@@ -30,6 +30,15 @@ defmodule SocialObjects.TiktokLive.EventHandler do
   # Only persist viewer count to DB every N ms (reduces query spam)
   @viewer_count_persist_interval_ms 5_000
 
+  # Stream stats fed by the bridge's totals, with the total each one comes from
+  @bridge_totals_fields [
+    like_count: :likes,
+    gift_count: :gifts,
+    gift_value: :diamonds,
+    follow_count: :follows,
+    share_count: :shares
+  ]
+
   defmodule State do
     @moduledoc false
     defstruct [
@@ -41,7 +50,8 @@ defmodule SocialObjects.TiktokLive.EventHandler do
       :flush_timer_ref,
       :stats_timer_ref,
       :seen_msg_ids,
-      :last_viewer_count_persist
+      :last_viewer_count_persist,
+      :bridge_totals
     ]
   end
 
@@ -109,7 +119,8 @@ defmodule SocialObjects.TiktokLive.EventHandler do
       flush_timer_ref: schedule_flush(),
       stats_timer_ref: schedule_stats_save(),
       seen_msg_ids: MapSet.new(),
-      last_viewer_count_persist: System.monotonic_time(:millisecond)
+      last_viewer_count_persist: System.monotonic_time(:millisecond),
+      bridge_totals: %{}
     }
 
     {:ok, state}
@@ -136,7 +147,7 @@ defmodule SocialObjects.TiktokLive.EventHandler do
 
   @impl GenServer
   def handle_info(:save_stats, state) do
-    new_state = save_stats_snapshot(state)
+    new_state = save_stream_aggregates(state)
     {:noreply, %{new_state | stats_timer_ref: schedule_stats_save()}}
   end
 
@@ -146,7 +157,7 @@ defmodule SocialObjects.TiktokLive.EventHandler do
 
     # Final flush and cleanup
     state = flush_comment_batch(state)
-    state = save_stats_snapshot(state)
+    state = save_stream_aggregates(state)
 
     # Cancel timers
     _ = cancel_timer(state.flush_timer_ref)
@@ -164,7 +175,7 @@ defmodule SocialObjects.TiktokLive.EventHandler do
   def handle_call(:stop, _from, state) do
     # Flush remaining events
     state = flush_comment_batch(state)
-    state = save_stats_snapshot(state)
+    state = save_stream_aggregates(state)
 
     # Cancel timers
     _ = cancel_timer(state.flush_timer_ref)
@@ -182,7 +193,7 @@ defmodule SocialObjects.TiktokLive.EventHandler do
   def terminate(_reason, state) do
     # Final flush on termination
     _ = flush_comment_batch(state)
-    _ = save_stats_snapshot(state)
+    _ = save_stream_aggregates(state)
     :ok
   end
 
@@ -262,27 +273,15 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     end
   end
 
+  # Like, gift, follow and share counts come from the bridge's stream_totals
   defp process_event(%{type: :like} = event, state) do
-    total = event.total_count || state.stats.like_count + (event.count || 1)
-    new_stats = %{state.stats | like_count: total}
-
     _ = broadcast_to_stream(state.stream_id, {:like, event})
-
-    %{state | stats: new_stats}
+    state
   end
 
   defp process_event(%{type: :gift} = event, state) do
-    diamond_count = event.diamond_count || 0
-
-    new_stats = %{
-      state.stats
-      | gift_count: state.stats.gift_count + 1,
-        gift_value: state.stats.gift_value + diamond_count
-    }
-
     _ = broadcast_to_stream(state.stream_id, {:gift, event})
-
-    %{state | stats: new_stats}
+    state
   end
 
   defp process_event(%{type: :join} = event, state) do
@@ -291,15 +290,65 @@ defmodule SocialObjects.TiktokLive.EventHandler do
   end
 
   defp process_event(%{type: :follow} = event, state) do
-    new_stats = %{state.stats | follow_count: state.stats.follow_count + 1}
     _ = broadcast_to_stream(state.stream_id, {:follow, event})
-    %{state | stats: new_stats}
+    state
   end
 
   defp process_event(%{type: :share} = event, state) do
-    new_stats = %{state.stats | share_count: state.stats.share_count + 1}
     _ = broadcast_to_stream(state.stream_id, {:share, event})
-    %{state | stats: new_stats}
+    state
+  end
+
+  # The bridge samples viewers at a fixed interval (carrying the last count
+  # through quiet spells), so each sample is one evenly spaced point in the
+  # stream's stats series
+  defp process_event(%{type: :viewer_sample} = event, state) do
+    stats = state.stats
+
+    new_stats = %{
+      stats
+      | viewer_count: event.viewer_count,
+        viewer_count_peak: max(stats.viewer_count_peak, event.peak)
+    }
+
+    state = %{state | stats: new_stats}
+    _ = save_stream_stat(state, event.sampled_at)
+    _ = broadcast_to_stream(state.stream_id, {:viewer_sample, event})
+    state
+  end
+
+  # The bridge's totals run per bridge session and restart from zero when the
+  # bridge restarts mid-stream, so each session's growth is added to what we
+  # have. The first session this handler sees may already be counted in the
+  # stats loaded from the stream, so it only raises them. TikTok's room like
+  # total never restarts and wins when it's higher.
+  defp process_event(%{type: :stream_totals} = event, state) do
+    previous = Map.get(state.bridge_totals, event.session)
+    first_session? = map_size(state.bridge_totals) == 0
+
+    new_stats =
+      Enum.reduce(@bridge_totals_fields, state.stats, fn {stat, field}, stats ->
+        current = Map.fetch!(stats, stat)
+        total = Map.fetch!(event, field)
+
+        value =
+          cond do
+            previous -> current + max(total - Map.fetch!(previous, field), 0)
+            first_session? -> max(current, total)
+            true -> current + total
+          end
+
+        Map.put(stats, stat, value)
+      end)
+
+    new_stats = %{new_stats | like_count: max(new_stats.like_count, event.room_likes || 0)}
+    totals = Map.take(event, Keyword.values(@bridge_totals_fields))
+
+    %{
+      state
+      | stats: new_stats,
+        bridge_totals: Map.put(state.bridge_totals, event.session, totals)
+    }
   end
 
   defp process_event(%{type: :stream_ended}, state) do
@@ -333,6 +382,25 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     state
   end
 
+  # Later frames sampled during the stream are kept as a visual timeline
+  # alongside the cover image rather than replacing it
+  defp process_event(%{type: :thumbnail, sample: sample} = event, state) when sample > 0 do
+    _ =
+      Task.start(fn ->
+        case upload_frame(state.stream_id, event.captured_at, event.thumbnail_base64) do
+          {:ok, key} ->
+            Logger.debug("Frame #{sample} uploaded for stream #{state.stream_id}: #{key}")
+
+          {:error, reason} ->
+            Logger.warning(
+              "Failed to upload frame for stream #{state.stream_id}: #{inspect(reason)}"
+            )
+        end
+      end)
+
+    state
+  end
+
   defp process_event(%{type: :thumbnail, thumbnail_base64: base64}, state) do
     # Decode and upload thumbnail to storage
     _ =
@@ -478,13 +546,11 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     %{state | comment_batch: []}
   end
 
-  defp save_stats_snapshot(state) do
-    now = DateTime.utc_now() |> DateTime.truncate(:second)
-
+  defp save_stream_stat(state, recorded_at) do
     stat_attrs = %{
       brand_id: state.brand_id,
       stream_id: state.stream_id,
-      recorded_at: now,
+      recorded_at: recorded_at,
       viewer_count: state.stats.viewer_count,
       like_count: state.stats.like_count,
       gift_count: state.stats.gift_count,
@@ -502,8 +568,10 @@ defmodule SocialObjects.TiktokLive.EventHandler do
       {:error, changeset} ->
         Logger.warning("Failed to save stats: #{inspect(changeset.errors)}")
     end
+  end
 
-    # Update aggregate stats on stream record
+  # Update aggregate stats on stream record
+  defp save_stream_aggregates(state) do
     stream = state.stream
 
     Repo.transaction(fn ->
@@ -588,6 +656,12 @@ defmodule SocialObjects.TiktokLive.EventHandler do
     SocialObjects.Storage.upload_binary(key, binary, "image/jpeg")
   end
 
+  defp upload_frame(stream_id, captured_at, base64_data) do
+    binary = Base.decode64!(base64_data)
+    key = "streams/#{stream_id}/frames/#{DateTime.to_unix(captured_at)}.jpg"
+    SocialObjects.Storage.upload_binary(key, binary, "image/jpeg")
+  end
+
   defp auto_link_stream(brand_id, stream_id) do
     case SocialObjects.TiktokLive.auto_link_stream_to_product_set(brand_id, stream_id) do
       {:ok, _session_stream} ->
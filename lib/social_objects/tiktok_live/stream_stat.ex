@@ -2,8 +2,8 @@ defmodule SocialObjects.TiktokLive.StreamStat do
   @moduledoc """
   Time-series statistics captured during a TikTok live stream.
 
-  Stats are sampled periodically (typically every 30 seconds) to track
-  engagement metrics over the course of the stream.
+  One row per `viewer_sample` from the bridge (every 30 seconds by default),
+  so the series is evenly spaced over the course of the stream.
   """
   use Ecto.Schema
   import Ecto.Changeset
@@ -75,6 +75,11 @@ defmodule SocialObjects.Workers.TiktokLiveStreamWorker do
         # Start the event handler now that we're connected
         start_event_handler_and_monitor(stream_id, unique_id, brand_id)
 
+      {:error, {:rate_limited, retry_after}} ->
+        Phoenix.PubSub.unsubscribe(SocialObjects.PubSub, "tiktok_live:bridge:events")
+        Logger.warning("Bridge is rate limiting connects, retrying @#{unique_id} in #{retry_after}s")
+        {:snooze, retry_after}
+
       {:error, reason} ->
         # Unsubscribe since we failed
         Phoenix.PubSub.unsubscribe(SocialObjects.PubSub, "tiktok_live:bridge:events")
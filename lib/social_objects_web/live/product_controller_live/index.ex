@@ -15,6 +15,7 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
   import SocialObjectsWeb.ParamHelpers
 
   alias SocialObjects.ProductSets
+  alias SocialObjects.ProductSets.ProductSetProduct
 
   @impl true
   def mount(%{"id" => product_set_id_param}, _session, socket) do
@@ -55,6 +56,7 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
         current_product: nil,
         current_position: nil,
         current_image_index: 0,
+        pinned_product_set_product_id: nil,
         total_products: length(product_set.product_set_products),
         host_message: nil,
         message_draft: "",
@@ -64,6 +66,7 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
         show_preset_modal: false,
         voice_assets: voice_assets,
         voice_control_enabled: voice_control_enabled,
+        voice_products: voice_products(product_set),
         product_set_notes_visible: false
       )
 
@@ -137,6 +140,32 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
     end
   end
 
+  # Cycle the current product's images (voice commands)
+  @impl true
+  def handle_event("next_image", _params, socket) do
+    authorize socket, :admin do
+      _ = ProductSets.cycle_product_image(socket.assigns.product_set_id, :next)
+      {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("previous_image", _params, socket) do
+    authorize socket, :admin do
+      _ = ProductSets.cycle_product_image(socket.assigns.product_set_id, :previous)
+      {:noreply, socket}
+    end
+  end
+
+  # Pin the current product (voice command "pin this one")
+  @impl true
+  def handle_event("pin_product", _params, socket) do
+    authorize socket, :admin do
+      _ = ProductSets.pin_current_product(socket.assigns.product_set_id)
+      {:noreply, socket}
+    end
+  end
+
   # Product Set Notes Toggle (controls host view)
   @impl true
   def handle_event("toggle_product_set_notes", _params, socket) do
@@ -322,6 +351,19 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
 
   ## Private Helpers
 
+  # Product names for voice jumps by name (VoiceControl hook's data-voice-products)
+  defp voice_products(product_set) do
+    product_set.product_set_products
+    |> Enum.sort_by(& &1.position)
+    |> Enum.map(fn psp ->
+      %{
+        position: psp.position,
+        name: ProductSetProduct.effective_name(psp),
+        aliases: psp.voice_aliases || []
+      }
+    end)
+  end
+
   defp subscribe_to_product_set(product_set_id) do
     _ = Phoenix.PubSub.subscribe(SocialObjects.PubSub, "product_set:#{product_set_id}:state")
     _ = Phoenix.PubSub.subscribe(SocialObjects.PubSub, "product_set:#{product_set_id}:ui")
@@ -365,6 +407,8 @@ defmodule SocialObjectsWeb.ProductControllerLive.Index do
   end
 
   defp load_state_from_product_set_state(socket, state) do
+    socket = assign(socket, :pinned_product_set_product_id, state.pinned_product_set_product_id)
+
     socket =
       if state.current_product_set_product_id do
         load_by_product_set_product_id(
@@ -544,25 +544,28 @@ defmodule SocialObjectsWeb.TiktokLive.Index do
 
   @impl true
   def handle_info({:tiktok_live_stream_event, {:viewer_count, _count}}, socket) do
-    # Viewer count update - reload stream stats
+    # Viewer count update - reload the stream for its current count
     if socket.assigns.selected_stream do
       stream =
         TiktokLiveContext.get_stream!(socket.assigns.brand_id, socket.assigns.selected_stream.id)
 
-      socket =
-        socket
-        |> assign(:selected_stream, stream)
+      {:noreply, assign(socket, :selected_stream, stream)}
+    else
+      {:noreply, socket}
+    end
+  end
 
-      # Reload stats if on stats tab
-      socket =
-        if socket.assigns.active_tab == "stats" do
-          stats = TiktokLiveContext.list_stream_stats(socket.assigns.brand_id, stream.id)
-          assign(socket, :stream_stats, stats)
-        else
-          socket
-        end
+  @impl true
+  def handle_info({:tiktok_live_stream_event, {:viewer_sample, _sample}}, socket) do
+    # A new point in the stats series - reload stats if on stats tab
+    if socket.assigns.selected_stream && socket.assigns.active_tab == "stats" do
+      stats =
+        TiktokLiveContext.list_stream_stats(
+          socket.assigns.brand_id,
+          socket.assigns.selected_stream.id
+        )
 
-      {:noreply, socket}
+      {:noreply, assign(socket, :stream_stats, stats)}
     else
       {:noreply, socket}
     end
@@ -0,0 +1,10 @@
+defmodule SocialObjects.Repo.Migrations.AddVoiceCommandsToProductSets do
+  use Ecto.Migration
+
+  def change do
+    # Per product set overrides for the voice control command grammar
+    alter table(:product_sets) do
+      add :voice_commands, :map, default: %{}
+    end
+  end
+end
@@ -0,0 +1,10 @@
+defmodule SocialObjects.Repo.Migrations.AddVoiceAliasesToProductSetProducts do
+  use Ecto.Migration
+
+  def change do
+    # Other names the host uses for a product, matched by voice control
+    alter table(:product_set_products) do
+      add :voice_aliases, {:array, :string}, default: []
+    end
+  end
+end
@@ -0,0 +1,13 @@
+defmodule SocialObjects.Repo.Migrations.AddPinnedProductToProductSetStates do
+  use Ecto.Migration
+
+  def change do
+    # Product the host pinned in the live room ("pin this one" voice command)
+    alter table(:product_set_states) do
+      add :pinned_product_set_product_id,
+          references(:product_set_products, on_delete: :nilify_all)
+    end
+
+    create index(:product_set_states, [:pinned_product_set_product_id])
+  end
+end
@@ -0,0 +1,271 @@
+/**
+ * Live Stream Archiving
+ *
+ * Remuxes a live's video stream (no re-encoding) into rolling MP4 or MPEG-TS
+ * segments on local disk with ffmpeg's segment muxer, so the VOD can be cut
+ * into clips later. Each recording lives in its own directory:
+ *
+ *   ARCHIVE_DIR/<uniqueId>/<recordingId>/segment_00000.ts
+ *                                        segments.csv    (ffmpeg's segment list)
+ *                                        manifest.json   (ours, see below)
+ *
+ * ffmpeg appends a line to segments.csv each time it finishes a segment; we
+ * poll it to report `segment_written` and keep manifest.json up to date.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { log, redactUrl } from './logger.js';
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(process.cwd(), 'data', 'archives');
+const ARCHIVE_SEGMENT_SECONDS = parseInt(process.env.ARCHIVE_SEGMENT_SECONDS || '300', 10);
+const ARCHIVE_MAX_CONCURRENT = parseInt(process.env.ARCHIVE_MAX_CONCURRENT || '4', 10);
+
+const FORMATS = {
+  ts: { muxer: 'mpegts', ext: 'ts' },
+  mp4: { muxer: 'mp4', ext: 'mp4' }
+};
+
+// How often to check the segment list for finished segments
+const SEGMENT_POLL_MS = 2000;
+
+// How long ffmpeg gets to finalize the last segment after being asked to stop
+const STOP_TIMEOUT_MS = 10000;
+
+// Active recordings: Map<uniqueId, recording>
+const recordings = new Map();
+
+/**
+ * Directory-safe version of a uniqueId
+ */
+function safeName(value) {
+  return value.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function writeManifest(recording) {
+  const { uniqueId, recordingId, format, segmentSeconds, startedAt, stoppedAt, stopReason, segments } = recording;
+  const manifest = { uniqueId, recordingId, format, segmentSeconds, startedAt, stoppedAt, stopReason, segments };
+
+  try {
+    fs.writeFileSync(recording.manifestFile, JSON.stringify(manifest, null, 2));
+  } catch (err) {
+    log.error('Failed to write archive manifest', { uniqueId, recordingId, err });
+  }
+}
+
+/**
+ * Pick up segments ffmpeg has finished since the last check.
+ * Segment list lines are `<file>,<start seconds>,<end seconds>`.
+ */
+function collectSegments(recording) {
+  let lines;
+  try {
+    lines = fs.readFileSync(recording.listFile, 'utf8').split('\n').filter(Boolean);
+  } catch {
+    return; // No segment finished yet
+  }
+
+  for (const line of lines.slice(recording.segments.length)) {
+    const [file, start, end] = line.split(',');
+    const filePath = path.join(recording.dir, file);
+    let bytes = null;
+    try {
+      bytes = fs.statSync(filePath).size;
+    } catch {
+      // Reported before it hit the disk; size stays unknown
+    }
+
+    const segment = {
+      index: recording.segments.length,
+      file,
+      start: parseFloat(start),
+      end: parseFloat(end),
+      duration: parseFloat(end) - parseFloat(start),
+      bytes,
+      writtenAt: Date.now()
+    };
+    recording.segments.push(segment);
+    writeManifest(recording);
+
+    log.info('Archive segment written', { uniqueId: recording.uniqueId, recordingId: recording.recordingId, segment: segment.index, file });
+    recording.onEvent('segment_written', {
+      recordingId: recording.recordingId,
+      ...segment,
+      path: filePath
+    });
+  }
+}
+
+/**
+ * Start archiving a stream. `onEvent(type, data)` is called for
+ * recording_started, segment_written and recording_stopped.
+ */
+export function startArchive(uniqueId, streamUrl, { format = 'ts', segmentSeconds = ARCHIVE_SEGMENT_SECONDS } = {}, onEvent) {
+  if (recordings.has(uniqueId)) {
+    return { success: false, error: 'Already recording this stream' };
+  }
+  if (recordings.size >= ARCHIVE_MAX_CONCURRENT) {
+    return { success: false, error: `Too many active recordings (max ${ARCHIVE_MAX_CONCURRENT})` };
+  }
+  if (!FORMATS[format]) {
+    return { success: false, error: `Unsupported format: ${format} (use ${Object.keys(FORMATS).join(' or ')})` };
+  }
+  if (!Number.isInteger(segmentSeconds) || segmentSeconds <= 0) {
+    return { success: false, error: 'segmentSeconds must be a positive integer' };
+  }
+
+  const startedAt = Date.now();
+  const recordingId = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(ARCHIVE_DIR, safeName(uniqueId), recordingId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const { muxer, ext } = FORMATS[format];
+  const listFile = path.join(dir, 'segments.csv');
+
+  const args = ['-hide_banner', '-loglevel', 'warning', '-y'];
+  if (/^https?:/.test(streamUrl)) {
+    // Ride out brief CDN hiccups instead of ending the recording
+    args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5');
+  }
+  args.push(
+    '-user_agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    '-headers', 'Referer: https://www.tiktok.com/\r\n',
+    '-i', streamUrl,
+    '-map', '0',
+    '-c', 'copy',
+    '-f', 'segment',
+    '-segment_time', String(segmentSeconds),
+    '-segment_format', muxer,
+    '-reset_timestamps', '1',
+    '-segment_list', listFile,
+    '-segment_list_type', 'csv'
+  );
+  if (format === 'mp4') {
+    args.push('-segment_format_options', 'movflags=+faststart');
+  }
+  args.push(path.join(dir, `segment_%05d.${ext}`));
+
+  const ffmpegProcess = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  const recording = {
+    uniqueId,
+    recordingId,
+    format,
+    segmentSeconds,
+    startedAt,
+    stoppedAt: null,
+    stopReason: null,
+    segments: [],
+    dir,
+    listFile,
+    manifestFile: path.join(dir, 'manifest.json'),
+    process: ffmpegProcess,
+    pollTimer: setInterval(() => collectSegments(recording), SEGMENT_POLL_MS),
+    killTimer: null,
+    stopped: null,
+    onEvent
+  };
+  recordings.set(uniqueId, recording);
+  writeManifest(recording);
+
+  let stderr = '';
+  ffmpegProcess.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+
+  recording.stopped = new Promise((resolve) => {
+    let finished = false;
+    const finish = (reason) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(recording.pollTimer);
+      clearTimeout(recording.killTimer);
+      recordings.delete(uniqueId);
+
+      // ffmpeg lists the final segment as it exits
+      collectSegments(recording);
+      recording.stoppedAt = Date.now();
+      recording.stopReason = recording.stopReason || reason;
+      writeManifest(recording);
+
+      const summary = {
+        recordingId,
+        reason: recording.stopReason,
+        segments: recording.segments.length,
+        manifest: recording.manifestFile,
+        durationMs: recording.stoppedAt - startedAt
+      };
+      log.info('Archive stopped', { uniqueId, recordingId, reason: summary.reason, segments: summary.segments });
+      onEvent('recording_stopped', summary);
+      resolve(summary);
+    };
+
+    ffmpegProcess.on('error', (err) => {
+      log.error('Archive ffmpeg failed to start', { uniqueId, recordingId, code: 'spawn', err });
+      finish(`ffmpeg_error: ${err.message}`);
+    });
+
+    ffmpegProcess.on('close', (code, signal) => {
+      if (!recording.stopReason && code !== 0) {
+        // ffmpeg echoes the input URL, signed tokens and all, in its errors
+        log.error('Archive ffmpeg exited', {
+          uniqueId,
+          recordingId,
+          code: signal || `exit_${code}`,
+          stderr: stderr.split(streamUrl).join(redactUrl(streamUrl))
+        });
+      }
+      finish(code === 0 || recording.stopReason ? 'stream_ended' : `ffmpeg_exit_${signal || code}`);
+    });
+  });
+
+  log.info('Archiving stream', { uniqueId, recordingId, dir, format, segmentSeconds });
+  onEvent('recording_started', { recordingId, format, segmentSeconds, dir, startedAt });
+
+  return { success: true, recordingId, format, segmentSeconds, dir };
+}
+
+/**
+ * Stop archiving a stream. ffmpeg is interrupted so it finalizes the current
+ * segment; resolves with the recording_stopped summary once it has exited.
+ * Returns null if the stream isn't being archived.
+ */
+export function stopArchive(uniqueId, reason = 'requested') {
+  const recording = recordings.get(uniqueId);
+  if (!recording) return null;
+
+  if (!recording.stopReason) {
+    recording.stopReason = reason;
+    recording.process.kill('SIGINT');
+    recording.killTimer = setTimeout(() => {
+      log.error("Archive ffmpeg didn't stop, killing it", { uniqueId, recordingId: recording.recordingId, code: 'stop_timeout' });
+      recording.process.kill('SIGKILL');
+    }, STOP_TIMEOUT_MS);
+  }
+
+  return recording.stopped;
+}
+
+/**
+ * Stop every active recording (shutdown)
+ */
+export function stopAllArchives(reason) {
+  return Promise.all(Array.from(recordings.keys()).map(uniqueId => stopArchive(uniqueId, reason)));
+}
+
+/**
+ * Summary of a stream's active recording, or null
+ */
+export function archiveInfo(uniqueId) {
+  const recording = recordings.get(uniqueId);
+  if (!recording) return null;
+
+  return {
+    recordingId: recording.recordingId,
+    format: recording.format,
+    segmentSeconds: recording.segmentSeconds,
+    startedAt: recording.startedAt,
+    segments: recording.segments.length
+  };
+}
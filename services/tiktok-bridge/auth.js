@@ -0,0 +1,144 @@
+/**
+ * Request Authentication
+ *
+ * HTTP routes accept either form of credentials, both derived from the shared
+ * secret in TIKTOK_BRIDGE_SECRET:
+ *
+ *   Authorization: Bearer <secret>
+ *
+ *   X-Bridge-Timestamp: <unix seconds>
+ *   X-Bridge-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<body>">
+ *
+ * The WebSocket upgrade accepts the bearer header or a `?token=<secret>` query
+ * parameter (for clients that can't set headers). Browser origins are checked
+ * against CORS_ALLOWED_ORIGINS.
+ *
+ * With no secret configured, authentication is disabled (local development).
+ */
+
+import crypto from 'crypto';
+
+const SECRET = process.env.TIKTOK_BRIDGE_SECRET || '';
+
+// Signed requests older or newer than this are rejected (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+/**
+ * Whether requests must carry credentials
+ */
+export function authEnabled() {
+  return SECRET.length > 0;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Bearer token from an Authorization header, if any
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * HMAC signature for a request, as sent in X-Bridge-Signature
+ */
+function signRequest(timestamp, method, pathname, body) {
+  const hmac = crypto.createHmac('sha256', SECRET);
+  hmac.update(`${timestamp}.${method.toUpperCase()}.${pathname}.${body || ''}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Headers signing a request this bridge makes to another instance (e.g. a drain
+ * handoff), or none when auth is disabled. Instances share the secret.
+ */
+export function signedHeaders(method, pathname, body) {
+  if (!authEnabled()) return {};
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    'X-Bridge-Timestamp': timestamp,
+    'X-Bridge-Signature': signRequest(timestamp, method, pathname, body)
+  };
+}
+
+/**
+ * Check an HTTP request's credentials. `body` is the raw request body
+ * (needed to verify signatures). Returns null if authorized, else the reason.
+ */
+export function authenticateRequest(req, pathname, body) {
+  if (!authEnabled()) return null;
+
+  const token = bearerToken(req);
+  if (token) {
+    return safeEqual(token, SECRET) ? null : 'Invalid token';
+  }
+
+  const signature = req.headers['x-bridge-signature'];
+  const timestamp = req.headers['x-bridge-timestamp'];
+  if (signature && timestamp) {
+    const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+    if (!(skew <= SIGNATURE_TOLERANCE_SECONDS)) {
+      return 'Signature timestamp out of range';
+    }
+    return safeEqual(signature, signRequest(timestamp, req.method, pathname, body))
+      ? null
+      : 'Invalid signature';
+  }
+
+  return 'Missing credentials';
+}
+
+/**
+ * Check a WebSocket upgrade request's origin and token.
+ * Returns null if authorized, else the reason.
+ */
+export function authenticateUpgrade(req) {
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    return 'Origin not allowed';
+  }
+
+  if (!authEnabled()) return null;
+
+  const url = new URL(req.url, 'http://localhost');
+  const token = bearerToken(req) || url.searchParams.get('token');
+  if (!token) return 'Missing credentials';
+
+  return safeEqual(token, SECRET) ? null : 'Invalid token';
+}
+
+/**
+ * Whether a browser origin may call the bridge
+ */
+export function isAllowedOrigin(origin) {
+  return ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin);
+}
+
+/**
+ * Set CORS headers for a request. Only allowlisted origins are echoed back;
+ * others get no Access-Control-Allow-Origin, so browsers block the response.
+ */
+export function applyCors(req, res) {
+  const origin = req.headers.origin;
+
+  res.setHeader('Vary', 'Origin');
+  if (origin && isAllowedOrigin(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Bridge-Timestamp, X-Bridge-Signature');
+}
@@ -0,0 +1,136 @@
+/**
+ * WebSocket Backpressure
+ *
+ * Each /events client gets an outbox between broadcastEvent and the socket.
+ * Messages go straight to the socket while its send buffer is below
+ * WS_HIGH_WATER_BYTES; past that they wait in the outbox, which holds at most
+ * WS_MAX_QUEUE messages. When it's full, low-value events (likes, viewer
+ * counts) are dropped first, then other droppable ones. Chat, shopping and
+ * connection lifecycle events are never dropped.
+ *
+ * A client whose outbox stays full for WS_SLOW_CLIENT_TIMEOUT_MS (or that
+ * piles up twice the limit in undroppable events) is disconnected, so one slow
+ * consumer can't grow the bridge's memory without bound. It can reconnect with
+ * `?since=<seq>` to catch up from the journal.
+ */
+
+import { WebSocket } from 'ws';
+
+const WS_HIGH_WATER_BYTES = parseInt(process.env.WS_HIGH_WATER_BYTES || String(1024 * 1024), 10);
+const WS_MAX_QUEUE = parseInt(process.env.WS_MAX_QUEUE || '1000', 10);
+const WS_SLOW_CLIENT_TIMEOUT_MS = parseInt(process.env.WS_SLOW_CLIENT_TIMEOUT_MS || '30000', 10);
+
+// Dropped first when an outbox is full
+const LOW_VALUE_EVENTS = new Set(['like', 'roomUser', 'member', 'heartbeat']);
+
+// Never dropped, whatever the backlog
+const NEVER_DROP_EVENTS = new Set([
+  'chat',
+  'chat_alert',
+  'rawShopping',
+  'product_pinned',
+  'coupon_shown',
+  'shopping_update',
+  'connected',
+  'disconnected',
+  'streamEnd',
+  'reconnecting',
+  'reconnect_failed',
+  'went_live',
+  'handoff',
+  'replay'
+]);
+
+/**
+ * Remove the oldest queued message of a droppable tier, returning it (or null)
+ */
+function dropOldest(queue, predicate) {
+  const index = queue.findIndex(predicate);
+  return index === -1 ? null : queue.splice(index, 1)[0];
+}
+
+/**
+ * Create a client's outbox. `onDrop(type)` is called for each dropped event and
+ * `onSlow(reason)` once the client should be disconnected.
+ */
+export function createOutbox(ws, { onDrop, onSlow }) {
+  const queue = [];
+  let dropped = 0;
+  let overLimitSince = null;
+  let closing = false;
+
+  const canWrite = () => ws.readyState === WebSocket.OPEN && ws.bufferedAmount < WS_HIGH_WATER_BYTES;
+
+  const flush = () => {
+    while (queue.length > 0 && canWrite()) {
+      ws.send(queue.shift().message, flushAfterWrite);
+    }
+    if (queue.length < WS_MAX_QUEUE) {
+      overLimitSince = null;
+    }
+  };
+
+  // Called once a send has been handed to the OS, freeing buffer space
+  function flushAfterWrite(err) {
+    if (!err && queue.length > 0) flush();
+  }
+
+  const drop = (type) => {
+    dropped++;
+    onDrop(type);
+  };
+
+  return {
+    /**
+     * Send a message now or queue it, applying the drop policy when full
+     */
+    send(type, message) {
+      if (closing || ws.readyState !== WebSocket.OPEN) return;
+
+      flush();
+      if (queue.length === 0 && canWrite()) {
+        ws.send(message, flushAfterWrite);
+        return;
+      }
+
+      queue.push({ type, message });
+      if (queue.length <= WS_MAX_QUEUE) return;
+
+      const victim =
+        dropOldest(queue, entry => LOW_VALUE_EVENTS.has(entry.type)) ||
+        dropOldest(queue, entry => !NEVER_DROP_EVENTS.has(entry.type));
+      if (victim) {
+        drop(victim.type);
+      }
+
+      const now = Date.now();
+      overLimitSince = overLimitSince || now;
+
+      if (queue.length >= WS_MAX_QUEUE * 2) {
+        closing = true;
+        onSlow(`${queue.length} undroppable events queued`);
+      } else if (now - overLimitSince >= WS_SLOW_CLIENT_TIMEOUT_MS) {
+        closing = true;
+        onSlow(`over queue limit for ${Math.round((now - overLimitSince) / 1000)}s`);
+      }
+    },
+
+    flush,
+
+    /**
+     * Queue state, for /status and metrics
+     */
+    stats() {
+      return {
+        queued: queue.length,
+        bufferedBytes: ws.bufferedAmount,
+        dropped,
+        overLimitSince
+      };
+    },
+
+    clear() {
+      queue.length = 0;
+    }
+  };
+}
@@ -0,0 +1,656 @@
+/**
+ * Cluster Coordinator
+ *
+ * `node cluster.js` runs the bridge as a coordinator plus CLUSTER_WORKERS
+ * worker processes (node `cluster`), so the protobuf decoding and ffmpeg
+ * spawns of many streams are spread over several cores. Clients see the same
+ * API as a single bridge:
+ *
+ * - Each worker is a full bridge (server.js) listening on loopback at
+ *   CLUSTER_WORKER_BASE_PORT + its id, with its own state file. Per-stream
+ *   requests (/connect, /disconnect, /record/*, /watch, /moderation/:id,
+ *   /replay, /test-stream) are forwarded to the worker that owns the stream;
+ *   /status, /watch, /moderation and /metrics merge every worker's answer.
+ * - Streams are placed with a consistent hash ring (see ring.js) and stay on
+ *   their worker once placed, so a new worker only takes new streams.
+ * - Workers send their events over IPC. The coordinator sequences, journals
+ *   and serves them on /events (see events.js), so `?since=` replay covers
+ *   every worker.
+ * - When a worker dies it leaves the ring, and everything in its state file
+ *   (streams, watchlist, moderation rules) is handed to the remaining workers
+ *   through their /adopt (see handoff.js). A replacement starts under a new id.
+ *
+ * - Connect limits (see ratelimit.js) are kept here for the whole cluster;
+ *   workers ask for each connect token over IPC.
+ *
+ * Draining and handoffs between bridges (/drain, /handoff, /adopt) aren't
+ * supported in cluster mode.
+ */
+
+import http from 'http';
+import cluster from 'cluster';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { URL, fileURLToPath } from 'url';
+import { initJournal, currentSeq, closeJournal } from './journal.js';
+import { authEnabled, authenticateRequest, applyCors, signedHeaders } from './auth.js';
+import { createEventHub } from './events.js';
+import { createHashRing } from './ring.js';
+import { createHandoff, sendHandoff } from './handoff.js';
+import { readStateFile } from './state.js';
+import { loadFixture } from './recording.js';
+import { connectTokenReply, quotaStats } from './ratelimit.js';
+import { createCounter, createGauge, renderMetrics } from './metrics.js';
+import { log, updateLogSettings, logSettings } from './logger.js';
+
+const PORT = process.env.PORT || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+
+const CLUSTER_WORKERS = Math.max(1, parseInt(process.env.CLUSTER_WORKERS || String(os.cpus().length), 10));
+const CLUSTER_WORKER_BASE_PORT = parseInt(process.env.CLUSTER_WORKER_BASE_PORT || '9100', 10);
+
+// Worker state files live where a single bridge keeps its STATE_FILE
+const STATE_DIR = path.dirname(process.env.STATE_FILE || path.join(process.cwd(), 'data', 'state.json'));
+const WORKER_STATE_FILE = /^state-worker-(\d+)\.json$/;
+
+// Request bodies are small JSON payloads; anything bigger is rejected unread
+const MAX_BODY_BYTES = 64 * 1024;
+
+// How long a worker gets to answer a forwarded request (a connect can be slow)
+const WORKER_REQUEST_TIMEOUT_MS = 60000;
+
+// Pause before replacing a dead worker, so a crash loop doesn't spin
+const WORKER_RESTART_DELAY_MS = 1000;
+
+// How long workers get to close their streams at shutdown
+const SHUTDOWN_TIMEOUT_MS = 30000;
+
+// Live workers: Map<id, { id, worker, port, ready, startedAt }>
+const slots = new Map();
+let nextSlotId = CLUSTER_WORKERS + 1;
+
+// Worker each stream was placed on; it stays there while that worker lives: Map<uniqueId, id>
+const owners = new Map();
+
+// Connected streams and their worker, from the workers' events: Map<uniqueId, id>
+const live = new Map();
+
+// State of dead workers waiting for a live worker to adopt it: [{ worker, file, state, streams }]
+const orphans = [];
+let adopting = false;
+
+const ring = createHashRing();
+const startTime = Date.now();
+let shuttingDown = false;
+
+const workerExits = createCounter('cluster_worker_exits_total', 'Cluster workers that died');
+const reassignedStreams = createCounter('cluster_reassigned_streams_total', 'Streams moved off workers that died, by outcome');
+
+createGauge('cluster_workers', 'Cluster workers serving streams', () => readySlots().length);
+
+function readySlots() {
+  return Array.from(slots.values()).filter(slot => slot.ready);
+}
+
+function workerStateFile(id) {
+  return path.join(STATE_DIR, `state-worker-${id}.json`);
+}
+
+/**
+ * The worker a stream lives on, placing it on the ring if it has none yet
+ * (or its worker is gone). Null if no worker is ready.
+ */
+function ownerOf(uniqueId) {
+  const slot = slots.get(owners.get(uniqueId));
+  if (slot?.ready) return slot;
+
+  const id = ring.owner(uniqueId);
+  if (id === null) return null;
+  owners.set(uniqueId, id);
+  return slots.get(id);
+}
+
+/**
+ * Fork a worker bridge. It joins the ring once it's listening.
+ */
+function startWorker(id) {
+  const port = CLUSTER_WORKER_BASE_PORT + id;
+  const worker = cluster.fork({
+    PORT: String(port),
+    HOST: '127.0.0.1',
+    STATE_FILE: workerStateFile(id),
+    CLUSTER_WORKER_ID: String(id)
+  });
+  slots.set(id, { id, worker, port, ready: false, startedAt: Date.now() });
+
+  worker.on('listening', () => {
+    slots.get(id).ready = true;
+    ring.add(id);
+    log.info('Worker ready', { worker: id, pid: worker.process.pid, port });
+    adoptOrphans();
+  });
+
+  worker.on('message', (message) => {
+    if (message?.type === 'event') {
+      relayEvent(id, message.event);
+    } else if (message?.type === 'connectToken') {
+      // The asking worker's own count includes its connecting and reconnecting streams
+      const elsewhere = Array.from(live.values()).filter(owner => owner !== id).length;
+      worker.send(connectTokenReply(message, message.active + elsewhere));
+    }
+  });
+
+  worker.on('exit', (exitCode, signal) => workerExited(id, exitCode, signal));
+}
+
+/**
+ * Fan out an event a worker captured, keeping track of where streams are
+ */
+function relayEvent(id, event) {
+  if (event.uniqueId) {
+    if (event.type === 'connected') {
+      owners.set(event.uniqueId, id);
+      live.set(event.uniqueId, id);
+    } else if (event.type === 'disconnected' || event.type === 'streamEnd') {
+      live.delete(event.uniqueId);
+    }
+  }
+  hub.broadcast(event);
+}
+
+/**
+ * A worker is gone: take it off the ring, queue its state for the others to
+ * adopt and start a replacement
+ */
+function workerExited(id, exitCode, signal) {
+  slots.delete(id);
+  ring.remove(id);
+  if (shuttingDown) return;
+
+  workerExits.inc();
+  log.error('Worker died', { worker: id, code: 'worker_exit', exitCode, signal });
+
+  for (const [uniqueId, owner] of owners) {
+    if (owner === id) owners.delete(uniqueId);
+  }
+  const streams = [];
+  for (const [uniqueId, owner] of live) {
+    if (owner !== id) continue;
+    live.delete(uniqueId);
+    streams.push(uniqueId);
+  }
+
+  const file = workerStateFile(id);
+  orphans.push({ worker: id, file, state: readStateFile(file), streams });
+
+  setTimeout(() => {
+    if (!shuttingDown) startWorker(nextSlotId++);
+  }, WORKER_RESTART_DELAY_MS);
+  adoptOrphans();
+}
+
+/**
+ * Hand queued orphaned state to the live workers, each stream to its new
+ * owner on the ring. Runs again whenever a worker becomes ready.
+ */
+async function adoptOrphans() {
+  if (adopting) return;
+  adopting = true;
+
+  try {
+    while (orphans.length > 0 && readySlots().length > 0 && !shuttingDown) {
+      await adoptOrphan(orphans.shift());
+    }
+  } finally {
+    adopting = false;
+  }
+}
+
+async function adoptOrphan({ worker, file, state, streams }) {
+  // Split the dead worker's state by the worker each stream goes to
+  const parts = new Map();
+  const partFor = (uniqueId) => {
+    const { id } = ownerOf(uniqueId);
+    if (!parts.has(id)) parts.set(id, { connections: [], watchlist: [], moderation: {} });
+    return parts.get(id);
+  };
+  for (const entry of state.connections) partFor(entry.uniqueId).connections.push(entry);
+  for (const entry of state.watchlist) partFor(entry.uniqueId).watchlist.push(entry);
+  for (const [uniqueId, rules] of Object.entries(state.moderation)) partFor(uniqueId).moderation[uniqueId] = rules;
+
+  const adopted = new Set();
+  for (const [id, part] of parts) {
+    const slot = slots.get(id);
+    try {
+      const result = await sendHandoff(`http://127.0.0.1:${slot.port}`, createHandoff({ seq: 0, ...part }));
+      for (const uniqueId of result.adopted || []) adopted.add(uniqueId);
+      reassignedStreams.inc({ outcome: 'adopted' }, result.adopted?.length || 0);
+      reassignedStreams.inc({ outcome: 'offline' }, result.failed?.length || 0);
+      log.info('Worker state adopted', { worker: id, from: worker, adopted: result.adopted?.length || 0, failed: result.failed?.length || 0 });
+    } catch (err) {
+      // Try again with the next worker that becomes ready
+      log.error('Failed to hand off worker state', { worker: id, from: worker, code: 'handoff_failed', err });
+      orphans.push({ worker, file: null, state: part, streams: [] });
+    }
+  }
+
+  // Streams it was capturing that nobody took over (replays, or LIVEs that
+  // ended meanwhile) are over
+  for (const uniqueId of streams) {
+    if (!adopted.has(uniqueId)) hub.broadcast({ type: 'disconnected', uniqueId });
+  }
+
+  if (file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.error('Failed to remove worker state', { file, err });
+    }
+  }
+}
+
+/**
+ * Forward a request to a worker. Resolves with `{ status, retryAfter, body }`
+ * (body as text).
+ */
+async function forward(slot, method, pathname, body = '') {
+  const res = await fetch(`http://127.0.0.1:${slot.port}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...signedHeaders(method, pathname, body) },
+    body: method === 'POST' || method === 'PUT' ? body : undefined,
+    signal: AbortSignal.timeout(WORKER_REQUEST_TIMEOUT_MS)
+  });
+  return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.text() };
+}
+
+/**
+ * Ask every ready worker; resolves with `[{ slot, data }]` for those that
+ * answered with JSON
+ */
+async function forwardToAll(method, pathname, body) {
+  const answers = await Promise.all(readySlots().map(async (slot) => {
+    try {
+      const { body: text } = await forward(slot, method, pathname, body);
+      return { slot, data: JSON.parse(text) };
+    } catch (err) {
+      log.warn('Worker did not answer', { worker: slot.id, path: pathname, err });
+      return null;
+    }
+  }));
+  return answers.filter(Boolean);
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Forward a request to a stream's worker and pass its answer back
+ */
+async function forwardForStream(res, uniqueId, method, pathname, body) {
+  const slot = ownerOf(uniqueId);
+  if (!slot) {
+    sendJson(res, 503, { success: false, error: 'No workers available' }, { 'Retry-After': '5' });
+    return;
+  }
+
+  try {
+    const answer = await forward(slot, method, pathname, body);
+    res.writeHead(answer.status, {
+      'Content-Type': 'application/json',
+      ...(answer.retryAfter && { 'Retry-After': answer.retryAfter })
+    });
+    res.end(answer.body);
+  } catch (err) {
+    log.error('Forwarded request failed', { uniqueId, worker: slot.id, path: pathname, err });
+    sendJson(res, 502, { success: false, error: `Worker ${slot.id} did not answer` });
+  }
+}
+
+/**
+ * Merge Prometheus text from several processes: each family's HELP/TYPE once,
+ * then every process's samples with a `worker` label
+ */
+function mergeMetrics(sources) {
+  const families = new Map();
+  for (const { worker, text } of sources) {
+    let family = null;
+    for (const line of text.split('\n')) {
+      if (line.startsWith('# HELP ')) {
+        const name = line.split(' ')[2];
+        if (!families.has(name)) families.set(name, { help: line, type: null, samples: [] });
+        family = families.get(name);
+      } else if (line.startsWith('# TYPE ')) {
+        family.type = family.type || line;
+      } else if (line && family) {
+        const brace = line.indexOf('{');
+        const space = line.indexOf(' ');
+        family.samples.push(brace !== -1 && brace < space
+          ? `${line.slice(0, brace + 1)}worker="${worker}",${line.slice(brace + 1)}`
+          : `${line.slice(0, space)}{worker="${worker}"}${line.slice(space)}`);
+      }
+    }
+  }
+
+  return Array.from(families.values())
+    .flatMap(({ help, type, samples }) => [help, type, ...samples])
+    .join('\n') + '\n';
+}
+
+/**
+ * Read a request body as a string, rejecting bodies over MAX_BODY_BYTES
+ * (drained and discarded rather than buffered)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        body = '';
+      }
+    });
+    req.on('end', () => tooLarge ? reject(new Error('Request body too large')) : resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Routes whose JSON body names the stream they act on
+const STREAM_BODY_ROUTES = ['/connect', '/disconnect', '/record/start', '/record/stop', '/watch', '/test-stream'];
+
+/**
+ * HTTP request handler: the single bridge's API, served by the workers
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  applyCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // Health check (unauthenticated, for the load balancer)
+  if (url.pathname === '/health') {
+    const ready = readySlots().length;
+    sendJson(res, ready > 0 ? 200 : 503, {
+      status: ready > 0 ? 'ok' : 'starting',
+      uptime: Math.floor((Date.now() - startTime) / 1000),
+      connections: live.size,
+      wsClients: hub.stats().wsClients,
+      workers: ready
+    });
+    return;
+  }
+
+  // Readiness (unauthenticated): new streams need a ready worker
+  if (url.pathname === '/ready') {
+    const ready = readySlots().length > 0;
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'starting' });
+    return;
+  }
+
+  let body;
+  try {
+    body = req.method === 'POST' || req.method === 'PUT' ? await readBody(req) : '';
+  } catch (error) {
+    sendJson(res, 413, { error: error.message });
+    return;
+  }
+
+  const authError = authenticateRequest(req, url.pathname, body);
+  if (authError) {
+    log.warn('Rejected request', { method: req.method, path: url.pathname, code: 'unauthorized', error: authError });
+    sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+
+  if (url.pathname === '/metrics' && req.method === 'GET') {
+    const sources = [{ worker: 'coordinator', text: renderMetrics() }];
+    await Promise.all(readySlots().map(async (slot) => {
+      try {
+        sources.push({ worker: String(slot.id), text: (await forward(slot, 'GET', '/metrics')).body });
+      } catch (err) {
+        log.warn('Worker did not answer', { worker: slot.id, path: '/metrics', err });
+      }
+    }));
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(mergeMetrics(sources));
+    return;
+  }
+
+  if (url.pathname === '/status' && req.method === 'GET') {
+    const answers = await forwardToAll('GET', '/status');
+    const { totalEvents, droppedEvents, wsClients } = hub.stats();
+
+    const connections = answers.flatMap(({ slot, data }) => (data.connections || []).map(entry => ({ ...entry, worker: slot.id })));
+
+    sendJson(res, 200, {
+      connections,
+      clients: hub.clients(),
+      stats: {
+        uptime: Math.floor((Date.now() - startTime) / 1000),
+        totalConnections: answers.reduce((sum, { data }) => sum + (data.stats?.totalConnections || 0), 0),
+        totalEvents,
+        dropped: droppedEvents,
+        lastSeq: currentSeq(),
+        wsClients
+      },
+      workers: Array.from(slots.values(), (slot) => {
+        const answer = answers.find(entry => entry.slot === slot);
+        return {
+          id: slot.id,
+          pid: slot.worker.process.pid,
+          port: slot.port,
+          ready: slot.ready,
+          startedAt: slot.startedAt,
+          streams: answer?.data.connections?.length ?? null,
+          frameCaptures: answer?.data.stats?.frameCaptures ?? null
+        };
+      }),
+      quotas: quotaStats(connections.length),
+      draining: false
+    });
+    return;
+  }
+
+  if (['/drain', '/handoff', '/adopt'].includes(url.pathname)) {
+    sendJson(res, 501, { success: false, error: 'Not supported in cluster mode' });
+    return;
+  }
+
+  if (STREAM_BODY_ROUTES.includes(url.pathname) && req.method === 'POST') {
+    let params;
+    try {
+      params = JSON.parse(body);
+    } catch {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    if (!params?.uniqueId) {
+      sendJson(res, 400, { error: 'Missing uniqueId' });
+      return;
+    }
+
+    // Workers only see the coordinator's address, so name the real caller
+    if (url.pathname === '/connect' && !params.requestedBy) {
+      body = JSON.stringify({ ...params, requestedBy: req.socket.remoteAddress });
+    } else if (url.pathname === '/watch' && !params.addedBy) {
+      body = JSON.stringify({ ...params, addedBy: req.socket.remoteAddress });
+    }
+
+    await forwardForStream(res, params.uniqueId, 'POST', url.pathname, body);
+    return;
+  }
+
+  // A replay runs on the worker of the stream it replays as
+  if (url.pathname === '/replay' && req.method === 'POST') {
+    let params;
+    try {
+      params = JSON.parse(body);
+    } catch {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    let uniqueId = params?.uniqueId;
+    if (!uniqueId && params?.fixture) {
+      uniqueId = await loadFixture(params.fixture).then(fixture => fixture.header.uniqueId, () => null);
+    }
+    // Without one, any worker gives the same error a single bridge would
+    await forwardForStream(res, uniqueId || String(params?.fixture), 'POST', url.pathname, body);
+    return;
+  }
+
+  if (url.pathname.startsWith('/watch/') && req.method === 'DELETE') {
+    const uniqueId = decodeURIComponent(url.pathname.slice('/watch/'.length));
+    await forwardForStream(res, uniqueId, 'DELETE', url.pathname);
+    return;
+  }
+
+  if (url.pathname.startsWith('/moderation/') && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    const uniqueId = decodeURIComponent(url.pathname.slice('/moderation/'.length));
+    if (!uniqueId) {
+      sendJson(res, 400, { error: 'Missing uniqueId' });
+      return;
+    }
+    await forwardForStream(res, uniqueId, req.method, url.pathname, body);
+    return;
+  }
+
+  if (url.pathname === '/watch' && req.method === 'GET') {
+    const answers = await forwardToAll('GET', '/watch');
+    sendJson(res, 200, { watchlist: answers.flatMap(({ data }) => data.watchlist || []) });
+    return;
+  }
+
+  if (url.pathname === '/moderation' && req.method === 'GET') {
+    const answers = await forwardToAll('GET', '/moderation');
+    sendJson(res, 200, {
+      defaults: answers[0]?.data.defaults ?? null,
+      custom: answers.flatMap(({ data }) => data.custom || [])
+    });
+    return;
+  }
+
+  if (url.pathname === '/fixtures' && req.method === 'GET') {
+    const [slot] = readySlots();
+    if (!slot) {
+      sendJson(res, 503, { error: 'No workers available' }, { 'Retry-After': '5' });
+      return;
+    }
+    try {
+      const answer = await forward(slot, 'GET', url.pathname);
+      res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+      res.end(answer.body);
+    } catch (err) {
+      log.error('Forwarded request failed', { worker: slot.id, path: url.pathname, err });
+      sendJson(res, 502, { error: `Worker ${slot.id} did not answer` });
+    }
+    return;
+  }
+
+  // Log settings apply here and on the workers (a stream's only on its worker)
+  if (url.pathname === '/admin/logging' && req.method === 'GET') {
+    sendJson(res, 200, logSettings());
+    return;
+  }
+
+  if (url.pathname === '/admin/logging' && req.method === 'PUT') {
+    let input;
+    try {
+      input = JSON.parse(body);
+    } catch {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    const error = updateLogSettings(input);
+    if (error) {
+      sendJson(res, 400, { success: false, error });
+      return;
+    }
+
+    if (input.uniqueId) {
+      const slot = ownerOf(input.uniqueId);
+      if (slot) await forward(slot, 'PUT', url.pathname, body).catch(err => log.warn('Worker did not answer', { worker: slot.id, path: url.pathname, err }));
+    } else {
+      await forwardToAll('PUT', url.pathname, body);
+    }
+
+    log.info('Log settings changed', { settings: input });
+    sendJson(res, 200, { success: true, ...logSettings() });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Graceful shutdown: workers close their streams (and report it) first
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  log.info('Shutting down', { signal });
+  shuttingDown = true;
+
+  // Signal the processes directly; worker.kill() would cut IPC before their
+  // last events arrive
+  const exited = Array.from(slots.values(), ({ worker }) => new Promise((resolve) => {
+    worker.once('exit', resolve);
+    worker.process.kill('SIGTERM');
+  }));
+  await Promise.race([
+    Promise.all(exited),
+    new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS))
+  ]);
+
+  hub.close();
+  closeJournal();
+
+  server.close(() => {
+    log.info('Server closed');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+const server = http.createServer(handleRequest);
+const hub = createEventHub(server, { activeStreams: () => Array.from(live.keys()) });
+
+initJournal();
+cluster.setupPrimary({ exec: fileURLToPath(new URL('./server.js', import.meta.url)) });
+
+// Streams already saved on a worker stay there. State left by workers that
+// aren't started this time (replaced or scaled down) is adopted by the others.
+for (const name of fs.existsSync(STATE_DIR) ? fs.readdirSync(STATE_DIR) : []) {
+  const id = parseInt(name.match(WORKER_STATE_FILE)?.[1], 10);
+  if (Number.isNaN(id)) continue;
+
+  const file = path.join(STATE_DIR, name);
+  const state = readStateFile(file);
+  if (id <= CLUSTER_WORKERS) {
+    for (const entry of [...state.connections, ...state.watchlist]) owners.set(entry.uniqueId, id);
+    for (const uniqueId of Object.keys(state.moderation)) owners.set(uniqueId, id);
+  } else {
+    orphans.push({ worker: id, file, state, streams: [] });
+  }
+}
+
+server.listen(PORT, HOST, () => {
+  log.info('TikTok Bridge cluster running', { host: HOST, port: PORT, workers: CLUSTER_WORKERS, orphanedStates: orphans.length });
+  if (!authEnabled()) {
+    log.warn('TIKTOK_BRIDGE_SECRET is not set - API and WebSocket are unauthenticated', { code: 'auth_disabled' });
+  }
+
+  for (let id = 1; id <= CLUSTER_WORKERS; id++) {
+    startWorker(id);
+  }
+});
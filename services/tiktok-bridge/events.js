@@ -0,0 +1,263 @@
+/**
+ * Event Fan-out
+ *
+ * The WebSocket at /events. Every event is sequenced and journaled (see
+ * journal.js) and then sent to each client whose subscription matches (see
+ * subscriptions.js), through that client's outbox (see backpressure.js). A
+ * client connecting with ?since=<seq> first gets what it missed.
+ *
+ * The single-process bridge runs the hub itself. In cluster mode (see
+ * cluster.js) the coordinator runs it, and each worker relays its events to
+ * the coordinator over IPC instead.
+ */
+
+import { URL } from 'url';
+import { WebSocketServer } from 'ws';
+import { appendEvent, eventsSince, currentSeq } from './journal.js';
+import { authenticateUpgrade } from './auth.js';
+import { createOutbox } from './backpressure.js';
+import { createCounter, createGauge } from './metrics.js';
+import { log } from './logger.js';
+import {
+  createSubscription,
+  applySubscriptionMessage,
+  matchesSubscription,
+  describeSubscription
+} from './subscriptions.js';
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// WebSocket clients subscribed to events
+const wsClients = new Set();
+
+// Per-client stream/event filters, outbox and connection info: Map<ws, { id, connectedAt, subscription, outbox }>
+const clientInfo = new Map();
+let nextClientId = 1;
+
+const eventsTotal = createCounter('events_total', 'Events broadcast per stream and type');
+const eventsDropped = createCounter('events_dropped_total', 'Events dropped for slow WebSocket clients by type');
+const slowClientDisconnects = createCounter('slow_client_disconnects_total', 'WebSocket clients disconnected for falling behind');
+
+createGauge('ws_clients', 'Connected WebSocket clients', () => wsClients.size);
+createGauge('broadcast_queue_bytes', 'Bytes queued for WebSocket clients but not yet sent', () => {
+  let queued = 0;
+  for (const client of wsClients) queued += client.bufferedAmount;
+  return queued;
+});
+createGauge('broadcast_queue_messages', 'Messages waiting in WebSocket client outboxes', () => {
+  let queued = 0;
+  for (const info of clientInfo.values()) queued += info.outbox.stats().queued;
+  return queued;
+});
+
+/**
+ * Serve /events on an HTTP server. `activeStreams()` lists the connected
+ * streams, for the status message new clients get and the heartbeat.
+ *
+ * Returns `{ broadcast, announce, clients, stats, close }`.
+ */
+export function createEventHub(server, { activeStreams }) {
+  let totalEvents = 0;
+  let droppedEvents = 0;
+
+  const wss = new WebSocketServer({
+    server,
+    path: '/events',
+    verifyClient: ({ req }, done) => {
+      const authError = authenticateUpgrade(req);
+      if (authError) {
+        log.warn('Rejected WebSocket upgrade', { code: 'unauthorized', error: authError });
+        done(false, 401, 'Unauthorized');
+        return;
+      }
+      done(true);
+    }
+  });
+
+  wss.on('connection', (ws, req) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const since = parseInt(params.get('since'), 10);
+    const info = {
+      id: nextClientId++,
+      connectedAt: Date.now(),
+      subscription: createSubscription(params),
+      outbox: createOutbox(ws, {
+        onDrop: (type) => {
+          droppedEvents++;
+          eventsDropped.inc({ type });
+        },
+        onSlow: (reason) => {
+          log.warn('WebSocket client too slow, disconnecting', { clientId: info.id, code: reason });
+          slowClientDisconnects.inc();
+          ws.terminate();
+        }
+      })
+    };
+    clientInfo.set(ws, info);
+    log.info('WebSocket client connected', { clientId: info.id, ...(!Number.isNaN(since) && { since }) });
+
+    ws.on('close', () => {
+      log.info('WebSocket client disconnected', { clientId: info.id });
+      info.outbox.clear();
+      wsClients.delete(ws);
+      clientInfo.delete(ws);
+    });
+
+    ws.on('error', (err) => {
+      log.error('WebSocket client error', { clientId: info.id, err });
+      info.outbox.clear();
+      wsClients.delete(ws);
+      clientInfo.delete(ws);
+    });
+
+    // Clients may narrow what they receive with subscribe/unsubscribe messages
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        ws.send(JSON.stringify({ type: 'subscription_error', error: 'Invalid JSON' }));
+        return;
+      }
+
+      const error = applySubscriptionMessage(info.subscription, message);
+      if (error) {
+        ws.send(JSON.stringify({ type: 'subscription_error', error }));
+        return;
+      }
+
+      log.info('WebSocket client subscription changed', { clientId: info.id, event: message.type, subscription: describeSubscription(info.subscription) });
+      ws.send(JSON.stringify({
+        type: 'subscribed',
+        ...describeSubscription(info.subscription)
+      }));
+    });
+
+    // Send current status on connect
+    ws.send(JSON.stringify({
+      type: 'status',
+      connections: activeStreams(),
+      seq: currentSeq()
+    }));
+
+    // Replay anything the client missed, then switch to live delivery. Both happen
+    // in this tick, so no event can slip in between the replay and the live feed.
+    // The replay goes through the outbox like live events, so a big backlog to a
+    // slow client is held to the same limits.
+    if (!Number.isNaN(since)) {
+      const { events: missed, truncated } = eventsSince(since);
+      const events = missed.filter(event => matchesSubscription(info.subscription, event));
+      for (const event of events) {
+        info.outbox.send(event.type, JSON.stringify(event));
+      }
+      info.outbox.send('replay', JSON.stringify({
+        type: 'replay',
+        since,
+        count: events.length,
+        truncated,
+        seq: currentSeq()
+      }));
+      log.info('Replayed missed events', { clientId: info.id, since, count: events.length, truncated });
+    }
+
+    wsClients.add(ws);
+  });
+
+  // Periodic heartbeat to all connected WebSocket clients
+  // This prevents Elixir client from thinking the connection is stale when no streams are active
+  const heartbeatTimer = setInterval(() => {
+    if (wsClients.size > 0) {
+      const heartbeat = JSON.stringify({
+        type: 'heartbeat',
+        activeConnections: activeStreams().length,
+        timestamp: Date.now()
+      });
+      for (const client of wsClients) {
+        clientInfo.get(client).outbox.send('heartbeat', heartbeat);
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    /**
+     * Sequence, journal and send an event to every subscribed client.
+     * Slow clients get it through their outbox.
+     */
+    broadcast(event) {
+      totalEvents++;
+      if (event.uniqueId) {
+        eventsTotal.inc({ unique_id: event.uniqueId, type: event.type });
+      }
+      appendEvent(event);
+      const message = JSON.stringify(event);
+
+      for (const client of wsClients) {
+        const info = clientInfo.get(client);
+        if (matchesSubscription(info.subscription, event)) {
+          info.outbox.send(event.type, message);
+        }
+      }
+    },
+
+    /**
+     * Send an unsequenced message (e.g. a handoff notice) to every client
+     */
+    announce(message) {
+      const data = JSON.stringify(message);
+      for (const client of wsClients) {
+        clientInfo.get(client).outbox.send(message.type, data);
+      }
+    },
+
+    /**
+     * Connected clients, for /status
+     */
+    clients() {
+      return Array.from(clientInfo.values()).map(info => ({
+        id: info.id,
+        connectedAt: info.connectedAt,
+        ...describeSubscription(info.subscription),
+        ...info.outbox.stats()
+      }));
+    },
+
+    stats() {
+      return { totalEvents, droppedEvents, wsClients: wsClients.size };
+    },
+
+    /**
+     * Close every client and stop the heartbeat
+     */
+    close() {
+      clearInterval(heartbeatTimer);
+      for (const client of wsClients) {
+        client.close();
+      }
+      wsClients.clear();
+      clientInfo.clear();
+      wss.close();
+    }
+  };
+}
+
+/**
+ * The hub's interface for a cluster worker: events go to the coordinator over
+ * IPC, which sequences, journals and fans them out. A worker has no clients
+ * of its own.
+ */
+export function createEventRelay() {
+  let totalEvents = 0;
+
+  return {
+    broadcast(event) {
+      totalEvents++;
+      // The coordinator is gone (the worker shuts down on 'disconnect')
+      if (!process.connected) return;
+      process.send({ type: 'event', event });
+    },
+    announce() {},
+    clients: () => [],
+    stats: () => ({ totalEvents, droppedEvents: 0, wsClients: 0 }),
+    close() {}
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Stream Frame Sampling
+ *
+ * Captures JPEG frames from a live's video stream with ffmpeg: one right after
+ * connecting (the stream thumbnail) and then one every
+ * FRAME_SAMPLE_INTERVAL_SECONDS, so reports can show what was on screen over
+ * the course of the stream.
+ *
+ * ffmpeg captures are CPU- and bandwidth-heavy, so at most
+ * FRAME_CAPTURE_CONCURRENCY run at once across all streams; the rest wait in
+ * a queue, and a stream whose previous frame is still pending skips its turn.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCounter, createGauge, createHistogram } from './metrics.js';
+import { log, redactUrl } from './logger.js';
+
+// Use system ffmpeg (installed via apt in container) for better compatibility
+// ffmpeg-static has issues with FLV streams on certain architectures
+
+// Seconds between sampled frames (0 = only the initial thumbnail)
+const FRAME_SAMPLE_INTERVAL_SECONDS = parseInt(process.env.FRAME_SAMPLE_INTERVAL_SECONDS || '60', 10);
+const FRAME_CAPTURE_CONCURRENCY = Math.max(1, parseInt(process.env.FRAME_CAPTURE_CONCURRENCY || '2', 10));
+
+// Captures running, and captures waiting for a slot (FIFO)
+let activeCaptures = 0;
+const captureQueue = [];
+
+const captureDuration = createHistogram(
+  'ffmpeg_capture_duration_seconds',
+  'Time taken by ffmpeg frame captures',
+  [1, 2, 5, 10, 15, 20, 25]
+);
+const captureFailures = createCounter('ffmpeg_capture_failures_total', 'Failed ffmpeg frame captures by reason');
+
+createGauge('ffmpeg_captures', 'ffmpeg frame captures running or waiting for a slot', () => [
+  { labels: { state: 'active' }, value: activeCaptures },
+  { labels: { state: 'queued' }, value: captureQueue.length }
+]);
+
+/**
+ * Metric label for a failed capture
+ */
+function captureFailureReason(err) {
+  if (err.code === 'ENOENT') return 'spawn';
+  if (/timeout/i.test(err.message)) return 'timeout';
+  if (/killed by/i.test(err.message)) return 'signal';
+  if (/exited with code/i.test(err.message)) return 'exit_code';
+  return 'other';
+}
+
+/**
+ * Run a capture once a concurrency slot is free
+ */
+function withCaptureSlot(capture) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      activeCaptures++;
+      capture()
+        .then(resolve, reject)
+        .finally(() => {
+          activeCaptures--;
+          captureQueue.shift()?.();
+        });
+    };
+
+    if (activeCaptures < FRAME_CAPTURE_CONCURRENCY) {
+      run();
+    } else {
+      captureQueue.push(run);
+    }
+  });
+}
+
+/**
+ * Capture load, for /status
+ */
+export function captureStats() {
+  return {
+    active: activeCaptures,
+    queued: captureQueue.length,
+    concurrency: FRAME_CAPTURE_CONCURRENCY,
+    intervalSeconds: FRAME_SAMPLE_INTERVAL_SECONDS
+  };
+}
+
+/**
+ * Start sampling frames from a stream. `onFrame` is called with
+ * `{ thumbnailBase64, capturedAt, sample }` for each captured frame (sample 0
+ * is the initial thumbnail). Returns `{ stop }`.
+ */
+export function startFrameSampler(streamUrl, uniqueId, onFrame) {
+  let sample = 0;
+  let pending = false;
+  let stopped = false;
+  let timer = null;
+
+  const captureFrame = () => {
+    if (stopped) return;
+    if (pending) {
+      log.warn('Previous frame still pending, skipping sample', { uniqueId, sample });
+      return;
+    }
+
+    pending = true;
+    let capturedAt = null;
+    withCaptureSlot(() => {
+      // The stream may have ended while this capture was queued
+      if (stopped) return Promise.resolve(null);
+      capturedAt = Date.now();
+      return captureVideoThumbnail(streamUrl, uniqueId).then(
+        (thumbnailBase64) => {
+          captureDuration.observe((Date.now() - capturedAt) / 1000);
+          return thumbnailBase64;
+        },
+        (err) => {
+          captureFailures.inc({ reason: captureFailureReason(err) });
+          throw err;
+        }
+      );
+    })
+      .then((thumbnailBase64) => {
+        if (!thumbnailBase64 || stopped) return;
+        log.info('Frame captured', { uniqueId, sample, base64Length: thumbnailBase64.length });
+        onFrame({ thumbnailBase64, capturedAt, sample: sample++ });
+      })
+      .catch((err) => {
+        log.error('Frame capture failed', { uniqueId, sample, err, code: captureFailureReason(err) });
+      })
+      .finally(() => {
+        pending = false;
+      });
+  };
+
+  captureFrame();
+  if (FRAME_SAMPLE_INTERVAL_SECONDS > 0) {
+    timer = setInterval(captureFrame, FRAME_SAMPLE_INTERVAL_SECONDS * 1000);
+  }
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+    }
+  };
+}
+
+/**
+ * Capture a video thumbnail from a stream URL (HLS, FLV, or RTMP).
+ * Uses raw ffmpeg spawn instead of fluent-ffmpeg for better error handling.
+ * Returns base64-encoded JPEG image data.
+ */
+export async function captureVideoThumbnail(streamUrl, uniqueId) {
+  const tmpFile = path.join(os.tmpdir(), `thumb_${uniqueId}_${Date.now()}.jpg`);
+
+  return new Promise((resolve, reject) => {
+    // Detect stream type
+    const isHls = streamUrl.includes('.m3u8') || streamUrl.includes('/hls/');
+    const isFlv = streamUrl.includes('.flv');
+    const streamType = isHls ? 'HLS' : isFlv ? 'FLV' : 'RTMP';
+
+    log.debug('FFmpeg capturing frame', { uniqueId, streamType, streamUrl: redactUrl(streamUrl) });
+
+    // Build ffmpeg arguments
+    const args = [
+      '-y',  // Overwrite output
+    ];
+
+    if (isHls) {
+      // HLS-specific: allow reconnection, seek past black frames
+      args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '2');
+      args.push('-ss', '3');  // Seek 3 seconds in
+    }
+
+    // Input timeout and analysis settings
+    args.push(
+      '-t', '5',                      // Limit input to 5 seconds
+      '-analyzeduration', '3000000',  // 3 seconds to analyze format
+      '-probesize', '2000000',        // 2MB probe size
+    );
+
+    // Headers to look like a browser
+    args.push(
+      '-user_agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      '-headers', 'Referer: https://www.tiktok.com/\r\n',
+    );
+
+    // Input URL
+    args.push('-i', streamUrl);
+
+    // Output settings
+    args.push(
+      '-frames:v', '1',         // Just one frame
+      '-vf', 'scale=-2:320',    // Scale to 320px height
+      '-q:v', '2',              // JPEG quality (2 = high)
+      tmpFile
+    );
+
+    const ffmpegProcess = spawn('ffmpeg', args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 30000,  // 30 second timeout
+    });
+
+    let stderr = '';
+    let killed = false;
+
+    // ffmpeg echoes the input URL in its errors
+    const loggedStderr = () => stderr.split(streamUrl).join(redactUrl(streamUrl)).substring(0, 2000);
+
+    // Set a hard timeout to prevent hanging
+    const timeout = setTimeout(() => {
+      killed = true;
+      ffmpegProcess.kill('SIGKILL');
+      log.error('FFmpeg timed out, killed it', { uniqueId, code: 'timeout' });
+    }, 25000);
+
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpegProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      log.error('FFmpeg failed to start', { uniqueId, code: 'spawn', err });
+      try { fs.unlinkSync(tmpFile); } catch {}
+      reject(err);
+    });
+
+    ffmpegProcess.on('close', (code, signal) => {
+      clearTimeout(timeout);
+
+      if (killed) {
+        reject(new Error('FFmpeg timeout'));
+        return;
+      }
+
+      if (signal) {
+        log.error('FFmpeg killed by signal', { uniqueId, code: 'signal', signal, stderr: loggedStderr() });
+        try { fs.unlinkSync(tmpFile); } catch {}
+        reject(new Error(`FFmpeg killed by ${signal}`));
+        return;
+      }
+
+      if (code !== 0) {
+        log.error('FFmpeg exited with an error', { uniqueId, code: 'exit_code', exitCode: code, stderr: loggedStderr() });
+        try { fs.unlinkSync(tmpFile); } catch {}
+        reject(new Error(`FFmpeg exited with code ${code}`));
+        return;
+      }
+
+      // Success - read the file
+      try {
+        const buffer = fs.readFileSync(tmpFile);
+        const base64 = buffer.toString('base64');
+        fs.unlinkSync(tmpFile);
+        log.debug('FFmpeg capture successful', { uniqueId, base64Length: base64.length });
+        resolve(base64);
+      } catch (err) {
+        log.error('Failed to read thumbnail', { uniqueId, err });
+        reject(err);
+      }
+    });
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Drain Handoff
+ *
+ * A draining instance hands its streams to a successor so a deploy doesn't
+ * drop a live capture. The handoff is a JSON blob the successor takes on
+ * `POST /adopt`: either the draining instance sends it itself (DRAIN_SUCCESSOR_URL,
+ * or `POST /drain` with a successor), or an operator exports it with
+ * `POST /handoff` and posts it on.
+ *
+ *   {
+ *     "handoff": 1,
+ *     "exportedAt": 1704067200000,
+ *     "seq": 48213,
+ *     "connections": [{
+ *       "uniqueId": "brand", "requestedBy": "...", "requestedAt": 1704067200000,
+ *       "record": false, "archive": { "format": "ts", "segmentSeconds": 300 },
+ *       "totals": { "gifts": 12, "diamonds": 1450, ... },
+ *       "viewers": { "peak": 812, "average": 540, "samples": 40, ... }
+ *     }],
+ *     "watchlist": [{ "uniqueId": "brand", "addedBy": "...", "addedAt": 1704067200000 }],
+ *     "moderation": { "brand": { "rules": [...] } }
+ *   }
+ *
+ * The successor connects before the draining instance lets go, so both capture
+ * for a moment. It also numbers its events after `seq`, and the draining
+ * instance tells its WebSocket clients to resume from `seq`, so they replay
+ * everything the successor captured: an overlap can be delivered twice, but
+ * nothing is missed.
+ */
+
+import { signedHeaders } from './auth.js';
+
+const HANDOFF_VERSION = 1;
+
+// How long a successor gets to adopt every stream
+const DRAIN_TIMEOUT_SECONDS = parseInt(process.env.DRAIN_TIMEOUT_SECONDS || '60', 10);
+
+/**
+ * Build a handoff blob from the draining instance's state
+ */
+export function createHandoff({ seq, connections, watchlist, moderation }) {
+  return {
+    handoff: HANDOFF_VERSION,
+    exportedAt: Date.now(),
+    seq,
+    connections,
+    watchlist,
+    moderation
+  };
+}
+
+/**
+ * Check a blob posted to /adopt. Returns `{ handoff }` or `{ error }`.
+ */
+export function parseHandoff(input) {
+  if (input?.handoff !== HANDOFF_VERSION) {
+    return { error: `Unsupported handoff (expected version ${HANDOFF_VERSION})` };
+  }
+  if (!Array.isArray(input.connections) || input.connections.some(entry => !entry?.uniqueId)) {
+    return { error: 'connections must be an array of { uniqueId, ... }' };
+  }
+
+  return {
+    handoff: {
+      seq: Number.isInteger(input.seq) ? input.seq : 0,
+      connections: input.connections,
+      watchlist: Array.isArray(input.watchlist) ? input.watchlist.filter(entry => entry?.uniqueId) : [],
+      moderation: input.moderation && typeof input.moderation === 'object' ? input.moderation : {}
+    }
+  };
+}
+
+/**
+ * Post a handoff to a successor's /adopt and resolve with its response
+ * (`{ adopted, failed }`). Throws if the successor can't be reached, refuses
+ * the handoff or doesn't answer within DRAIN_TIMEOUT_SECONDS.
+ */
+export async function sendHandoff(successorUrl, handoff) {
+  const url = new URL('/adopt', successorUrl);
+  const body = JSON.stringify(handoff);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signedHeaders('POST', url.pathname, body) },
+    body,
+    signal: AbortSignal.timeout(DRAIN_TIMEOUT_SECONDS * 1000)
+  });
+
+  const result = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(result.error || `Successor answered ${res.status}`);
+  }
+  return result;
+}
@@ -0,0 +1,80 @@
+/**
+ * Chat Intent Extraction
+ *
+ * Reads shopping intent out of chat messages, so the product controller can
+ * show which pinned products the audience is asking about as it happens:
+ *
+ *   "#3"                     -> { productRefs: [3], intent: null }
+ *   "link for 5 pls"         -> { productRefs: [5], intent: "buy" }
+ *   "price of the blue one"  -> { productRefs: [], intent: "price" }
+ *   "what size is #2 and #4" -> { productRefs: [2, 4], intent: "size" }
+ *
+ * Product numbers are the positions TikTok shows on pinned products. They're
+ * taken from `#3`, from a number right after a word like "number", "item" or
+ * "link (for)", from ordinals like "the 3rd one", and from messages that are
+ * just a number ("3", "3!!", "3 pls"). Other numbers in running text ("I'm
+ * 25", "$20", "2x") aren't product references. `intent` is the first of
+ * price, size or buy the message asks about, or null.
+ */
+
+// Pinned product positions go up to about this many
+const MAX_PRODUCT_NUMBER = 999;
+
+// Product references: "#3", "# 3"
+const HASH_REF = /(?:^|[^\p{L}\p{N}&])#\s?(\d{1,3})(?!\d)/gu;
+
+// "number 3", "no. 3", "item 3", "product 3", "link for 3", "link to #3"
+const WORD_REF = /\b(?:numbers?|nums?|nos?\.?|nr\.?|items?|products?|prods?|links?(?:\s+(?:for|to|of))?|pins?|options?)\s*#?\s?(\d{1,3})(?!\d|\s*(?:%|\$|dollars?|bucks?|usd|x\b))/giu;
+
+// "the 3rd one", "the 2nd item": an ordinal only counts with "the" before and a
+// product word after, so "my 2nd time here" isn't a reference
+const ORDINAL_REF = /\bthe\s+(\d{1,3})(?:st|nd|rd|th)\s+(?:one|item|product|pin|link|option)s?\b/giu;
+
+// A message that is only product numbers: "3", "3!!", "3 and 5", "5 pls".
+// Longer runs of digits ("1000", "2024") are never product numbers.
+const BARE_REFS = /^\s*(?:#?\d{1,3}(?!\d)\s*(?:,|&|\+|and|or|\/)?\s*)+(?:pl(?:ea)?se?|pls|plz|!|\?|\.)*\s*$/iu;
+const BARE_NUMBER = /(?<!\d)\d{1,3}(?!\d)/g;
+
+// Checked in this order; the first match is the message's intent
+const INTENTS = [
+  {
+    intent: 'price',
+    pattern: /\bhow much\b|\b(?:price|prices|pricing|cost|costs|priced)\b|\$\s*\?|\bhow expensive\b|\bis it on sale\b|\bdiscount\b/iu
+  },
+  {
+    intent: 'size',
+    pattern: /\b(?:sizes?|sizing|fits?|fitting)\b|\bwhat(?:'s| is)? the (?:length|measurements?|dimensions?)\b|\bruns? (?:small|big|large|true)\b|\b(?:xx?s|xx?l|xxx?l|small|medium|large|petite|plus)\b(?= ?(?:\?|pls|please|available|in stock|left)|$)/iu
+  },
+  {
+    intent: 'buy',
+    pattern: /\blinks?\b|\b(?:buy|buying|bought|purchase|order|checkout|check out|add(?:ed)? to (?:cart|bag|basket))\b|\bi (?:want|need|neeed|will take|['’]?ll take)\b|\bhow (?:do|can) i (?:get|buy|order)\b|\bwhere (?:do|can) i (?:get|buy|order)\b|\bsold\b|\bin stock\b|\bstill available\b/iu
+  }
+];
+
+function addRef(refs, value) {
+  const number = parseInt(value, 10);
+  if (number > 0 && number <= MAX_PRODUCT_NUMBER && !refs.includes(number)) {
+    refs.push(number);
+  }
+}
+
+/**
+ * Product numbers and intent in a chat message: `{ productRefs, intent }`
+ */
+export function parseChatIntent(comment) {
+  const productRefs = [];
+  if (typeof comment !== 'string' || comment.length === 0) {
+    return { productRefs, intent: null };
+  }
+
+  if (BARE_REFS.test(comment)) {
+    for (const [value] of comment.matchAll(BARE_NUMBER)) addRef(productRefs, value);
+  } else {
+    for (const [, value] of comment.matchAll(HASH_REF)) addRef(productRefs, value);
+    for (const [, value] of comment.matchAll(WORD_REF)) addRef(productRefs, value);
+    for (const [, value] of comment.matchAll(ORDINAL_REF)) addRef(productRefs, value);
+  }
+
+  const match = INTENTS.find(({ pattern }) => pattern.test(comment));
+  return { productRefs, intent: match?.intent ?? null };
+}
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChatIntent } from './intent.js';
+
+function refs(comment) {
+  return parseChatIntent(comment).productRefs;
+}
+
+test('the documented examples', () => {
+  assert.deepEqual(parseChatIntent('#3'), { productRefs: [3], intent: null });
+  assert.deepEqual(parseChatIntent('link for 5 pls'), { productRefs: [5], intent: 'buy' });
+  assert.deepEqual(parseChatIntent('price of the blue one'), { productRefs: [], intent: 'price' });
+  assert.deepEqual(parseChatIntent('what size is #2 and #4'), { productRefs: [2, 4], intent: 'size' });
+});
+
+test('messages that are just numbers refer to products', () => {
+  assert.deepEqual(refs('3'), [3]);
+  assert.deepEqual(refs('3!!'), [3]);
+  assert.deepEqual(refs('3 and 5'), [3, 5]);
+  assert.deepEqual(refs('12, 7 pls'), [12, 7]);
+  assert.deepEqual(refs('999'), [999]);
+});
+
+test('runs of four or more digits are not product numbers', () => {
+  assert.deepEqual(parseChatIntent('1000'), { productRefs: [], intent: null });
+  assert.deepEqual(refs('2024!!'), []);
+  assert.deepEqual(refs('3 and 1000'), []);
+  assert.deepEqual(refs('#1234'), []);
+  assert.deepEqual(refs('item 12345'), []);
+});
+
+test('numbers after a product word are references', () => {
+  assert.deepEqual(refs('can I see number 7'), [7]);
+  assert.deepEqual(refs('no. 4 is cute'), [4]);
+  assert.deepEqual(refs('link to #12'), [12]);
+  assert.deepEqual(refs('item 2 and item 2 again'), [2]);
+});
+
+test('ordinals before a product word are references', () => {
+  assert.deepEqual(refs('can I see the 3rd one'), [3]);
+  assert.deepEqual(refs('link for the 2nd item pls'), [2]);
+  assert.deepEqual(refs('The 1st one and the 12th one'), [1, 12]);
+  assert.deepEqual(refs('my 2nd time here'), []);
+  assert.deepEqual(refs('the 3rd time today'), []);
+  assert.deepEqual(refs('the 1000th one'), []);
+});
+
+test('other numbers in running text are not references', () => {
+  assert.deepEqual(refs("I'm 25 and love this"), []);
+  assert.deepEqual(refs('got it for $20'), []);
+  assert.deepEqual(refs('buy 2x'), []);
+  assert.deepEqual(refs('item 5 dollars?'), []);
+  assert.deepEqual(refs('0'), []);
+  assert.deepEqual(refs('1.5'), []);
+});
+
+test('the first intent asked about wins', () => {
+  assert.equal(parseChatIntent('how much and what size').intent, 'price');
+  assert.equal(parseChatIntent('does it run small?').intent, 'size');
+  assert.equal(parseChatIntent('I need this').intent, 'buy');
+  assert.equal(parseChatIntent('so pretty').intent, null);
+  assert.deepEqual(parseChatIntent(''), { productRefs: [], intent: null });
+  assert.deepEqual(parseChatIntent(null), { productRefs: [], intent: null });
+});
@@ -0,0 +1,188 @@
+/**
+ * Event Journal
+ *
+ * Gives every bridge event a monotonically increasing sequence number and keeps
+ * a bounded, append-only NDJSON journal per stream so WebSocket clients that
+ * drop can reconnect with `?since=<seq>` and replay what they missed.
+ *
+ * The tail of each journal is also kept in memory for fast replay. On boot the
+ * files are read back so sequence numbers keep increasing across restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+const JOURNAL_DIR = process.env.JOURNAL_DIR || path.join(process.cwd(), 'data', 'journal');
+const JOURNAL_MAX_EVENTS = parseInt(process.env.JOURNAL_MAX_EVENTS || '5000', 10);
+const JOURNAL_RETENTION_MS = parseInt(process.env.JOURNAL_RETENTION_HOURS || '24', 10) * 3600 * 1000;
+
+// Per-stream journals: Map<uniqueId, { events, evictedSeq, stream, linesOnDisk, file }>
+const journals = new Map();
+
+let lastSeq = 0;
+
+/**
+ * Journal file path for a stream (uniqueIds come from API callers, so sanitize)
+ */
+function journalFile(uniqueId) {
+  return path.join(JOURNAL_DIR, `${uniqueId.replace(/[^A-Za-z0-9._-]/g, '_')}.ndjson`);
+}
+
+/**
+ * Load existing journals from disk, dropping files past the retention window.
+ * Call once at startup before any events are appended.
+ */
+export function initJournal() {
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+
+  for (const name of fs.readdirSync(JOURNAL_DIR)) {
+    if (!name.endsWith('.ndjson')) continue;
+    const file = path.join(JOURNAL_DIR, name);
+
+    try {
+      if (Date.now() - fs.statSync(file).mtimeMs > JOURNAL_RETENTION_MS) {
+        fs.unlinkSync(file);
+        continue;
+      }
+
+      const events = [];
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+          events.push(JSON.parse(line));
+        } catch {
+          // Partial line from a crash mid-write
+        }
+      }
+
+      const tail = events.slice(-JOURNAL_MAX_EVENTS);
+      if (tail.length === 0 || !tail[0].uniqueId) continue;
+
+      // Trim oversized files now, before a write stream is open on them
+      const evicted = events[events.length - tail.length - 1];
+      if (evicted) {
+        fs.writeFileSync(file, tail.map(e => JSON.stringify(e) + '\n').join(''));
+      }
+
+      journals.set(tail[0].uniqueId, {
+        events: tail,
+        evictedSeq: evicted ? evicted.seq : 0,
+        stream: null,
+        linesOnDisk: tail.length,
+        file
+      });
+      lastSeq = Math.max(lastSeq, tail[tail.length - 1].seq || 0);
+    } catch (err) {
+      log.error('Failed to load journal', { file: name, err });
+    }
+  }
+
+  log.info('Journal loaded', { streams: journals.size, lastSeq, dir: JOURNAL_DIR });
+}
+
+/**
+ * Assign the next sequence number to an event and append it to its stream's journal.
+ * Returns the assigned sequence number.
+ */
+export function appendEvent(event) {
+  event.seq = ++lastSeq;
+  if (!event.uniqueId) return event.seq;
+
+  let journal = journals.get(event.uniqueId);
+  if (!journal) {
+    journal = { events: [], evictedSeq: 0, stream: null, linesOnDisk: 0, file: journalFile(event.uniqueId) };
+    journals.set(event.uniqueId, journal);
+  }
+
+  journal.events.push(event);
+  if (journal.events.length > JOURNAL_MAX_EVENTS) {
+    journal.evictedSeq = journal.events.shift().seq;
+  }
+
+  if (!journal.stream) {
+    journal.stream = fs.createWriteStream(journal.file, { flags: 'a' });
+    journal.stream.on('error', (err) => {
+      log.error('Journal write failed', { uniqueId: event.uniqueId, err });
+    });
+  }
+
+  journal.stream.write(JSON.stringify(event) + '\n');
+  journal.linesOnDisk++;
+
+  // Let the file grow to twice the in-memory tail, then rewrite it from memory
+  if (journal.linesOnDisk > JOURNAL_MAX_EVENTS * 2) {
+    compactJournal(journal);
+  }
+
+  return event.seq;
+}
+
+/**
+ * Rewrite a journal file with only the events still held in memory.
+ * The old write stream may still have buffered writes; they land in the
+ * replaced inode and are already covered by the rewritten file.
+ */
+function compactJournal(journal) {
+  const tmpFile = `${journal.file}.tmp`;
+
+  try {
+    journal.stream.end();
+    journal.stream = null;
+    fs.writeFileSync(tmpFile, journal.events.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmpFile, journal.file);
+    journal.linesOnDisk = journal.events.length;
+  } catch (err) {
+    log.error('Journal compaction failed', { file: path.basename(journal.file), err });
+  }
+}
+
+/**
+ * Events with a sequence number greater than `since`, across all streams, in order.
+ * `truncated` is true when older events the client asked for were already evicted.
+ */
+export function eventsSince(since) {
+  const events = [];
+  let truncated = false;
+
+  for (const journal of journals.values()) {
+    if (journal.evictedSeq > since) {
+      truncated = true;
+    }
+    for (const event of journal.events) {
+      if (event.seq > since) events.push(event);
+    }
+  }
+
+  events.sort((a, b) => a.seq - b.seq);
+  return { events, truncated };
+}
+
+/**
+ * The most recently assigned sequence number
+ */
+export function currentSeq() {
+  return lastSeq;
+}
+
+/**
+ * Continue numbering from at least `seq`, so clients that followed another
+ * instance (see handoff.js) can resume here with `?since=` and miss nothing
+ */
+export function advanceSeq(seq) {
+  if (Number.isInteger(seq) && seq > lastSeq) {
+    lastSeq = seq;
+  }
+}
+
+/**
+ * Flush and close all journal files
+ */
+export function closeJournal() {
+  for (const journal of journals.values()) {
+    if (journal.stream) {
+      journal.stream.end();
+      journal.stream = null;
+    }
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Structured Logging
+ *
+ * Every log line is one JSON object, on stdout (warn and error on stderr):
+ *
+ *   {"time":"2024-01-01T00:00:00.000Z","level":"info","msg":"Connected","uniqueId":"brand","roomId":"7301"}
+ *
+ * Context goes in fields rather than the message: `uniqueId` and `roomId` for
+ * the stream, `event` for a bridge event or TikTok message type, `code` for a
+ * machine-readable error class and `error` for its message. Pass an Error as
+ * `err` and it's unpacked into `error`/`code` (an explicit `code` wins).
+ *
+ * LOG_LEVEL sets the starting level. `PUT /admin/logging` changes it at
+ * runtime, for the whole bridge or one stream, and turns logging of every raw
+ * TikTok message on or off per stream. Runtime settings aren't saved.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let globalLevel = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Per-stream overrides: Map<uniqueId, { level, rawEvents }>
+const streamSettings = new Map();
+
+/**
+ * `error` and `code` fields for an Error, or for the `{ info, exception }`
+ * objects tiktok-live-connector emits on its error event
+ */
+function errorFields(err) {
+  if (!err) return {};
+  if (typeof err !== 'object') return { error: String(err) };
+
+  const message = err.message || err.info || String(err);
+  const cause = err.exception?.message;
+  return {
+    error: cause && cause !== message ? `${message}: ${cause}` : message,
+    ...(err.code && { code: err.code })
+  };
+}
+
+function write(level, msg, context, fields = {}) {
+  const { err, ...rest } = fields;
+  const entry = { ...context, ...errorFields(err), ...rest };
+
+  const threshold = streamSettings.get(entry.uniqueId)?.level || globalLevel;
+  if (LEVELS[level] < LEVELS[threshold]) return;
+
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...entry });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * A logger whose lines all carry `context` (e.g. `{ uniqueId }`).
+ * `child(fields)` adds more context.
+ */
+export function createLogger(context = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, context, fields),
+    info: (msg, fields) => write('info', msg, context, fields),
+    warn: (msg, fields) => write('warn', msg, context, fields),
+    error: (msg, fields) => write('error', msg, context, fields),
+    child: (fields) => createLogger({ ...context, ...fields })
+  };
+}
+
+// Cluster workers (see cluster.js) tag every line with their id
+export const log = createLogger(process.env.CLUSTER_WORKER_ID ? { worker: Number(process.env.CLUSTER_WORKER_ID) } : {});
+
+/**
+ * A URL cut down to scheme, host and path for logging. Stream URLs carry
+ * signed CDN tokens in their query string, which don't belong in logs.
+ */
+export function redactUrl(url) {
+  try {
+    const { protocol, host, pathname } = new URL(url);
+    return `${protocol}//${host}${pathname}`;
+  } catch {
+    return String(url).split(/[?#]/)[0];
+  }
+}
+
+/**
+ * Whether every raw TikTok message should be logged for a stream
+ */
+export function rawEventsEnabled(uniqueId) {
+  return streamSettings.get(uniqueId)?.rawEvents === true;
+}
+
+/**
+ * Apply a change from /admin/logging:
+ *   { level }                          - bridge-wide level
+ *   { uniqueId, level, rawEvents }     - one stream (level null clears its override)
+ * Returns null if applied, else the reason it wasn't.
+ */
+export function updateLogSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Settings must be an object';
+  }
+
+  const { uniqueId, level, rawEvents } = input;
+  if (level !== undefined && level !== null && !LEVELS[level]) {
+    return `level must be one of ${Object.keys(LEVELS).join(', ')}`;
+  }
+  if (rawEvents !== undefined && typeof rawEvents !== 'boolean') {
+    return 'rawEvents must be true or false';
+  }
+
+  if (!uniqueId) {
+    if (rawEvents !== undefined) return 'rawEvents is set per stream (give a uniqueId)';
+    if (!level) return 'level is required';
+    globalLevel = level;
+    return null;
+  }
+
+  const settings = { ...streamSettings.get(uniqueId) };
+  if (level !== undefined) settings.level = level;
+  if (rawEvents !== undefined) settings.rawEvents = rawEvents;
+
+  if (!settings.level && !settings.rawEvents) {
+    streamSettings.delete(uniqueId);
+  } else {
+    streamSettings.set(uniqueId, settings);
+  }
+  return null;
+}
+
+/**
+ * Current levels and per-stream overrides
+ */
+export function logSettings() {
+  return {
+    level: globalLevel,
+    streams: Object.fromEntries(Array.from(streamSettings, ([uniqueId, { level = null, rawEvents = false }]) => [uniqueId, { level, rawEvents }]))
+  };
+}
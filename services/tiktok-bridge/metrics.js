@@ -0,0 +1,132 @@
+/**
+ * Prometheus Metrics
+ *
+ * A minimal registry rendering the Prometheus text exposition format for
+ * GET /metrics. Modules create their metrics here and update them in place;
+ * gauges are read through a callback at scrape time.
+ */
+
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+const PREFIX = 'tiktok_bridge_';
+
+// Registered metrics in registration order, each with a render() returning lines
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function header(name, help, type) {
+  return [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`];
+}
+
+/**
+ * A monotonically increasing count, optionally split by labels
+ */
+export function createCounter(name, help) {
+  const values = new Map();
+
+  registry.push({
+    render: () => [
+      ...header(name, help, 'counter'),
+      ...Array.from(values.values(), ({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+    ]
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      const entry = values.get(key);
+      if (entry) {
+        entry.value += amount;
+      } else {
+        values.set(key, { labels, value: amount });
+      }
+    }
+  };
+}
+
+/**
+ * A value read at scrape time. `collect` returns a number, or an array of
+ * `{ labels, value }` for a labelled gauge.
+ */
+export function createGauge(name, help, collect) {
+  registry.push({
+    render: () => {
+      const result = collect();
+      const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+      return [
+        ...header(name, help, 'gauge'),
+        ...samples.map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${formatValue(value)}`)
+      ];
+    }
+  });
+}
+
+/**
+ * A distribution of observed values in cumulative buckets
+ */
+export function createHistogram(name, help, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const counts = new Array(bounds.length).fill(0);
+  let sum = 0;
+  let count = 0;
+
+  registry.push({
+    render: () => [
+      ...header(name, help, 'histogram'),
+      ...bounds.map((bound, i) => `${PREFIX}${name}_bucket{le="${bound}"} ${counts[i]}`),
+      `${PREFIX}${name}_bucket{le="+Inf"} ${count}`,
+      `${PREFIX}${name}_sum ${sum}`,
+      `${PREFIX}${name}_count ${count}`
+    ]
+  });
+
+  return {
+    observe(value) {
+      for (let i = 0; i < bounds.length; i++) {
+        if (value <= bounds[i]) counts[i]++;
+      }
+      sum += value;
+      count++;
+    }
+  };
+}
+
+// Event loop delay since the previous scrape, so a stall shows up on the next one
+const LOOP_DELAY_RESOLUTION_MS = 20;
+const loopDelay = monitorEventLoopDelay({ resolution: LOOP_DELAY_RESOLUTION_MS });
+loopDelay.enable();
+
+createGauge('event_loop_lag_seconds', 'Event loop delay since the last scrape', () => {
+  // The histogram reports nanoseconds between sampling timer runs (NaN before
+  // the first), so the lag is whatever exceeds the sampling interval
+  const seconds = (ns) => (Number.isFinite(ns) ? Math.max(0, ns / 1e6 - LOOP_DELAY_RESOLUTION_MS) / 1000 : 0);
+  return [
+    { labels: { quantile: '0.5' }, value: seconds(loopDelay.percentile(50)) },
+    { labels: { quantile: '0.99' }, value: seconds(loopDelay.percentile(99)) },
+    { labels: { quantile: '1' }, value: seconds(loopDelay.max) }
+  ];
+});
+
+/**
+ * All metrics in Prometheus text format
+ */
+export function renderMetrics() {
+  const lines = registry.flatMap(metric => metric.render());
+  loopDelay.reset();
+  return lines.join('\n') + '\n';
+}
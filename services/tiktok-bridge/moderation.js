@@ -0,0 +1,339 @@
+/**
+ * Chat Moderation
+ *
+ * Checks each chat message against the stream's rules and returns the flags to
+ * tag it with. Rules are configured per uniqueId (PUT /moderation/:uniqueId)
+ * and saved in the state file; streams without their own use the defaults.
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "link_request", "pattern": "where.{0,20}\\blink\\b", "alert": true },
+ *       { "name": "blocked_word", "keywords": ["scam", "fake"] }
+ *     ],
+ *     "spam": { "maxMessages": 5, "windowSeconds": 10 },
+ *     "duplicates": { "maxRepeats": 3, "windowSeconds": 30 },
+ *     "links": true
+ *   }
+ *
+ * A rule matches on whole keywords or a regex (both case-insensitive, regexes
+ * limited to patterns that can't backtrack exponentially) and flags the
+ * message with its name; `alert` rules also raise a `chat_alert` so hosts
+ * can answer live. `spam` flags a viewer sending more than maxMessages within
+ * the window, `duplicates` the same text (from anyone) more than maxRepeats
+ * times, and `links` any URL. Set `spam` or `duplicates` to false to turn them
+ * off. Each field given replaces the default; omitted fields keep it.
+ */
+
+import { loadModerationRules, saveModerationRules } from './state.js';
+
+export const DEFAULT_MODERATION = {
+  rules: [
+    {
+      name: 'link_request',
+      pattern: "\\b(where|wheres|where's|what|send|drop|share|post|need|got)\\b[^.?!]{0,25}\\blinks?\\b|\\blinks?\\s*(\\?|pl(ea)?se?\\b|pls\\b)",
+      alert: true
+    },
+    {
+      name: 'price_question',
+      pattern: "\\bhow much\\b|\\b(price|cost)s?\\b[^.!]{0,20}\\?|\\bwhat('?s| is) the (price|cost)\\b|\\bprice\\s*(pl(ea)?se?|pls)\\b",
+      alert: true
+    }
+  ],
+  spam: { maxMessages: 5, windowSeconds: 10 },
+  duplicates: { maxRepeats: 3, windowSeconds: 30 },
+  links: true
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|shop|store|link|ly|me)\b(?:\/\S*)?/i;
+
+// Letters and digits, for keyword boundaries that work outside ASCII too
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const RULE_NAME_PATTERN = /^[A-Za-z0-9_]{1,40}$/;
+
+// Rule patterns run on every chat message of the stream, so they're kept short
+// and free of the constructs that make regexes backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+// History entries kept per stream before stale ones are swept
+const MAX_TRACKED_KEYS = 5000;
+
+// Compiled rules per stream: Map<uniqueId, compiled>
+const compiled = new Map();
+
+// Recent messages per stream for spam/duplicate detection:
+// Map<uniqueId, { users: Map<userId, timestamps[]>, texts: Map<text, timestamps[]> }>
+const history = new Map();
+
+let customRules = null;
+
+function custom() {
+  if (!customRules) {
+    customRules = { ...loadModerationRules() };
+  }
+  return customRules;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Why a rule pattern could take exponential time, or null if it can't: a
+ * repeated group (`*`, `+` or `{n,}`) that has a quantifier or alternatives of
+ * its own, as in `(a+)+` or `(a|ab)*`, or a backreference.
+ */
+function unsafePattern(pattern) {
+  // Open groups: whether each has a quantifier or `|` inside
+  const groups = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'backreferences are not allowed';
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifiers and groups mean nothing in it
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ varies: false });
+      // (?:...), (?=...), (?<name>...): the ? isn't a quantifier
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const closed = groups.pop();
+      if (closed?.varies && /[*+{]/.test(pattern[i + 1] || '')) {
+        return "a repeated group can't contain quantifiers or alternatives";
+      }
+      if (closed?.varies && groups.length > 0) groups[groups.length - 1].varies = true;
+    } else if (group && /[*+?{|]/.test(char)) {
+      group.varies = true;
+    }
+  }
+
+  return null;
+}
+
+function isWindow(value, countField) {
+  return value === false || (
+    value && typeof value === 'object' &&
+    Number.isInteger(value[countField]) && value[countField] > 0 &&
+    Number.isFinite(value.windowSeconds) && value.windowSeconds > 0
+  );
+}
+
+/**
+ * Check a config from the API. Returns `{ config }` with just the recognised
+ * fields, or `{ error }`.
+ */
+function validate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rules must be an object' };
+  }
+
+  const config = {};
+
+  if (input.rules !== undefined) {
+    if (!Array.isArray(input.rules)) return { error: 'rules must be an array' };
+    config.rules = [];
+    for (const rule of input.rules) {
+      if (!RULE_NAME_PATTERN.test(rule?.name || '')) {
+        return { error: 'Each rule needs a name of letters, digits and underscores' };
+      }
+      const hasKeywords = Array.isArray(rule.keywords) && rule.keywords.length > 0 &&
+        rule.keywords.every(keyword => typeof keyword === 'string' && keyword.trim());
+      const hasPattern = typeof rule.pattern === 'string' && rule.pattern.length > 0;
+      if (hasKeywords === hasPattern) {
+        return { error: `Rule ${rule.name} needs either keywords (non-empty strings) or a pattern` };
+      }
+      if (hasPattern) {
+        try {
+          new RegExp(rule.pattern, 'iu');
+        } catch (err) {
+          return { error: `Rule ${rule.name} has an invalid pattern: ${err.message}` };
+        }
+        if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+          return { error: `Rule ${rule.name} has a pattern over ${MAX_PATTERN_LENGTH} characters` };
+        }
+        const unsafe = unsafePattern(rule.pattern);
+        if (unsafe) {
+          return { error: `Rule ${rule.name} has an unsafe pattern: ${unsafe}` };
+        }
+      }
+      config.rules.push({
+        name: rule.name,
+        ...(hasKeywords ? { keywords: rule.keywords.map(keyword => keyword.trim()) } : { pattern: rule.pattern }),
+        alert: rule.alert === true
+      });
+    }
+  }
+
+  if (input.spam !== undefined) {
+    if (!isWindow(input.spam, 'maxMessages')) return { error: 'spam must be false or { maxMessages, windowSeconds }' };
+    config.spam = input.spam && { maxMessages: input.spam.maxMessages, windowSeconds: input.spam.windowSeconds };
+  }
+
+  if (input.duplicates !== undefined) {
+    if (!isWindow(input.duplicates, 'maxRepeats')) return { error: 'duplicates must be false or { maxRepeats, windowSeconds }' };
+    config.duplicates = input.duplicates && { maxRepeats: input.duplicates.maxRepeats, windowSeconds: input.duplicates.windowSeconds };
+  }
+
+  if (input.links !== undefined) {
+    if (typeof input.links !== 'boolean') return { error: 'links must be true or false' };
+    config.links = input.links;
+  }
+
+  return { config };
+}
+
+/**
+ * A stream's rules with the defaults filled in
+ */
+function effectiveConfig(uniqueId) {
+  return { ...DEFAULT_MODERATION, ...custom()[uniqueId] };
+}
+
+function compile(config) {
+  return {
+    ...config,
+    rules: config.rules.map(rule => ({
+      name: rule.name,
+      alert: rule.alert,
+      regex: rule.keywords
+        ? new RegExp(`(?<!${WORD_CHAR})(?:${rule.keywords.map(escapeRegex).join('|')})(?!${WORD_CHAR})`, 'iu')
+        : new RegExp(rule.pattern, 'iu')
+    }))
+  };
+}
+
+function rulesFor(uniqueId) {
+  let rules = compiled.get(uniqueId);
+  if (!rules) {
+    rules = compile(effectiveConfig(uniqueId));
+    compiled.set(uniqueId, rules);
+  }
+  return rules;
+}
+
+/**
+ * Normalize a message for duplicate detection: case, spacing and stretched
+ * letters ("sooooo") don't make it a different message
+ */
+function normalize(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/(.)\1{2,}/gu, '$1$1').trim();
+}
+
+/**
+ * Record an occurrence under `key` and return how many fall within the window
+ */
+function countRecent(map, key, now, windowMs) {
+  const times = (map.get(key) || []).filter(time => now - time < windowMs);
+  times.push(now);
+  map.set(key, times);
+
+  if (map.size > MAX_TRACKED_KEYS) {
+    for (const [staleKey, staleTimes] of map) {
+      if (now - staleTimes[staleTimes.length - 1] >= windowMs) map.delete(staleKey);
+    }
+  }
+  return times.length;
+}
+
+/**
+ * Check a chat message. Returns `{ flags, alerts }`: the names of every rule
+ * or check it tripped, and the subset that should raise a chat_alert.
+ */
+export function moderateChat(uniqueId, { userId, comment }) {
+  const rules = rulesFor(uniqueId);
+  const text = String(comment || '');
+  const flags = [];
+  const alerts = [];
+
+  for (const rule of rules.rules) {
+    if (rule.regex.test(text)) {
+      flags.push(rule.name);
+      if (rule.alert) alerts.push(rule.name);
+    }
+  }
+
+  if (rules.links && URL_PATTERN.test(text)) {
+    flags.push('link');
+  }
+
+  let recent = history.get(uniqueId);
+  if (!recent) {
+    recent = { users: new Map(), texts: new Map() };
+    history.set(uniqueId, recent);
+  }
+  const now = Date.now();
+
+  if (rules.spam && userId != null &&
+      countRecent(recent.users, String(userId), now, rules.spam.windowSeconds * 1000) > rules.spam.maxMessages) {
+    flags.push('spam');
+  }
+
+  const normalized = normalize(text);
+  if (rules.duplicates && normalized &&
+      countRecent(recent.texts, normalized, now, rules.duplicates.windowSeconds * 1000) > rules.duplicates.maxRepeats) {
+    flags.push('duplicate');
+  }
+
+  return { flags, alerts };
+}
+
+/**
+ * Forget a stream's recent messages (when it ends or is disconnected)
+ */
+export function resetChatHistory(uniqueId) {
+  history.delete(uniqueId);
+}
+
+/**
+ * Set a stream's rules. Returns `{ rules }` (as moderationRules) or `{ error }`.
+ */
+export function setModerationRules(uniqueId, input) {
+  const { config, error } = validate(input);
+  if (error) return { error };
+
+  customRules = { ...custom(), [uniqueId]: config };
+  saveModerationRules(customRules);
+  compiled.delete(uniqueId);
+  return { rules: moderationRules(uniqueId) };
+}
+
+/**
+ * Put a stream back on the default rules. Returns false if it had none of its own.
+ */
+export function clearModerationRules(uniqueId) {
+  if (!custom()[uniqueId]) return false;
+
+  const { [uniqueId]: _removed, ...rest } = custom();
+  customRules = rest;
+  saveModerationRules(customRules);
+  compiled.delete(uniqueId);
+  return true;
+}
+
+/**
+ * A stream's effective rules, and whether they're its own or the defaults
+ */
+export function moderationRules(uniqueId) {
+  return { uniqueId, custom: Boolean(custom()[uniqueId]), ...effectiveConfig(uniqueId) };
+}
+
+/**
+ * Streams with their own rules
+ */
+export function listModerationRules() {
+  return Object.keys(custom());
+}
+
+/**
+ * Every stream's own rules as set, keyed by uniqueId (for a handoff)
+ */
+export function moderationRulesByStream() {
+  return { ...custom() };
+}
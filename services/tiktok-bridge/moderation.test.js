@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Rules set in these tests are saved to a throwaway state file
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-moderation-'));
+process.env.STATE_FILE = path.join(stateDir, 'state.json');
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+const { moderateChat, resetChatHistory, setModerationRules, clearModerationRules, DEFAULT_MODERATION } = await import('./moderation.js');
+
+let nextUser = 1;
+
+function check(comment, uniqueId = 'defaults') {
+  return moderateChat(uniqueId, { userId: nextUser++, comment });
+}
+
+test('link requests raise a chat_alert', () => {
+  for (const comment of ['where is the link??', 'Can you send the link', 'link please', 'links pls', 'drop a link for the blue one']) {
+    assert.deepEqual(check(comment), { flags: ['link_request'], alerts: ['link_request'] }, comment);
+  }
+});
+
+test('price questions raise a chat_alert', () => {
+  for (const comment of ['how much is this', "what's the price", 'price pls', 'what does the jacket cost?']) {
+    assert.deepEqual(check(comment).alerts, ['price_question'], comment);
+  }
+});
+
+test('ordinary chat about links and prices is not flagged', () => {
+  for (const comment of [
+    'I clicked the link, thanks!',
+    'the link worked',
+    'great price',
+    'love the chain link necklace',
+    'that cost me a fortune last year',
+    'linked in bio already',
+    'so pretty 😍'
+  ]) {
+    assert.deepEqual(check(comment), { flags: [], alerts: [] }, comment);
+  }
+});
+
+test('URLs are flagged without an alert', () => {
+  assert.deepEqual(check('shop at https://example.com/deal'), { flags: ['link'], alerts: [] });
+  assert.deepEqual(check('cheap stuff at scamdeals.shop'), { flags: ['link'], alerts: [] });
+  assert.deepEqual(check('see you at 5.30'), { flags: [], alerts: [] });
+});
+
+test('a viewer sending too many messages is flagged as spam', (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const flags = [];
+  for (let i = 0; i < 6; i++) {
+    flags.push(moderateChat('spam', { userId: 'u1', comment: `message ${i}` }).flags);
+  }
+  assert.deepEqual(flags.slice(0, 5), [[], [], [], [], []]);
+  assert.deepEqual(flags[5], ['spam']);
+
+  // Another viewer isn't held to it, and the window passes
+  assert.deepEqual(moderateChat('spam', { userId: 'u2', comment: 'hello' }).flags, []);
+  Date.now.mock.mockImplementation(() => 1_000_000 + 10_000);
+  assert.deepEqual(moderateChat('spam', { userId: 'u1', comment: 'back again' }).flags, []);
+  resetChatHistory('spam');
+});
+
+test('the same message from many viewers is flagged as a duplicate', () => {
+  const results = ['FREE GIFT', 'free   gift', 'freeeee gift', 'Free gift'].map(comment => check(comment, 'dupes').flags);
+  assert.deepEqual(results, [[], [], [], ['duplicate']]);
+
+  resetChatHistory('dupes');
+  assert.deepEqual(check('free gift', 'dupes').flags, []);
+});
+
+test('custom keyword rules match whole words only', () => {
+  const { rules, error } = setModerationRules('custom', {
+    rules: [{ name: 'blocked_word', keywords: ['scam', 'fake'], alert: true }],
+    duplicates: false
+  });
+  assert.equal(error, undefined);
+  assert.equal(rules.custom, true);
+
+  assert.deepEqual(check('this is a SCAM', 'custom'), { flags: ['blocked_word'], alerts: ['blocked_word'] });
+  assert.deepEqual(check('no scammers here, not faked', 'custom').flags, []);
+
+  // Replacing the rules drops the default alerts for this stream
+  assert.deepEqual(check('where is the link', 'custom').flags, []);
+
+  assert.equal(clearModerationRules('custom'), true);
+  assert.deepEqual(check('where is the link', 'custom').alerts, ['link_request']);
+});
+
+test('invalid rules are rejected', () => {
+  assert.match(setModerationRules('bad', { rules: [{ name: 'x', pattern: '(' }] }).error, /invalid pattern/);
+  assert.match(setModerationRules('bad', { rules: [{ name: 'no spaces allowed', keywords: ['a'] }] }).error, /name/);
+  assert.match(setModerationRules('bad', { spam: { maxMessages: 0, windowSeconds: 10 } }).error, /spam/);
+  assert.equal(clearModerationRules('bad'), false);
+});
+
+test('patterns that could backtrack exponentially are rejected', () => {
+  for (const pattern of ['(a+)+$', '(a|ab)*c', '(?:\\w+\\s?)*!', '((ab)*c){2,}', '(a)\\1', `link${'.?'.repeat(100)}`]) {
+    assert.ok(setModerationRules('risky', { rules: [{ name: 'x', pattern }] }).error, pattern);
+  }
+  assert.equal(clearModerationRules('risky'), false);
+
+  // Quantifiers inside a group that isn't repeated, or in a class, are fine
+  for (const pattern of ['where.{0,20}\\blink', '(pl(ea)?se?|pls)\\b', '[(a+)]+', '(?<word>\\w+) again']) {
+    assert.equal(setModerationRules('safe', { rules: [{ name: 'x', pattern }] }).error, undefined, pattern);
+  }
+  assert.equal(setModerationRules('safe', { rules: DEFAULT_MODERATION.rules }).error, undefined);
+  clearModerationRules('safe');
+});
@@ -0,0 +1,181 @@
+/**
+ * Connect Rate Limiting
+ *
+ * TikTok rate-limits (and eventually blocks) an IP that opens too many
+ * connections too quickly, so new connects are limited three ways before the
+ * bridge tries one:
+ *
+ * - a global token bucket: CONNECT_RATE_PER_MINUTE attempts a minute, with
+ *   bursts of up to CONNECT_BURST
+ * - a bucket per uniqueId: STREAM_CONNECT_RATE_PER_MINUTE attempts a minute,
+ *   bursts of STREAM_CONNECT_BURST, so one stream can't be connected in a loop
+ * - at most MAX_CONNECTIONS streams captured at once (connected, connecting or
+ *   waiting to reconnect)
+ *
+ * A refused connect says why and when to try again (`retryAfter`, seconds).
+ * Setting any of the limits to 0 turns it off. Reconnects, restores and
+ * handoffs aren't limited: they're streams the bridge already had.
+ *
+ * In cluster mode (see cluster.js) the limits are kept by the coordinator for
+ * the whole cluster: workers ask it for each token over IPC
+ * (requestConnectToken), so adding workers doesn't raise them.
+ */
+
+import cluster from 'cluster';
+import { createCounter } from './metrics.js';
+
+const CONNECT_RATE_PER_MINUTE = parseInt(process.env.CONNECT_RATE_PER_MINUTE || '30', 10);
+const CONNECT_BURST = Math.max(1, parseInt(process.env.CONNECT_BURST || '10', 10));
+const STREAM_CONNECT_RATE_PER_MINUTE = parseInt(process.env.STREAM_CONNECT_RATE_PER_MINUTE || '4', 10);
+const STREAM_CONNECT_BURST = Math.max(1, parseInt(process.env.STREAM_CONNECT_BURST || '2', 10));
+const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS || '50', 10);
+
+// Retry-After for a full quota: there's no telling when a stream ends, so
+// callers are asked to check back in a minute
+const QUOTA_RETRY_AFTER_SECONDS = 60;
+
+const globalBucket = { tokens: CONNECT_BURST, updatedAt: Date.now() };
+
+// Per-stream buckets; full ones are dropped: Map<uniqueId, { tokens, updatedAt }>
+const streamBuckets = new Map();
+
+const rateLimited = createCounter('connect_rate_limited_total', 'Connects refused by rate limits and quotas, by reason');
+
+// In a cluster worker, token requests waiting for the coordinator: Map<requestId, resolve>
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+/**
+ * Top a bucket up for the time since it was last used
+ */
+function refill(bucket, perMinute, burst, now) {
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Seconds until a bucket has a whole token again
+ */
+function secondsUntilToken(bucket, perMinute) {
+  return Math.max(1, Math.ceil(((1 - bucket.tokens) / perMinute) * 60));
+}
+
+function pruneStreamBuckets(now) {
+  for (const [uniqueId, bucket] of streamBuckets) {
+    refill(bucket, STREAM_CONNECT_RATE_PER_MINUTE, STREAM_CONNECT_BURST, now);
+    if (bucket.tokens >= STREAM_CONNECT_BURST) streamBuckets.delete(uniqueId);
+  }
+}
+
+/**
+ * Take a connect attempt for a stream out of the limits. `active` is the
+ * number of streams captured now, and `{ newStream: false }` skips the quota
+ * for one that already holds a slot (a pending reconnect).
+ *
+ * Returns null if the connect may go ahead (and uses up its tokens), or
+ * `{ error, reason, retryAfter }` if it may not.
+ */
+export function takeConnectToken(uniqueId, active, { newStream = true } = {}) {
+  const now = Date.now();
+
+  if (newStream && MAX_CONNECTIONS > 0 && active >= MAX_CONNECTIONS) {
+    rateLimited.inc({ reason: 'max_connections' });
+    return {
+      error: `Connection limit reached (${MAX_CONNECTIONS} streams)`,
+      reason: 'max_connections',
+      retryAfter: QUOTA_RETRY_AFTER_SECONDS
+    };
+  }
+
+  if (CONNECT_RATE_PER_MINUTE > 0) {
+    refill(globalBucket, CONNECT_RATE_PER_MINUTE, CONNECT_BURST, now);
+    if (globalBucket.tokens < 1) {
+      rateLimited.inc({ reason: 'rate' });
+      return {
+        error: 'Too many connect attempts, try again later',
+        reason: 'rate',
+        retryAfter: secondsUntilToken(globalBucket, CONNECT_RATE_PER_MINUTE)
+      };
+    }
+  }
+
+  let streamBucket = null;
+  if (STREAM_CONNECT_RATE_PER_MINUTE > 0) {
+    pruneStreamBuckets(now);
+    streamBucket = streamBuckets.get(uniqueId) || { tokens: STREAM_CONNECT_BURST, updatedAt: now };
+    if (streamBucket.tokens < 1) {
+      rateLimited.inc({ reason: 'stream_rate' });
+      return {
+        error: 'Too many connect attempts for this stream, try again later',
+        reason: 'stream_rate',
+        retryAfter: secondsUntilToken(streamBucket, STREAM_CONNECT_RATE_PER_MINUTE)
+      };
+    }
+  }
+
+  if (CONNECT_RATE_PER_MINUTE > 0) globalBucket.tokens -= 1;
+  if (streamBucket) {
+    streamBucket.tokens -= 1;
+    streamBuckets.set(uniqueId, streamBucket);
+  }
+  return null;
+}
+
+/**
+ * takeConnectToken wherever the limits are kept: here, or in a cluster worker
+ * by the coordinator. Resolves with the same answer. A worker whose
+ * coordinator is gone (it's shutting down) falls back to its own limits.
+ */
+export function requestConnectToken(uniqueId, active, { newStream = true } = {}) {
+  if (!cluster.isWorker || !process.connected) {
+    return Promise.resolve(takeConnectToken(uniqueId, active, { newStream }));
+  }
+
+  if (pendingRequests.size === 0) process.on('message', onTokenReply);
+  const requestId = nextRequestId++;
+  return new Promise((resolve) => {
+    pendingRequests.set(requestId, resolve);
+    process.send({ type: 'connectToken', requestId, uniqueId, active, newStream });
+  });
+}
+
+function onTokenReply(message) {
+  if (message?.type !== 'connectToken') return;
+
+  const resolve = pendingRequests.get(message.requestId);
+  if (!resolve) return;
+  pendingRequests.delete(message.requestId);
+  if (pendingRequests.size === 0) process.off('message', onTokenReply);
+  resolve(message.limited);
+}
+
+/**
+ * In the coordinator, answer a worker's requestConnectToken. `active` is the
+ * number of streams captured across the cluster. Returns the reply to send.
+ */
+export function connectTokenReply({ requestId, uniqueId, newStream }, active) {
+  return { type: 'connectToken', requestId, limited: takeConnectToken(uniqueId, active, { newStream }) };
+}
+
+/**
+ * Current use of the limits, for /status
+ */
+export function quotaStats(active) {
+  const now = Date.now();
+  if (CONNECT_RATE_PER_MINUTE > 0) refill(globalBucket, CONNECT_RATE_PER_MINUTE, CONNECT_BURST, now);
+  pruneStreamBuckets(now);
+
+  return {
+    connections: { active, max: MAX_CONNECTIONS || null },
+    connectRate: CONNECT_RATE_PER_MINUTE > 0
+      ? { perMinute: CONNECT_RATE_PER_MINUTE, burst: CONNECT_BURST, available: Math.floor(globalBucket.tokens) }
+      : null,
+    streamConnectRate: STREAM_CONNECT_RATE_PER_MINUTE > 0
+      ? {
+          perMinute: STREAM_CONNECT_RATE_PER_MINUTE,
+          burst: STREAM_CONNECT_BURST,
+          recent: Array.from(streamBuckets, ([uniqueId, bucket]) => ({ uniqueId, available: Math.floor(bucket.tokens) }))
+        }
+      : null
+  };
+}
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { takeConnectToken, requestConnectToken, quotaStats } from './ratelimit.js';
+
+// Default limits: 30 connects a minute in bursts of 10, 4 a minute per stream
+// in bursts of 2, and 50 streams at once
+let clock = Date.now();
+let nextStream = 1;
+
+test.beforeEach((t) => {
+  // Long enough for every bucket to fill up again
+  clock += 60_000;
+  t.mock.method(Date, 'now', () => clock);
+});
+
+function newStreamId() {
+  return `stream_${nextStream++}`;
+}
+
+test('a stream gets a burst of connects, then one per refill', () => {
+  const uniqueId = newStreamId();
+  assert.equal(takeConnectToken(uniqueId, 0), null);
+  assert.equal(takeConnectToken(uniqueId, 0), null);
+
+  const limited = takeConnectToken(uniqueId, 0);
+  assert.equal(limited.reason, 'stream_rate');
+  assert.equal(limited.retryAfter, 15);
+
+  clock += 14_000;
+  assert.equal(takeConnectToken(uniqueId, 0).retryAfter, 1);
+  clock += 1_000;
+  assert.equal(takeConnectToken(uniqueId, 0), null);
+
+  // Other streams aren't held back by it
+  assert.equal(takeConnectToken(newStreamId(), 0), null);
+});
+
+test('connects across all streams share the global bucket', () => {
+  for (let i = 0; i < 10; i++) {
+    assert.equal(takeConnectToken(newStreamId(), 0), null);
+  }
+
+  const limited = takeConnectToken(newStreamId(), 0);
+  assert.equal(limited.reason, 'rate');
+  assert.equal(limited.retryAfter, 2);
+  assert.equal(quotaStats(0).connectRate.available, 0);
+
+  clock += 2_000;
+  assert.equal(takeConnectToken(newStreamId(), 0), null);
+});
+
+test('a refused connect uses up no tokens', () => {
+  const uniqueId = newStreamId();
+  assert.equal(takeConnectToken(uniqueId, 50).reason, 'max_connections');
+  assert.equal(takeConnectToken(uniqueId, 0), null);
+  assert.equal(takeConnectToken(uniqueId, 0), null);
+  assert.equal(quotaStats(0).connectRate.available, 8);
+});
+
+test('a full quota refuses new streams but not ones holding a slot', () => {
+  const limited = takeConnectToken(newStreamId(), 50);
+  assert.deepEqual(limited, {
+    error: 'Connection limit reached (50 streams)',
+    reason: 'max_connections',
+    retryAfter: 60
+  });
+
+  assert.equal(takeConnectToken(newStreamId(), 50, { newStream: false }), null);
+  assert.equal(takeConnectToken(newStreamId(), 49), null);
+});
+
+test('outside a cluster worker a token request is answered here', async () => {
+  const uniqueId = newStreamId();
+  assert.equal(await requestConnectToken(uniqueId, 0), null);
+  assert.equal(await requestConnectToken(uniqueId, 0), null);
+  assert.equal((await requestConnectToken(uniqueId, 0)).reason, 'stream_rate');
+});
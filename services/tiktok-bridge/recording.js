@@ -0,0 +1,230 @@
+/**
+ * Session Recording and Replay
+ *
+ * Recording captures everything a TikTok connection emits - decoded events and
+ * the raw protobuf messages behind them - with wall-clock timestamps, into an
+ * NDJSON fixture file:
+ *
+ *   {"fixture":1,"uniqueId":"brand","recordedAt":"2025-01-01T00:00:00.000Z"}
+ *   {"at":1735689600000,"event":"chat","args":[{...}]}
+ *   {"at":1735689600012,"event":"rawData","args":["WebcastChatMessage",{"$binary":"CgQ..."}]}
+ *
+ * A ReplayConnection plays a fixture back with the same timing (optionally
+ * sped up) through the connection interface server.js already listens on, so
+ * replayed sessions go through the same normalization and broadcast path as
+ * live ones. Useful for testing without a live TikTok stream.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(process.cwd(), 'data', 'fixtures');
+
+// Emitted by the connector but not worth recording: the socket object itself,
+// and the generic decoded-message event that duplicates the typed events
+const SKIPPED_EVENTS = new Set(['websocketConnected', 'decodedData']);
+
+/**
+ * Fixture file path for a name (names come from API callers, so sanitize)
+ */
+function fixtureFile(name) {
+  const base = path.basename(name).replace(/\.ndjson$/, '').replace(/[^A-Za-z0-9._-]/g, '_');
+  return path.join(FIXTURES_DIR, `${base}.ndjson`);
+}
+
+/**
+ * JSON-safe copy of an emitted argument
+ */
+function serializeArg(arg) {
+  if (arg instanceof Uint8Array) {
+    return { $binary: Buffer.from(arg).toString('base64') };
+  }
+  if (arg instanceof Error) {
+    return { message: arg.message };
+  }
+  return arg;
+}
+
+function deserializeArg(arg) {
+  if (arg && typeof arg === 'object' && typeof arg.$binary === 'string') {
+    return Buffer.from(arg.$binary, 'base64');
+  }
+  return arg;
+}
+
+/**
+ * Record everything a connection emits until it disconnects.
+ * Returns `{ name, discard }`; call discard() if the connection never came up.
+ */
+export function startRecording(connection, uniqueId) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+
+  const recordedAt = new Date();
+  const name = `${uniqueId}-${recordedAt.toISOString().replace(/[:.]/g, '-')}`;
+  const file = fixtureFile(name);
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  let closed = false;
+
+  stream.on('error', (err) => {
+    log.error('Recording write failed', { uniqueId, fixture: name, err });
+  });
+  stream.write(JSON.stringify({ fixture: 1, uniqueId, recordedAt: recordedAt.toISOString() }) + '\n');
+
+  const emit = connection.emit.bind(connection);
+  connection.emit = (event, ...args) => {
+    if (!closed && !SKIPPED_EVENTS.has(event)) {
+      let recorded = args;
+      // The initial state carries the full gift catalogue; keep the room only
+      if (event === 'connected' && args[0]) {
+        const { roomId, roomInfo, upgradedToWebsocket } = args[0];
+        recorded = [{ roomId, roomInfo, upgradedToWebsocket }];
+      }
+
+      try {
+        stream.write(JSON.stringify({ at: Date.now(), event, args: recorded.map(serializeArg) }) + '\n');
+      } catch (err) {
+        log.error('Failed to record event', { uniqueId, fixture: name, event, err });
+      }
+
+      if (event === 'disconnected') {
+        closed = true;
+        stream.end();
+        log.info('Recording saved', { uniqueId, fixture: name });
+      }
+    }
+    return emit(event, ...args);
+  };
+
+  log.info('Recording session', { uniqueId, fixture: name });
+
+  return {
+    name,
+    discard() {
+      if (closed) return;
+      closed = true;
+      stream.end(() => fs.unlink(file, () => {}));
+    }
+  };
+}
+
+/**
+ * Read a fixture into `{ name, header, entries }`.
+ * Throws if it doesn't exist or isn't a fixture.
+ */
+export async function loadFixture(name) {
+  const file = fixtureFile(name);
+  const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+
+  const header = JSON.parse(lines.shift() || '{}');
+  if (header.fixture !== 1) {
+    throw new Error('Not a recorded session fixture');
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line from a crash mid-write
+    }
+  }
+
+  return { name: path.basename(file, '.ndjson'), header, entries };
+}
+
+/**
+ * Recorded fixtures, newest first
+ */
+export async function listFixtures() {
+  let names;
+  try {
+    names = await fs.promises.readdir(FIXTURES_DIR);
+  } catch {
+    return [];
+  }
+
+  const fixtures = [];
+  for (const name of names) {
+    if (!name.endsWith('.ndjson')) continue;
+    const stat = await fs.promises.stat(path.join(FIXTURES_DIR, name));
+    fixtures.push({
+      name: path.basename(name, '.ndjson'),
+      size: stat.size,
+      modifiedAt: stat.mtime.toISOString()
+    });
+  }
+
+  return fixtures.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+/**
+ * Stand-in for WebcastPushConnection that plays back a loaded fixture.
+ * `speed` scales playback (2 = twice as fast).
+ *
+ * Like the real connector, connect() emits `connected` before resolving, and
+ * a stream end is followed by `disconnected`. A replay always finishes with a
+ * `streamEnd`, so the bridge never tries to "reconnect" it to TikTok.
+ */
+export class ReplayConnection extends EventEmitter {
+  constructor(fixture, { speed = 1 } = {}) {
+    super();
+    this.fixture = fixture.name;
+    this.speed = speed;
+    this.entries = fixture.entries.filter(e => e.event !== 'connected' && e.event !== 'disconnected');
+    this.initialState = fixture.entries.find(e => e.event === 'connected')?.args[0] ||
+      { roomId: null, roomInfo: {} };
+    this.connected = false;
+    this.timer = null;
+    this.position = 0;
+    this.lastAt = fixture.entries[0]?.at || 0;
+  }
+
+  async connect() {
+    // Recorded stream URLs have long expired, so don't hand them out
+    const { stream_url: _streamUrl, ...roomInfo } = this.initialState.roomInfo || {};
+    const state = { ...this.initialState, roomInfo };
+
+    this.connected = true;
+    this.emit('connected', state);
+    this.scheduleNext();
+    return state;
+  }
+
+  disconnect() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.emit('disconnected');
+  }
+
+  scheduleNext() {
+    const entry = this.entries[this.position];
+    if (!entry) {
+      this.timer = setTimeout(() => this.finish({ reason: 'replay_complete' }), 0);
+      return;
+    }
+
+    const delay = Math.max(0, (entry.at - this.lastAt) / this.speed);
+    this.timer = setTimeout(() => {
+      this.position++;
+      this.lastAt = entry.at;
+      if (entry.event === 'streamEnd') {
+        this.finish(...entry.args.map(deserializeArg));
+        return;
+      }
+
+      this.emit(entry.event, ...entry.args.map(deserializeArg));
+      if (this.connected) this.scheduleNext();
+    }, delay);
+  }
+
+  finish(...args) {
+    if (!this.connected) return;
+    this.emit('streamEnd', ...args);
+    this.disconnect();
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Consistent Hash Ring
+ *
+ * Places each stream (by uniqueId) on one of the cluster's workers (see
+ * cluster.js). Every worker owns RING_REPLICAS points on the ring and a key
+ * belongs to the next point clockwise from its hash, so adding or removing a
+ * worker only moves the keys between it and its neighbours; everything else
+ * stays where it was.
+ */
+
+import crypto from 'crypto';
+
+// Points per node; more spreads keys more evenly
+const RING_REPLICAS = 128;
+
+function hash(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * An empty ring. Returns `{ add, remove, owner, nodes }`.
+ */
+export function createHashRing() {
+  // Sorted by point: [{ point, node }]
+  let points = [];
+  const members = new Set();
+
+  return {
+    add(node) {
+      if (members.has(node)) return;
+      members.add(node);
+      for (let i = 0; i < RING_REPLICAS; i++) {
+        points.push({ point: hash(`${node}#${i}`), node });
+      }
+      points.sort((a, b) => a.point - b.point);
+    },
+
+    remove(node) {
+      if (!members.delete(node)) return;
+      points = points.filter(entry => entry.node !== node);
+    },
+
+    /**
+     * The node a key belongs to, or null if the ring is empty
+     */
+    owner(key) {
+      if (points.length === 0) return null;
+
+      const target = hash(key);
+      let low = 0;
+      let high = points.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].point < target) low = mid + 1;
+        else high = mid;
+      }
+      return points[low % points.length].node;
+    },
+
+    nodes() {
+      return Array.from(members);
+    }
+  };
+}
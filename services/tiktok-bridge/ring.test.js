@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHashRing } from './ring.js';
+
+const KEYS = Array.from({ length: 2000 }, (_, i) => `stream_${i}`);
+
+function ringOf(...nodes) {
+  const ring = createHashRing();
+  for (const node of nodes) ring.add(node);
+  return ring;
+}
+
+function owners(ring) {
+  return new Map(KEYS.map(key => [key, ring.owner(key)]));
+}
+
+test('an empty ring has no owner', () => {
+  const ring = createHashRing();
+  assert.equal(ring.owner('brand'), null);
+  assert.deepEqual(ring.nodes(), []);
+});
+
+test('a key always lands on the same member node', () => {
+  const ring = ringOf('worker-1', 'worker-2', 'worker-3');
+  const owner = ring.owner('brand');
+  assert.ok(ring.nodes().includes(owner));
+  assert.equal(ring.owner('brand'), owner);
+
+  // Same members added in another order
+  assert.equal(ringOf('worker-3', 'worker-1', 'worker-2').owner('brand'), owner);
+});
+
+test('adding a node only moves keys onto it', () => {
+  const ring = ringOf('worker-1', 'worker-2', 'worker-3');
+  const before = owners(ring);
+  ring.add('worker-4');
+
+  let moved = 0;
+  for (const [key, owner] of owners(ring)) {
+    if (owner === before.get(key)) continue;
+    assert.equal(owner, 'worker-4');
+    moved++;
+  }
+
+  // About a quarter of the keys, not a reshuffle
+  assert.ok(moved > KEYS.length * 0.15 && moved < KEYS.length * 0.35, `moved ${moved}`);
+});
+
+test('removing a node only moves its own keys', () => {
+  const ring = ringOf('worker-1', 'worker-2', 'worker-3', 'worker-4');
+  const before = owners(ring);
+  ring.remove('worker-2');
+
+  for (const [key, owner] of owners(ring)) {
+    if (before.get(key) === 'worker-2') {
+      assert.notEqual(owner, 'worker-2');
+    } else {
+      assert.equal(owner, before.get(key));
+    }
+  }
+  assert.deepEqual(ring.nodes(), ['worker-1', 'worker-3', 'worker-4']);
+});
+
+test('adding or removing a node twice changes nothing', () => {
+  const ring = ringOf('worker-1', 'worker-2');
+  const before = owners(ring);
+  ring.add('worker-1');
+  ring.remove('worker-3');
+  assert.deepEqual(owners(ring), before);
+});
+
+test('virtual nodes spread keys evenly', () => {
+  const nodes = ['worker-1', 'worker-2', 'worker-3', 'worker-4', 'worker-5'];
+  const counts = new Map(nodes.map(node => [node, 0]));
+  for (const owner of owners(ringOf(...nodes)).values()) {
+    counts.set(owner, counts.get(owner) + 1);
+  }
+
+  const fair = KEYS.length / nodes.length;
+  for (const [node, count] of counts) {
+    assert.ok(count > fair * 0.7 && count < fair * 1.3, `${node} owns ${count}`);
+  }
+});
@@ -6,306 +6,394 @@
  *
  * API:
  *   POST /connect       - Start capturing a stream (body: { uniqueId: "username" })
+ *                         (remembered across restarts until /disconnect or the LIVE ends;
+ *                          429 with Retry-After past the connect limits, see ratelimit.js)
  *   POST /disconnect    - Stop capturing (body: { uniqueId: "username" })
+ *   POST /record/start  - Archive a connected stream to video segments
+ *                         (body: { uniqueId: "username", format: "ts" | "mp4", segmentSeconds: 300 })
+ *   POST /record/stop   - Stop archiving (body: { uniqueId: "username" })
+ *   POST /watch         - Watch an account and connect when it goes live (body: { uniqueId: "username" })
+ *   DELETE /watch/:id   - Stop watching an account
+ *   GET  /watch         - List watched accounts
+ *   GET  /moderation    - Default chat moderation rules and streams with their own
+ *   GET|PUT|DELETE /moderation/:id - Read, replace or reset a stream's chat rules
+ *   POST /replay        - Play back a recorded session (body: { fixture: "name", speed: 1 })
+ *   GET  /fixtures      - List recorded sessions
+ *   POST /drain         - Stop taking new streams ahead of a deploy, optionally handing
+ *                         off to a successor (body: { successor: "http://new-instance:8080" })
+ *   POST /handoff       - Drain and export the streams for a successor's /adopt
+ *   POST /adopt         - Take over a draining instance's streams (body: handoff blob)
+ *   GET|PUT /admin/logging - Read or change log levels, bridge-wide or per stream
+ *                         (body: { uniqueId?: "username", level: "debug", rawEvents: true })
  *   GET  /status        - List active connections
  *   GET  /health        - Health check
+ *   GET  /ready         - Readiness for new streams (503 while draining)
+ *   GET  /metrics       - Prometheus metrics
  *   WS   /events        - WebSocket for real-time event streaming to Elixir
+ *                         (?since=<seq> replays journaled events missed while away;
+ *                          subscribe/unsubscribe messages filter by stream and type)
+ *
+ * Everything except /health and /ready requires credentials when TIKTOK_BRIDGE_SECRET is set
+ * (see auth.js).
+ *
+ * `node cluster.js` runs several of these as workers behind a coordinator that
+ * serves the same API (see cluster.js).
  */
 
 import http from 'http';
+import cluster from 'cluster';
 import { URL } from 'url';
-import { WebSocketServer, WebSocket } from 'ws';
 import { WebcastPushConnection } from 'tiktok-live-connector';
-import { spawn } from 'child_process';
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
-
-// Use system ffmpeg (installed via apt in container) for better compatibility
-// ffmpeg-static has issues with FLV streams on certain architectures
+import { initJournal, currentSeq, advanceSeq, closeJournal } from './journal.js';
+import { authEnabled, authenticateRequest, applyCors } from './auth.js';
+import { SHOPPING_MESSAGE_TYPES, decodeShoppingMessage } from './shopping.js';
+import { startRecording, loadFixture, listFixtures, ReplayConnection } from './recording.js';
+import { startFrameSampler, captureStats } from './frames.js';
+import { startArchive, stopArchive, stopAllArchives, archiveInfo } from './archive.js';
+import { createCounter, createGauge, renderMetrics } from './metrics.js';
+import { createEventHub, createEventRelay } from './events.js';
+import { loadDesiredConnections, wantConnection, unwantConnection, desiredConnection } from './state.js';
+import { startWatchlist, stopWatchlist, watch, unwatch, listWatches } from './watchlist.js';
+import {
+  recordGift,
+  recordLikes,
+  recordFollow,
+  recordShare,
+  streamTotals,
+  seedTotals,
+  clearTotals,
+  startTotalsReporter,
+  stopTotalsReporter
+} from './totals.js';
+import {
+  trackViewers,
+  recordViewers,
+  viewerStats,
+  seedViewers,
+  clearViewers,
+  startViewerSampler,
+  stopViewerSampler
+} from './viewers.js';
+import {
+  DEFAULT_MODERATION,
+  moderateChat,
+  resetChatHistory,
+  setModerationRules,
+  clearModerationRules,
+  moderationRules,
+  listModerationRules,
+  moderationRulesByStream
+} from './moderation.js';
+import { parseChatIntent } from './intent.js';
+import { requestConnectToken, quotaStats } from './ratelimit.js';
+import { createHandoff, parseHandoff, sendHandoff } from './handoff.js';
+import { log, rawEventsEnabled, updateLogSettings, logSettings, redactUrl } from './logger.js';
 
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '0.0.0.0';
-const DEBUG_RAW_EVENTS = process.env.DEBUG_RAW_EVENTS === 'true';
-
-// Shopping-related message types to capture via rawData
-const SHOPPING_MESSAGE_TYPES = [
-  'WebcastOecLiveShoppingMessage',
-  'WebcastVideoLiveGoodsOrderMessage',
-  'WebcastVideoLiveGoodsRcmdMessage',
-  'WebcastVideoLiveCouponRcmdMessage',
-  'WebcastLiveEcomMessage',
-  'WebcastLiveShoppingMessage'
-];
+
+// Record every stream to a replayable fixture (or opt in per stream on /connect)
+const RECORD_STREAMS = process.env.RECORD_STREAMS === 'true';
+
+// Instance to hand streams to when SIGTERM arrives (see handoff.js)
+const DRAIN_SUCCESSOR_URL = process.env.DRAIN_SUCCESSOR_URL || '';
+
+// Request bodies are small JSON payloads; anything bigger is rejected unread
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Reconnect policy for streams that drop without a streamEnd
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '8', 10);
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS || '2000', 10);
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS || '60000', 10);
 
 // Active TikTok connections: Map<uniqueId, connection>
 const connections = new Map();
 
-// WebSocket clients subscribed to events
-const wsClients = new Set();
+// Connection attempts in flight, so concurrent requests can't open duplicates
+const connecting = new Set();
+
+// Dropped streams waiting to reconnect: Map<uniqueId, { attempt, timer, reason, nextAttemptAt }>
+const reconnects = new Map();
+
+// Periodic frame samplers for connected streams: Map<uniqueId, { stop }>
+const frameSamplers = new Map();
+
+// Video URL each connected stream resolved to, for archiving: Map<uniqueId, url>
+const streamUrls = new Map();
+
+// Streams whose sessions are being recorded (kept across reconnects)
+const recordedStreams = new Set();
+
+// Streams reconnected at boot from the saved state, until disconnected
+const restoredStreams = new Set();
+
+// Set once shutdown starts so dropped connections aren't retried
+let shuttingDown = false;
+
+// Set once draining: { startedAt, successor }. No new streams are taken.
+let draining = null;
+
+// Streams handed to a successor, closed without reporting them disconnected
+const handedOff = new Set();
+
+// Sequence number clients should resume from after a handoff
+let handoffSeq = null;
 
 // Stats
 const stats = {
   startTime: Date.now(),
-  totalConnections: 0,
-  totalEvents: 0
+  totalConnections: 0
 };
 
+const connectionAttempts = createCounter('connection_attempts_total', 'TikTok connection attempts by kind');
+const connectionErrors = createCounter('connection_errors_total', 'TikTok connection failures and drops by reason');
+const chatFlags = createCounter('chat_flags_total', 'Chat messages flagged by moderation, by flag');
+const chatIntents = createCounter('chat_intents_total', 'Chat messages asking about products, by intent');
+
+createGauge('connections', 'Connected TikTok streams', () => connections.size);
+
 /**
- * Broadcast an event to all connected WebSocket clients
+ * Metric label (and log `code`) for a failed connection attempt
  */
-function broadcastEvent(event) {
-  stats.totalEvents++;
-  const message = JSON.stringify(event);
-
-  for (const client of wsClients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  }
+function connectionErrorReason(message) {
+  if (isOfflineError(message)) return 'offline';
+  if (/rate.?limit|too many requests|429/i.test(message || '')) return 'rate_limited';
+  if (/timed? ?out|ETIMEDOUT/i.test(message || '')) return 'timeout';
+  if (/captcha|sign/i.test(message || '')) return 'blocked';
+  if (/ENOTFOUND|ECONNREFUSED|ECONNRESET|socket hang up/i.test(message || '')) return 'network';
+  return 'other';
 }
 
 /**
- * Extract product information from shopping events.
- *
- * TikTok shopping events contain various structures depending on the event type.
- * Common structures include:
- * - products/productList arrays with product details
- * - Nested productInfo objects
- *
- * We normalize these into a consistent format.
+ * Broadcast an event to all connected WebSocket clients (see events.js)
  */
-function extractProducts(data) {
-  const products = [];
-
-  // Try to find products in common locations
-  const productSources = [
-    data?.products,
-    data?.productList,
-    data?.product ? [data.product] : null,
-    data?.productInfo ? [data.productInfo] : null
-  ];
+function broadcastEvent(event) {
+  hub.broadcast(event);
+}
 
-  for (const source of productSources) {
-    if (Array.isArray(source)) {
-      for (const p of source) {
-        const product = extractProductDetails(p);
-        if (product) {
-          products.push(product);
-        }
-      }
-    }
-  }
+/**
+ * Stop wanting a stream whose LIVE is over or that was disconnected on request,
+ * so it isn't restored on the next boot
+ */
+function forgetStream(uniqueId) {
+  unwantConnection(uniqueId);
+  restoredStreams.delete(uniqueId);
+  recordedStreams.delete(uniqueId);
+}
 
-  // Log for debugging if we have data but couldn't extract products
-  if (DEBUG_RAW_EVENTS && products.length === 0 && data) {
-    console.log('Shopping event structure (for debugging):', JSON.stringify(data, null, 2).slice(0, 500));
+/**
+ * Send a stream's final totals and reset its per-stream tallies, once it has
+ * ended or been disconnected (not while a dropped connection is being retried)
+ */
+function finishStream(uniqueId) {
+  resetChatHistory(uniqueId);
+  clearViewers(uniqueId);
+  const final = clearTotals(uniqueId);
+  if (final) {
+    broadcastEvent({
+      type: 'stream_totals',
+      uniqueId,
+      data: { ...final, final: true }
+    });
   }
-
-  return products;
 }
 
 /**
- * Extract normalized product details from a product object.
+ * Start archiving a connected stream's video, reporting progress as events
  */
-function extractProductDetails(p) {
-  if (!p) return null;
-
-  // Try various field name conventions
-  const productId = (
-    p.productId ||
-    p.product_id ||
-    p.id ||
-    p.productInfo?.productId ||
-    p.productInfo?.id
-  )?.toString();
-
-  if (!productId) return null;
-
-  return {
-    tiktokProductId: productId,
-    title: p.title || p.name || p.productName || p.productInfo?.title || null,
-    price: extractPrice(p),
-    imageUrl: p.imageUrl || p.image || p.coverUrl || p.productInfo?.imageUrl || null,
-    sellerId: (p.sellerId || p.seller_id)?.toString() || null
-  };
+function archiveStream(uniqueId, options) {
+  return startArchive(uniqueId, streamUrls.get(uniqueId), options, (type, data) => {
+    broadcastEvent({ type, uniqueId, data });
+  });
 }
 
 /**
- * Capture a video thumbnail from a stream URL (HLS, FLV, or RTMP).
- * Uses raw ffmpeg spawn instead of fluent-ffmpeg for better error handling.
- * Returns base64-encoded JPEG image data.
+ * Stop sampling frames from a stream, if we are
  */
-async function captureVideoThumbnail(streamUrl, uniqueId) {
-  const tmpFile = path.join(os.tmpdir(), `thumb_${uniqueId}_${Date.now()}.jpg`);
-
-  return new Promise((resolve, reject) => {
-    // Detect stream type
-    const isHls = streamUrl.includes('.m3u8') || streamUrl.includes('/hls/');
-    const isFlv = streamUrl.includes('.flv');
-    const streamType = isHls ? 'HLS' : isFlv ? 'FLV' : 'RTMP';
-
-    console.log(`[${uniqueId}] FFmpeg capturing from ${streamType} stream...`);
-
-    // Build ffmpeg arguments
-    const args = [
-      '-y',  // Overwrite output
-    ];
-
-    if (isHls) {
-      // HLS-specific: allow reconnection, seek past black frames
-      args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '2');
-      args.push('-ss', '3');  // Seek 3 seconds in
-    }
-
-    // Input timeout and analysis settings
-    args.push(
-      '-t', '5',                      // Limit input to 5 seconds
-      '-analyzeduration', '3000000',  // 3 seconds to analyze format
-      '-probesize', '2000000',        // 2MB probe size
-    );
-
-    // Headers to look like a browser
-    args.push(
-      '-user_agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      '-headers', 'Referer: https://www.tiktok.com/\r\n',
-    );
-
-    // Input URL
-    args.push('-i', streamUrl);
-
-    // Output settings
-    args.push(
-      '-frames:v', '1',         // Just one frame
-      '-vf', 'scale=-2:320',    // Scale to 320px height
-      '-q:v', '2',              // JPEG quality (2 = high)
-      tmpFile
-    );
-
-    console.log(`[${uniqueId}] FFmpeg args:`, args.slice(0, 15).join(' ') + '...');
-
-    const ffmpegProcess = spawn('ffmpeg', args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      timeout: 30000,  // 30 second timeout
-    });
+function stopFrameSampler(uniqueId) {
+  frameSamplers.get(uniqueId)?.stop();
+  frameSamplers.delete(uniqueId);
+}
 
-    let stderr = '';
-    let killed = false;
+/**
+ * Backoff delay before a reconnect attempt: exponential, capped, with jitter.
+ * Half the delay is fixed and half random so retries from many streams that
+ * dropped together (e.g. a network blip) don't hit TikTok at the same moment.
+ */
+function reconnectDelay(attempt) {
+  const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
 
-    // Set a hard timeout to prevent hanging
-    const timeout = setTimeout(() => {
-      killed = true;
-      ffmpegProcess.kill('SIGKILL');
-      console.error(`[${uniqueId}] FFmpeg timeout - killed process`);
-    }, 25000);
+/**
+ * Whether a connect failure means the LIVE is over (not worth retrying)
+ */
+function isOfflineError(message) {
+  return /LIVE has ended|offline/i.test(message || '');
+}
 
-    ffmpegProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
+/**
+ * Schedule the next reconnect attempt for a stream that dropped unexpectedly.
+ * Gives up after RECONNECT_MAX_ATTEMPTS and reports the stream as disconnected.
+ */
+function scheduleReconnect(uniqueId, attempt, reason) {
+  if (attempt > RECONNECT_MAX_ATTEMPTS) {
+    reconnects.delete(uniqueId);
+    log.error('Giving up reconnecting', { uniqueId, attempts: RECONNECT_MAX_ATTEMPTS, code: 'reconnect_failed', error: reason });
+    forgetStream(uniqueId);
+    stopArchive(uniqueId, 'reconnect_failed');
+    finishStream(uniqueId);
+    broadcastEvent({
+      type: 'reconnect_failed',
+      uniqueId,
+      attempts: RECONNECT_MAX_ATTEMPTS,
+      error: reason
     });
-
-    ffmpegProcess.on('error', (err) => {
-      clearTimeout(timeout);
-      console.error(`[${uniqueId}] FFmpeg spawn error:`, err.message);
-      try { fs.unlinkSync(tmpFile); } catch {}
-      reject(err);
+    broadcastEvent({
+      type: 'disconnected',
+      uniqueId
     });
+    return;
+  }
 
-    ffmpegProcess.on('close', (code, signal) => {
-      clearTimeout(timeout);
-
-      if (killed) {
-        reject(new Error('FFmpeg timeout'));
-        return;
-      }
-
-      if (signal) {
-        console.error(`[${uniqueId}] FFmpeg killed by signal:`, signal);
-        console.error(`[${uniqueId}] FFmpeg stderr:`, stderr.substring(0, 2000));
-        try { fs.unlinkSync(tmpFile); } catch {}
-        reject(new Error(`FFmpeg killed by ${signal}`));
-        return;
-      }
+  const delayMs = reconnectDelay(attempt);
+  log.info('Reconnect scheduled', { uniqueId, attempt, maxAttempts: RECONNECT_MAX_ATTEMPTS, delayMs, reason });
 
-      if (code !== 0) {
-        console.error(`[${uniqueId}] FFmpeg exited with code:`, code);
-        console.error(`[${uniqueId}] FFmpeg stderr:`, stderr.substring(0, 2000));
-        try { fs.unlinkSync(tmpFile); } catch {}
-        reject(new Error(`FFmpeg exited with code ${code}`));
-        return;
-      }
+  reconnects.set(uniqueId, {
+    attempt,
+    reason,
+    nextAttemptAt: Date.now() + delayMs,
+    timer: setTimeout(() => attemptReconnect(uniqueId), delayMs)
+  });
 
-      // Success - read the file
-      try {
-        const buffer = fs.readFileSync(tmpFile);
-        const base64 = buffer.toString('base64');
-        fs.unlinkSync(tmpFile);
-        console.log(`[${uniqueId}] FFmpeg capture successful (${base64.length} chars)`);
-        resolve(base64);
-      } catch (err) {
-        console.error(`[${uniqueId}] Failed to read thumbnail:`, err.message);
-        reject(err);
-      }
-    });
+  broadcastEvent({
+    type: 'reconnecting',
+    uniqueId,
+    attempt,
+    maxAttempts: RECONNECT_MAX_ATTEMPTS,
+    delayMs,
+    reason
   });
 }
 
 /**
- * Extract price in cents from various price formats.
+ * Run a scheduled reconnect attempt and schedule the next one if it fails
  */
-function extractPrice(p) {
-  // Try to find price in various locations and formats
-  const priceValue = (
-    p.price ||
-    p.priceInfo?.price ||
-    p.salePrice ||
-    p.originalPrice
-  );
+async function attemptReconnect(uniqueId) {
+  const pending = reconnects.get(uniqueId);
+  if (!pending) return;
+  pending.timer = null;
 
-  if (priceValue == null) return null;
+  const result = await connectToStream(uniqueId, { reconnect: true });
 
-  // If already a number, assume it might be in cents or dollars
-  if (typeof priceValue === 'number') {
-    // If less than 1000, probably dollars, convert to cents
-    return priceValue < 1000 ? Math.round(priceValue * 100) : priceValue;
+  // Disconnect was requested while this attempt was in flight
+  if (reconnects.get(uniqueId) !== pending) {
+    if (result.success) disconnectFromStream(uniqueId);
+    return;
   }
 
-  // If string, try to parse
-  if (typeof priceValue === 'string') {
-    const cleaned = priceValue.replace(/[^0-9.]/g, '');
-    const parsed = parseFloat(cleaned);
-    if (!isNaN(parsed)) {
-      return Math.round(parsed * 100);
-    }
+  if (result.success) {
+    reconnects.delete(uniqueId);
+    log.info('Reconnected', { uniqueId, attempts: pending.attempt });
+    return;
   }
 
-  return null;
+  // The LIVE finished while we were away - report it as ended, don't keep retrying
+  if (isOfflineError(result.error)) {
+    reconnects.delete(uniqueId);
+    log.info('Stream is offline, not retrying', { uniqueId, attempts: pending.attempt });
+    forgetStream(uniqueId);
+    stopArchive(uniqueId, 'stream_ended');
+    finishStream(uniqueId);
+    broadcastEvent({
+      type: 'reconnect_failed',
+      uniqueId,
+      attempts: pending.attempt,
+      error: result.error
+    });
+    broadcastEvent({
+      type: 'streamEnd',
+      uniqueId,
+      data: { reason: 'offline' }
+    });
+    return;
+  }
+
+  scheduleReconnect(uniqueId, pending.attempt + 1, result.error);
+}
+
+/**
+ * Streams captured now (connected, connecting or waiting to reconnect), for the
+ * connection quota
+ */
+function activeStreamCount() {
+  return connections.size + connecting.size + reconnects.size;
+}
+
+/**
+ * Cancel a pending reconnect. Returns true if one was pending.
+ */
+function cancelReconnect(uniqueId) {
+  const pending = reconnects.get(uniqueId);
+  if (!pending) return false;
+
+  if (pending.timer) clearTimeout(pending.timer);
+  reconnects.delete(uniqueId);
+  return true;
 }
 
 /**
  * Connect to a TikTok Live stream
+ *
+ * Pass `{ reconnect: true }` when retrying a dropped stream; an explicit
+ * connect instead supersedes any pending reconnect and connects right away.
+ * Pass `{ replay }` (a ReplayConnection) to play a recorded session back
+ * through the same handlers instead of connecting to TikTok, and
+ * `{ adopted: true }` for a stream taken over from a draining instance.
  */
-async function connectToStream(uniqueId) {
+async function connectToStream(uniqueId, { reconnect = false, replay = null, adopted = false } = {}) {
   if (connections.has(uniqueId)) {
     return { success: false, error: 'Already connected to this stream' };
   }
+  if (connecting.has(uniqueId)) {
+    return { success: false, error: 'Already connecting to this stream' };
+  }
+
+  // Carries roomId too once connected
+  let streamLog = log.child({ uniqueId });
+
+  if (!reconnect && cancelReconnect(uniqueId)) {
+    streamLog.info('Pending reconnect superseded by connect request');
+  }
 
-  console.log(`[${uniqueId}] Connecting...`);
+  const kind = replay ? 'replay' : adopted ? 'adopt' : reconnect ? 'reconnect' : 'connect';
+  connectionAttempts.inc({ kind });
+  streamLog.info('Connecting', { kind, ...(replay && { fixture: replay.fixture }) });
+  connecting.add(uniqueId);
+
+  // Set when TikTok tells us the LIVE is over, so the disconnect that follows isn't retried
+  let streamEnded = false;
+  let recording = null;
 
   try {
-    const connection = new WebcastPushConnection(uniqueId, {
+    const connection = replay || new WebcastPushConnection(uniqueId, {
       processInitialData: true,
       enableExtendedGiftInfo: true,
       enableWebsocketUpgrade: true,
       requestPollingIntervalMs: 2000
     });
 
+    if (!replay && (RECORD_STREAMS || recordedStreams.has(uniqueId))) {
+      recording = startRecording(connection, uniqueId);
+    }
+
     // Set up event handlers
     connection.on('connected', (state) => {
-      console.log(`[${uniqueId}] Connected! Room ID: ${state.roomId}`);
+      streamLog = streamLog.child({ roomId: state.roomId });
+      streamLog.info('Connected');
+      trackViewers(uniqueId, state.roomInfo?.user_count);
 
-      // Debug: log roomInfo structure to understand what TikTok returns
       const streamUrl = state.roomInfo?.stream_url;
-      console.log(`[${uniqueId}] roomInfo keys:`, Object.keys(state.roomInfo || {}));
 
       // Helper to extract URL from field (handles both string and object/map formats)
       const extractUrl = (field) => {
@@ -318,28 +406,6 @@ async function connectToStream(uniqueId) {
         return null;
       };
 
-      if (streamUrl) {
-        console.log(`[${uniqueId}] stream_url keys:`, Object.keys(streamUrl));
-        console.log(`[${uniqueId}] hls_pull_url:`, streamUrl.hls_pull_url ? `"${String(streamUrl.hls_pull_url).substring(0, 60)}..."` : '(empty)');
-        console.log(`[${uniqueId}] hls_pull_url_map:`, streamUrl.hls_pull_url_map ? JSON.stringify(Object.keys(streamUrl.hls_pull_url_map)) : '(empty)');
-        console.log(`[${uniqueId}] flv_pull_url:`, typeof streamUrl.flv_pull_url === 'object' ? JSON.stringify(Object.keys(streamUrl.flv_pull_url)) : streamUrl.flv_pull_url);
-
-        // Log actual URLs for debugging
-        if (streamUrl.hls_pull_url_map && typeof streamUrl.hls_pull_url_map === 'object') {
-          const firstHlsKey = Object.keys(streamUrl.hls_pull_url_map)[0];
-          if (firstHlsKey) {
-            console.log(`[${uniqueId}] hls_pull_url_map[${firstHlsKey}]:`, String(streamUrl.hls_pull_url_map[firstHlsKey]).substring(0, 80));
-          }
-        }
-        if (streamUrl.flv_pull_url && typeof streamUrl.flv_pull_url === 'object') {
-          const firstFlvKey = Object.keys(streamUrl.flv_pull_url)[0];
-          if (firstFlvKey) {
-            console.log(`[${uniqueId}] flv_pull_url[${firstFlvKey}]:`, String(streamUrl.flv_pull_url[firstFlvKey]).substring(0, 80));
-          }
-        }
-      }
-
-
       // Try multiple stream URL sources for thumbnail capture
       // Priority: HLS string > HLS map > FLV string > FLV map
       const hlsUrl = extractUrl(streamUrl?.hls_pull_url) ||
@@ -347,49 +413,78 @@ async function connectToStream(uniqueId) {
                      extractUrl(streamUrl?.flv_pull_url) ||
                      extractUrl(streamUrl?.rtmp_pull_url);
 
-      console.log(`[${uniqueId}] Selected stream URL:`, hlsUrl ? hlsUrl.substring(0, 80) + '...' : 'NONE');
+      // What TikTok offered, to debug streams whose video can't be sampled
+      streamLog.debug('Stream URLs', {
+        roomInfoKeys: Object.keys(state.roomInfo || {}),
+        streamUrlKeys: Object.keys(streamUrl || {}),
+        selectedUrl: hlsUrl ? redactUrl(hlsUrl) : null
+      });
 
       // Broadcast connected event immediately (don't block on thumbnail)
       broadcastEvent({
         type: 'connected',
         uniqueId,
         roomId: state.roomId,
-        roomInfo: state.roomInfo
+        roomInfo: state.roomInfo,
+        reconnected: reconnect,
+        ...(adopted && { adopted: true })
       });
 
-      // Capture thumbnail asynchronously, send separate event when done
+      // Sample frames asynchronously (the first is the thumbnail), one event per frame
       if (hlsUrl) {
-        console.log(`[${uniqueId}] Stream URL found: ${hlsUrl.substring(0, 80)}...`);
-        console.log(`[${uniqueId}] Capturing video thumbnail...`);
-        captureVideoThumbnail(hlsUrl, uniqueId)
-          .then((thumbnailBase64) => {
-            console.log(`[${uniqueId}] Thumbnail captured (${thumbnailBase64.length} chars base64)`);
-            broadcastEvent({
-              type: 'thumbnail',
-              uniqueId,
-              thumbnailBase64,
-              contentType: 'image/jpeg'
-            });
-          })
-          .catch((err) => {
-            console.error(`[${uniqueId}] Thumbnail capture failed:`, err.message);
+        streamUrls.set(uniqueId, hlsUrl);
+        streamLog.info('Sampling video frames');
+        stopFrameSampler(uniqueId);
+        frameSamplers.set(uniqueId, startFrameSampler(hlsUrl, uniqueId, (frame) => {
+          broadcastEvent({
+            type: 'thumbnail',
+            uniqueId,
+            thumbnailBase64: frame.thumbnailBase64,
+            contentType: 'image/jpeg',
+            capturedAt: frame.capturedAt,
+            sample: frame.sample
           });
+        }));
       } else {
-        console.log(`[${uniqueId}] No stream URL available for thumbnail capture`);
+        streamLog.info('No stream URL available for frame sampling');
       }
     });
 
     connection.on('disconnected', () => {
-      console.log(`[${uniqueId}] Disconnected`);
+      // disconnectFromStream removes the entry before closing, so a connection
+      // that is no longer registered was closed on purpose
+      const intentional = connections.get(uniqueId) !== connection;
       connections.delete(uniqueId);
-      broadcastEvent({
-        type: 'disconnected',
-        uniqueId
-      });
+      streamUrls.delete(uniqueId);
+      stopFrameSampler(uniqueId);
+
+      // A successor has taken over (see handoff.js); it reports from here on
+      if (handedOff.has(uniqueId) && !streamEnded) {
+        streamLog.info('Disconnected (handed off)');
+        stopArchive(uniqueId, 'handed_off');
+        return;
+      }
+
+      // An archive keeps recording the video while a dropped connection is retried
+      if (intentional || streamEnded || shuttingDown) {
+        streamLog.info('Disconnected', { streamEnded });
+        stopArchive(uniqueId, streamEnded ? 'stream_ended' : 'disconnected');
+        if (!shuttingDown) finishStream(uniqueId);
+        broadcastEvent({
+          type: 'disconnected',
+          uniqueId
+        });
+        return;
+      }
+
+      streamLog.warn('Connection dropped unexpectedly', { code: 'dropped' });
+      connectionErrors.inc({ reason: 'dropped' });
+      scheduleReconnect(uniqueId, 1, 'Connection dropped');
     });
 
     connection.on('error', (err) => {
-      console.error(`[${uniqueId}] Error:`, err.message);
+      streamLog.error('Stream error', { code: 'stream_error', err });
+      connectionErrors.inc({ reason: 'stream_error' });
       broadcastEvent({
         type: 'error',
         uniqueId,
@@ -398,21 +493,41 @@ async function connectToStream(uniqueId) {
     });
 
     connection.on('chat', (data) => {
+      const { flags, alerts } = moderateChat(uniqueId, data);
+      const { productRefs, intent } = parseChatIntent(data.comment);
+      const chat = {
+        msgId: data.msgId,
+        userId: data.userId,
+        uniqueId: data.uniqueId,
+        nickname: data.nickname,
+        comment: data.comment,
+        createTime: data.createTime,
+        flags,
+        productRefs,
+        intent
+      };
+      for (const flag of flags) chatFlags.inc({ flag });
+      if (intent) chatIntents.inc({ intent });
+
       broadcastEvent({
         type: 'chat',
         uniqueId,
-        data: {
-          msgId: data.msgId,
-          userId: data.userId,
-          uniqueId: data.uniqueId,
-          nickname: data.nickname,
-          comment: data.comment,
-          createTime: data.createTime
-        }
+        data: chat
       });
+
+      // Questions the host should answer live
+      if (alerts.length > 0) {
+        broadcastEvent({
+          type: 'chat_alert',
+          uniqueId,
+          data: { ...chat, alerts }
+        });
+      }
     });
 
+    // Streak gifts are valued (and counted in the totals) when the streak ends
     connection.on('gift', (data) => {
+      const value = recordGift(uniqueId, data);
       broadcastEvent({
         type: 'gift',
         uniqueId,
@@ -425,12 +540,17 @@ async function connectToStream(uniqueId) {
           diamondCount: data.diamondCount,
           repeatCount: data.repeatCount,
           repeatEnd: data.repeatEnd,
+          giftType: value.giftType,
+          streaking: value.streaking,
+          diamondValue: value.diamondValue,
+          totalDiamonds: value.totalDiamonds,
           createTime: data.createTime
         }
       });
     });
 
     connection.on('like', (data) => {
+      recordLikes(uniqueId, data);
       broadcastEvent({
         type: 'like',
         uniqueId,
@@ -458,6 +578,7 @@ async function connectToStream(uniqueId) {
     });
 
     connection.on('roomUser', (data) => {
+      recordViewers(uniqueId, data);
       broadcastEvent({
         type: 'roomUser',
         uniqueId,
@@ -481,8 +602,10 @@ async function connectToStream(uniqueId) {
       });
     });
 
-    // Dedicated follow event (newer library versions)
+    // Dedicated follow event (newer library versions). Also emitted alongside
+    // `social`, so follows are counted here only.
     connection.on('follow', (data) => {
+      recordFollow(uniqueId);
       broadcastEvent({
         type: 'follow',
         uniqueId,
@@ -494,8 +617,9 @@ async function connectToStream(uniqueId) {
       });
     });
 
-    // Dedicated share event (newer library versions)
+    // Dedicated share event (newer library versions), counted like follows
     connection.on('share', (data) => {
+      recordShare(uniqueId);
       broadcastEvent({
         type: 'share',
         uniqueId,
@@ -508,8 +632,14 @@ async function connectToStream(uniqueId) {
     });
 
     connection.on('streamEnd', (data) => {
-      console.log(`[${uniqueId}] Stream ended`);
+      streamLog.info('Stream ended', { event: 'streamEnd' });
+      streamEnded = true;
       connections.delete(uniqueId);
+      if (!replay) forgetStream(uniqueId);
+      streamUrls.delete(uniqueId);
+      stopFrameSampler(uniqueId);
+      stopArchive(uniqueId, 'stream_ended');
+      finishStream(uniqueId);
       broadcastEvent({
         type: 'streamEnd',
         uniqueId,
@@ -517,23 +647,6 @@ async function connectToStream(uniqueId) {
       });
     });
 
-    // Shopping/Product events
-    connection.on('oecLiveShopping', (data) => {
-      console.log(`[${uniqueId}] Shopping event received`);
-
-      // Extract product information from the shopping event
-      const products = extractProducts(data);
-
-      broadcastEvent({
-        type: 'shopping',
-        uniqueId,
-        data: {
-          products: products,
-          raw: data
-        }
-      });
-    });
-
     connection.on('liveIntro', (data) => {
       broadcastEvent({
         type: 'liveIntro',
@@ -559,14 +672,23 @@ async function connectToStream(uniqueId) {
 
     // Raw data handler for shopping messages and debug logging
     connection.on('rawData', (messageTypeName, binary) => {
-      // Debug mode: log all message types
-      if (DEBUG_RAW_EVENTS) {
-        console.log(`[${uniqueId}] Raw message type: ${messageTypeName}`);
+      // Every message type, when turned on for this stream via /admin/logging
+      if (rawEventsEnabled(uniqueId)) {
+        streamLog.info('Raw message', { event: messageTypeName, bytes: binary.length });
       }
 
-      // Forward shopping-related messages
+      // Decode shopping-related messages (typed events, or rawShopping without a schema)
       if (SHOPPING_MESSAGE_TYPES.includes(messageTypeName)) {
-        console.log(`[${uniqueId}] Raw shopping message: ${messageTypeName}`);
+        try {
+          const { type, data } = decodeShoppingMessage(messageTypeName, binary);
+          streamLog.debug('Shopping message', { event: type, messageType: messageTypeName });
+          broadcastEvent({ type, uniqueId, data });
+          return;
+        } catch (err) {
+          streamLog.error('Failed to decode shopping message', { event: messageTypeName, code: 'decode_failed', err });
+        }
+
+        // Forward undecodable messages as-is so nothing is lost
         broadcastEvent({
           type: 'rawShopping',
           uniqueId,
@@ -587,12 +709,19 @@ async function connectToStream(uniqueId) {
     return {
       success: true,
       roomId: state.roomId,
-      viewerCount: state.roomInfo?.viewerCount || 0
+      viewerCount: state.roomInfo?.viewerCount || 0,
+      ...(recording && { fixture: recording.name }),
+      ...(replay && { replay: replay.fixture })
     };
 
   } catch (error) {
-    console.error(`[${uniqueId}] Connection failed:`, error.message);
+    const reason = connectionErrorReason(error.message);
+    streamLog.error('Connection failed', { kind, code: reason, err: error });
+    connectionErrors.inc({ reason });
+    recording?.discard();
     return { success: false, error: error.message };
+  } finally {
+    connecting.delete(uniqueId);
   }
 }
 
@@ -602,26 +731,57 @@ async function connectToStream(uniqueId) {
 function disconnectFromStream(uniqueId) {
   const connection = connections.get(uniqueId);
   if (!connection) {
+    if (cancelReconnect(uniqueId)) {
+      log.info('Pending reconnect cancelled by request', { uniqueId });
+      stopArchive(uniqueId, 'disconnected');
+      finishStream(uniqueId);
+      broadcastEvent({
+        type: 'disconnected',
+        uniqueId
+      });
+      return { success: true };
+    }
     return { success: false, error: 'Not connected to this stream' };
   }
 
-  connection.disconnect();
+  // Unregister first so the disconnected handler knows not to reconnect
   connections.delete(uniqueId);
-  console.log(`[${uniqueId}] Disconnected by request`);
+  stopFrameSampler(uniqueId);
+  stopArchive(uniqueId, 'disconnected');
+  connection.disconnect();
+  log.info('Disconnected by request', { uniqueId });
 
   return { success: true };
 }
 
+/**
+ * Read a request body as a string, rejecting bodies over MAX_BODY_BYTES
+ * (drained and discarded rather than buffered)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        body = '';
+      }
+    });
+    req.on('end', () => tooLarge ? reject(new Error('Request body too large')) : resolve(body));
+    req.on('error', reject);
+  });
+}
+
 /**
  * HTTP request handler
  */
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
 
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  applyCors(req, res);
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -629,135 +789,531 @@ async function handleRequest(req, res) {
     return;
   }
 
-  // Health check
+  // Health check (unauthenticated, for the load balancer). A draining bridge
+  // is still healthy - its streams carry on until they're handed off.
   if (url.pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'ok',
+      draining: Boolean(draining),
       uptime: Math.floor((Date.now() - stats.startTime) / 1000),
       connections: connections.size,
-      wsClients: wsClients.size
+      wsClients: hub.stats().wsClients
     }));
     return;
   }
 
+  // Readiness (unauthenticated): 503 while draining, so new work goes elsewhere
+  if (url.pathname === '/ready') {
+    res.writeHead(draining ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: draining ? 'draining' : 'ready' }));
+    return;
+  }
+
+  let body;
+  try {
+    body = req.method === 'POST' || req.method === 'PUT' ? await readBody(req) : '';
+  } catch (error) {
+    res.writeHead(413, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: error.message }));
+    return;
+  }
+
+  const authError = authenticateRequest(req, url.pathname, body);
+  if (authError) {
+    log.warn('Rejected request', { method: req.method, path: url.pathname, code: 'unauthorized', error: authError });
+    res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
+
+  // Prometheus scrape
+  if (url.pathname === '/metrics' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(renderMetrics());
+    return;
+  }
+
   // Status - list active connections
   if (url.pathname === '/status' && req.method === 'GET') {
-    const activeConnections = Array.from(connections.keys()).map(uniqueId => ({
+    // Who asked for each stream, and whether it came back from saved state
+    const origin = (uniqueId) => {
+      const wanted = desiredConnection(uniqueId);
+      return {
+        restored: restoredStreams.has(uniqueId),
+        ...(wanted && { requestedBy: wanted.requestedBy, requestedAt: wanted.requestedAt })
+      };
+    };
+
+    const activeConnections = Array.from(connections).map(([uniqueId, connection]) => ({
       uniqueId,
-      connected: true
+      connected: true,
+      ...origin(uniqueId),
+      recording: !(connection instanceof ReplayConnection) && (RECORD_STREAMS || recordedStreams.has(uniqueId)),
+      ...(connection instanceof ReplayConnection && { replay: connection.fixture }),
+      archive: archiveInfo(uniqueId),
+      totals: streamTotals(uniqueId),
+      viewers: viewerStats(uniqueId)
     }));
 
+    for (const [uniqueId, pending] of reconnects) {
+      activeConnections.push({
+        uniqueId,
+        connected: false,
+        reconnecting: true,
+        attempt: pending.attempt,
+        maxAttempts: RECONNECT_MAX_ATTEMPTS,
+        nextAttemptAt: pending.nextAttemptAt,
+        reason: pending.reason,
+        ...origin(uniqueId),
+        totals: streamTotals(uniqueId),
+        viewers: viewerStats(uniqueId)
+      });
+    }
+
+    const { totalEvents, droppedEvents, wsClients } = hub.stats();
+
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       connections: activeConnections,
+      clients: hub.clients(),
       stats: {
         uptime: Math.floor((Date.now() - stats.startTime) / 1000),
         totalConnections: stats.totalConnections,
-        totalEvents: stats.totalEvents,
-        wsClients: wsClients.size
-      }
+        totalEvents,
+        dropped: droppedEvents,
+        lastSeq: currentSeq(),
+        wsClients,
+        frameCaptures: captureStats()
+      },
+      quotas: quotaStats(activeStreamCount()),
+      draining: draining && { ...draining, handedOff: Array.from(handedOff) }
     }));
     return;
   }
 
+  // A draining instance takes no new streams
+  if (draining && req.method === 'POST' && ['/connect', '/replay', '/watch', '/adopt'].includes(url.pathname)) {
+    res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5' });
+    res.end(JSON.stringify({ success: false, error: 'Bridge is draining' }));
+    return;
+  }
+
   // Connect to a stream
   if (url.pathname === '/connect' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
-      try {
-        const { uniqueId } = JSON.parse(body);
-        if (!uniqueId) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+    try {
+      const { uniqueId, record, requestedBy } = JSON.parse(body);
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
+
+      // Streams already connected or connecting get their usual answer below
+      if (!connections.has(uniqueId) && !connecting.has(uniqueId)) {
+        const limited = await requestConnectToken(uniqueId, activeStreamCount(), { newStream: !reconnects.has(uniqueId) });
+        if (limited) {
+          log.warn('Connect refused', { uniqueId, code: limited.reason, retryAfter: limited.retryAfter });
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(limited.retryAfter) });
+          res.end(JSON.stringify({ success: false, ...limited }));
           return;
         }
+      }
 
-        const result = await connectToStream(uniqueId);
-        res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result));
-      } catch (error) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      if (record) {
+        recordedStreams.add(uniqueId);
       }
-    });
+
+      const result = await connectToStream(uniqueId);
+      if (result.success) {
+        wantConnection(uniqueId, {
+          requestedBy: requestedBy || req.socket.remoteAddress,
+          record: recordedStreams.has(uniqueId)
+        });
+      }
+      res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
     return;
   }
 
   // Disconnect from a stream
   if (url.pathname === '/disconnect' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        const { uniqueId } = JSON.parse(body);
-        if (!uniqueId) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing uniqueId' }));
-          return;
-        }
+    try {
+      const { uniqueId } = JSON.parse(body);
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
 
-        const result = disconnectFromStream(uniqueId);
-        res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result));
-      } catch (error) {
+      forgetStream(uniqueId);
+      const result = disconnectFromStream(uniqueId);
+      res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
+    return;
+  }
+
+  // Start archiving a connected stream's video
+  if (url.pathname === '/record/start' && req.method === 'POST') {
+    let params;
+    try {
+      params = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Body must be a JSON object' }));
+      return;
+    }
+
+    const { uniqueId, format, segmentSeconds } = params;
+    if (!uniqueId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+      return;
+    }
+
+    let result;
+    if (!connections.has(uniqueId)) {
+      result = { success: false, error: 'Not connected to this stream' };
+    } else if (!streamUrls.has(uniqueId)) {
+      result = { success: false, error: 'No video URL available for this stream' };
+    } else {
+      result = archiveStream(uniqueId, { format, segmentSeconds });
+    }
+
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // Stop archiving a stream (waits for the last segment to be finalized)
+  if (url.pathname === '/record/stop' && req.method === 'POST') {
+    try {
+      const { uniqueId } = JSON.parse(body);
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
+
+      const stopped = stopArchive(uniqueId, 'requested');
+      if (!stopped) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        res.end(JSON.stringify({ success: false, error: 'Not recording this stream' }));
+        return;
+      }
+
+      const summary = await stopped;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, ...summary }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
+    return;
+  }
+
+  // Watch an account for going live
+  if (url.pathname === '/watch' && req.method === 'POST') {
+    try {
+      const { uniqueId, addedBy } = JSON.parse(body);
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
+
+      if (!watch(uniqueId, { addedBy: addedBy || req.socket.remoteAddress })) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Already watching this account' }));
+        return;
+      }
+
+      log.info('Added to watchlist', { uniqueId });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
+    return;
+  }
+
+  // List watched accounts
+  if (url.pathname === '/watch' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ watchlist: listWatches() }));
+    return;
+  }
+
+  // Stop watching an account (doesn't disconnect it if it's live)
+  if (url.pathname.startsWith('/watch/') && req.method === 'DELETE') {
+    const uniqueId = decodeURIComponent(url.pathname.slice('/watch/'.length));
+    if (!unwatch(uniqueId)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Not watching this account' }));
+      return;
+    }
+
+    log.info('Removed from watchlist', { uniqueId });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+    return;
+  }
+
+  // Chat moderation rules
+  if (url.pathname === '/moderation' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ defaults: DEFAULT_MODERATION, custom: listModerationRules() }));
+    return;
+  }
+
+  if (url.pathname.startsWith('/moderation/') && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    const uniqueId = decodeURIComponent(url.pathname.slice('/moderation/'.length));
+    if (!uniqueId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+      return;
+    }
+
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(moderationRules(uniqueId)));
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (!clearModerationRules(uniqueId)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'No custom rules for this stream' }));
+        return;
       }
+
+      log.info('Moderation rules reset to defaults', { uniqueId });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+      return;
+    }
+
+    let input;
+    try {
+      input = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    const { rules, error } = setModerationRules(uniqueId, input);
+    if (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error }));
+      return;
+    }
+
+    log.info('Moderation rules updated', { uniqueId });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, ...rules }));
+    return;
+  }
+
+  // Log levels and raw message logging (see logger.js)
+  if (url.pathname === '/admin/logging' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(logSettings()));
+    return;
+  }
+
+  if (url.pathname === '/admin/logging' && req.method === 'PUT') {
+    let input;
+    try {
+      input = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    const error = updateLogSettings(input);
+    if (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error }));
+      return;
+    }
+
+    log.info('Log settings changed', { settings: input });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, ...logSettings() }));
+    return;
+  }
+
+  // Start draining, and hand off to a successor if one is given
+  if (url.pathname === '/drain' && req.method === 'POST') {
+    let successor = null;
+    try {
+      ({ successor = null } = body ? JSON.parse(body) : {});
+      if (successor) new URL(successor);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON or successor URL' }));
+      return;
+    }
+
+    startDraining();
+    if (successor) {
+      handOff(successor).then(ok => ok && shutdown('handoff'));
+    }
+
+    res.writeHead(202, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, draining: true, successor }));
+    return;
+  }
+
+  // Drain and export the streams for a successor to adopt
+  if (url.pathname === '/handoff' && req.method === 'POST') {
+    startDraining();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(exportHandoff()));
+    return;
+  }
+
+  // Take over a draining instance's streams
+  if (url.pathname === '/adopt' && req.method === 'POST') {
+    let input;
+    try {
+      input = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    const { handoff, error } = parseHandoff(input);
+    if (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error }));
+      return;
+    }
+
+    const result = await adoptStreams(handoff);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, ...result }));
+    return;
+  }
+
+  // List recorded sessions available for replay
+  if (url.pathname === '/fixtures' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ fixtures: await listFixtures() }));
+    return;
+  }
+
+  // Replay a recorded session as if it were live
+  if (url.pathname === '/replay' && req.method === 'POST') {
+    let params;
+    try {
+      params = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Body must be a JSON object' }));
+      return;
+    }
+
+    const { fixture: name, speed = 1 } = params;
+    if (!name) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing fixture' }));
+      return;
+    }
+    if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'speed must be a positive number' }));
+      return;
+    }
+
+    let fixture;
+    try {
+      fixture = await loadFixture(name);
+    } catch (error) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Fixture not found: ${name}` }));
+      return;
+    }
+
+    // Replays under the recorded uniqueId unless told otherwise
+    const uniqueId = params.uniqueId || fixture.header.uniqueId;
+    const result = await connectToStream(uniqueId, {
+      replay: new ReplayConnection(fixture, { speed })
     });
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...result, uniqueId, events: fixture.entries.length }));
     return;
   }
 
   // Test endpoint - probe a stream without full connection
   if (url.pathname === '/test-stream' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
-      try {
-        const { uniqueId } = JSON.parse(body);
-        if (!uniqueId) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing uniqueId' }));
-          return;
-        }
+    try {
+      const { uniqueId } = JSON.parse(body);
+      if (!uniqueId) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing uniqueId' }));
+        return;
+      }
 
-        console.log(`[TEST] Probing stream info for ${uniqueId}...`);
+      log.info('Probing stream info', { uniqueId });
 
-        const connection = new WebcastPushConnection(uniqueId, {
-          processInitialData: false,
-          enableExtendedGiftInfo: false,
-          enableWebsocketUpgrade: false
-        });
+      const connection = new WebcastPushConnection(uniqueId, {
+        processInitialData: false,
+        enableExtendedGiftInfo: false,
+        enableWebsocketUpgrade: false
+      });
 
-        try {
-          const roomInfo = await connection.getRoomInfo();
-          const streamUrl = roomInfo?.stream_url;
-
-          const result = {
-            success: true,
-            roomId: roomInfo?.id_str,
-            status: roomInfo?.status,
-            stream_url_keys: streamUrl ? Object.keys(streamUrl) : [],
-            hls_pull_url: streamUrl?.hls_pull_url || null,
-            hls_pull_url_map: streamUrl?.hls_pull_url_map ? Object.keys(streamUrl.hls_pull_url_map) : [],
-            flv_pull_url: typeof streamUrl?.flv_pull_url === 'object'
-              ? Object.entries(streamUrl.flv_pull_url).map(([k, v]) => ({ quality: k, url: String(v).substring(0, 100) + '...' }))
-              : streamUrl?.flv_pull_url || null,
-          };
-
-          console.log(`[TEST] Room info retrieved:`, JSON.stringify(result, null, 2));
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(result, null, 2));
-        } catch (err) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: err.message }));
-        }
-      } catch (error) {
+      try {
+        const roomInfo = await connection.getRoomInfo();
+        const streamUrl = roomInfo?.stream_url;
+
+        const result = {
+          success: true,
+          roomId: roomInfo?.id_str,
+          status: roomInfo?.status,
+          stream_url_keys: streamUrl ? Object.keys(streamUrl) : [],
+          hls_pull_url: streamUrl?.hls_pull_url || null,
+          hls_pull_url_map: streamUrl?.hls_pull_url_map ? Object.keys(streamUrl.hls_pull_url_map) : [],
+          flv_pull_url: typeof streamUrl?.flv_pull_url === 'object'
+            ? Object.entries(streamUrl.flv_pull_url).map(([k, v]) => ({ quality: k, url: String(v).substring(0, 100) + '...' }))
+            : streamUrl?.flv_pull_url || null,
+        };
+
+        log.debug('Room info retrieved', { uniqueId, roomId: result.roomId, status: result.status, streamUrlKeys: result.stream_url_keys });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result, null, 2));
+      } catch (err) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        res.end(JSON.stringify({ success: false, error: err.message }));
       }
-    });
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
     return;
   }
 
@@ -769,84 +1325,290 @@ async function handleRequest(req, res) {
 // Create HTTP server
 const server = http.createServer(handleRequest);
 
-// Create WebSocket server for event streaming
-const wss = new WebSocketServer({ server, path: '/events' });
-
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
-  wsClients.add(ws);
-
-  ws.on('close', () => {
-    console.log('WebSocket client disconnected');
-    wsClients.delete(ws);
-  });
-
-  ws.on('error', (err) => {
-    console.error('WebSocket error:', err.message);
-    wsClients.delete(ws);
-  });
-
-  // Send current status on connect
-  ws.send(JSON.stringify({
-    type: 'status',
-    connections: Array.from(connections.keys())
-  }));
-});
-
-// Periodic heartbeat to all connected WebSocket clients (every 30 seconds)
-// This prevents Elixir client from thinking the connection is stale when no streams are active
-setInterval(() => {
-  if (wsClients.size > 0) {
-    const heartbeat = JSON.stringify({
-      type: 'heartbeat',
-      activeConnections: connections.size,
-      timestamp: Date.now()
-    });
-    for (const client of wsClients) {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(heartbeat);
-      }
-    }
-  }
-}, 30000);
+// Event stream clients, or in a cluster worker the relay to the coordinator
+// (see cluster.js), which serves /events for every worker
+const hub = cluster.isWorker
+  ? createEventRelay()
+  : createEventHub(server, { activeStreams: () => Array.from(connections.keys()) });
 
 // Graceful shutdown
 async function shutdown(signal) {
-  console.log(`\nReceived ${signal}, shutting down...`);
+  if (shuttingDown) return;
+  log.info('Shutting down', { signal });
+  shuttingDown = true;
+  stopWatchlist();
+  stopTotalsReporter();
+  stopViewerSampler();
+
+  // Drop any pending reconnects
+  for (const uniqueId of Array.from(reconnects.keys())) {
+    cancelReconnect(uniqueId);
+  }
 
   // Close all TikTok connections
   for (const [uniqueId, connection] of connections) {
-    console.log(`Disconnecting from ${uniqueId}...`);
+    log.info('Disconnecting for shutdown', { uniqueId });
+    stopFrameSampler(uniqueId);
     connection.disconnect();
   }
   connections.clear();
 
-  // Close WebSocket clients
-  for (const client of wsClients) {
-    client.close();
+  // Let ffmpeg finalize in-progress archive segments
+  await stopAllArchives('shutdown');
+
+  // Point clients at where the successor's numbering starts, so they replay
+  // everything it captured when they reconnect
+  if (handoffSeq !== null) {
+    hub.announce({ type: 'handoff', seq: handoffSeq, streams: handedOff.size });
   }
-  wsClients.clear();
+
+  // Close WebSocket clients
+  hub.close();
+
+  closeJournal();
 
   // Close server
   server.close(() => {
-    console.log('Server closed');
+    log.info('Server closed');
     process.exit(0);
   });
 }
 
-process.on('SIGTERM', () => shutdown('SIGTERM'));
+// With a successor configured, a deploy's SIGTERM hands streams over first
+process.on('SIGTERM', async () => {
+  if (DRAIN_SUCCESSOR_URL && !draining && !shuttingDown) {
+    startDraining();
+    await handOff(DRAIN_SUCCESSOR_URL);
+  }
+  shutdown('SIGTERM');
+});
 process.on('SIGINT', () => shutdown('SIGINT'));
 
+// A cluster worker doesn't outlive its coordinator
+if (cluster.isWorker) {
+  process.on('disconnect', () => shutdown('disconnect'));
+}
+
+/**
+ * Reconnect to the streams that were wanted when the bridge last stopped.
+ * One at a time, so a big restore doesn't hit TikTok all at once.
+ */
+async function restoreConnections(entries) {
+  for (const entry of entries) {
+    if (shuttingDown || draining) return;
+
+    restoredStreams.add(entry.uniqueId);
+    if (entry.record) {
+      recordedStreams.add(entry.uniqueId);
+    }
+
+    log.info('Restoring connection', { uniqueId: entry.uniqueId, requestedBy: entry.requestedBy });
+    const result = await connectToStream(entry.uniqueId);
+    if (result.success || connections.has(entry.uniqueId) || connecting.has(entry.uniqueId) || reconnects.has(entry.uniqueId)) {
+      continue;
+    }
+
+    if (isOfflineError(result.error)) {
+      log.info('No longer live, not restoring', { uniqueId: entry.uniqueId });
+      forgetStream(entry.uniqueId);
+    } else {
+      scheduleReconnect(entry.uniqueId, 1, result.error);
+    }
+  }
+}
+
+/**
+ * A watched account is live: announce it and start capturing
+ */
+async function connectWatchedStream(uniqueId, { roomId, roomInfo, wasLive }) {
+  if (shuttingDown || draining) return;
+
+  // Only on the transition - a failed connect is retried on later polls quietly
+  if (!wasLive) {
+    broadcastEvent({
+      type: 'went_live',
+      uniqueId,
+      data: {
+        roomId,
+        title: roomInfo?.title || null,
+        viewerCount: roomInfo?.user_count ?? null,
+        detectedAt: Date.now()
+      }
+    });
+  }
+
+  // Refused connects are retried on later polls like failed ones
+  const limited = await requestConnectToken(uniqueId, activeStreamCount());
+  if (limited) {
+    log.warn('Auto-connect deferred', { uniqueId, code: limited.reason, retryAfter: limited.retryAfter });
+    return;
+  }
+
+  const result = await connectToStream(uniqueId);
+  if (result.success) {
+    wantConnection(uniqueId, { requestedBy: 'watchlist', record: recordedStreams.has(uniqueId) });
+  } else {
+    log.warn('Auto-connect failed', { uniqueId, code: connectionErrorReason(result.error), error: result.error });
+  }
+}
+
+/**
+ * Stop taking new streams ahead of a deploy: /connect is refused and /ready
+ * answers 503 so new work goes elsewhere (/health stays 200). Streams already captured
+ * carry on until they're handed off or the bridge shuts down.
+ */
+function startDraining() {
+  if (draining) return;
+  draining = { startedAt: Date.now(), successor: null };
+  stopWatchlist();
+  log.info('Draining: no longer accepting new streams');
+}
+
+/**
+ * Export every captured stream (pending reconnects included) for a successor,
+ * and stop retrying them here. Replays aren't handed off.
+ */
+function exportHandoff() {
+  const streams = [
+    ...Array.from(connections).filter(([, connection]) => !(connection instanceof ReplayConnection)).map(([uniqueId]) => uniqueId),
+    ...reconnects.keys()
+  ];
+
+  const entries = streams.map((uniqueId) => {
+    const wanted = desiredConnection(uniqueId);
+    const archive = archiveInfo(uniqueId);
+    return {
+      uniqueId,
+      requestedBy: wanted?.requestedBy || null,
+      requestedAt: wanted?.requestedAt || null,
+      record: recordedStreams.has(uniqueId),
+      archive: archive && { format: archive.format, segmentSeconds: archive.segmentSeconds },
+      totals: streamTotals(uniqueId),
+      viewers: viewerStats(uniqueId)
+    };
+  });
+
+  for (const uniqueId of streams) {
+    cancelReconnect(uniqueId);
+    handedOff.add(uniqueId);
+  }
+  handoffSeq = currentSeq();
+
+  log.info('Exported handoff', { streams: entries.length, seq: handoffSeq });
+  return createHandoff({
+    seq: handoffSeq,
+    connections: entries,
+    watchlist: listWatches().map(({ uniqueId, addedBy, addedAt }) => ({ uniqueId, addedBy, addedAt })),
+    moderation: moderationRulesByStream()
+  });
+}
+
+/**
+ * Hand every stream to a successor's /adopt. Streams it couldn't take stay
+ * ours (reported disconnected at shutdown). Returns false if the handoff failed.
+ */
+async function handOff(successor) {
+  draining.successor = successor;
+  log.info('Handing off', { successor });
+
+  const handoff = exportHandoff();
+  try {
+    const { adopted = [], failed = [] } = await sendHandoff(successor, handoff);
+    for (const { uniqueId } of failed) {
+      handedOff.delete(uniqueId);
+    }
+    log.info('Handed off', { successor, adopted: adopted.length, failed: failed.length });
+    return true;
+  } catch (err) {
+    log.error('Handoff failed', { successor, code: 'handoff_failed', err });
+    handedOff.clear();
+    handoffSeq = null;
+    return false;
+  }
+}
+
+/**
+ * Take over a draining instance's streams: its moderation rules, totals and
+ * viewer stats first, so nothing resets, then each connection, then its
+ * watchlist. Streams that are offline now are reported back as failed.
+ */
+async function adoptStreams({ seq, connections: entries, watchlist, moderation }) {
+  advanceSeq(seq);
+
+  for (const [uniqueId, rules] of Object.entries(moderation)) {
+    const { error } = setModerationRules(uniqueId, rules);
+    if (error) log.warn('Handed-off moderation rules rejected', { uniqueId, code: 'invalid_rules', error });
+  }
+
+  const adopted = [];
+  const failed = [];
+  for (const entry of entries) {
+    const { uniqueId } = entry;
+    if (connections.has(uniqueId) || connecting.has(uniqueId) || reconnects.has(uniqueId)) {
+      adopted.push(uniqueId);
+      continue;
+    }
+
+    seedTotals(uniqueId, entry.totals);
+    seedViewers(uniqueId, entry.viewers);
+    if (entry.record) {
+      recordedStreams.add(uniqueId);
+    }
+
+    const result = await connectToStream(uniqueId, { adopted: true });
+    if (!result.success && isOfflineError(result.error)) {
+      clearTotals(uniqueId);
+      clearViewers(uniqueId);
+      recordedStreams.delete(uniqueId);
+      failed.push({ uniqueId, error: result.error });
+      continue;
+    }
+
+    wantConnection(uniqueId, {
+      requestedBy: entry.requestedBy || 'handoff',
+      requestedAt: entry.requestedAt || undefined,
+      record: recordedStreams.has(uniqueId)
+    });
+    adopted.push(uniqueId);
+
+    if (!result.success) {
+      scheduleReconnect(uniqueId, 1, result.error);
+    } else if (entry.archive && streamUrls.has(uniqueId)) {
+      archiveStream(uniqueId, entry.archive);
+    }
+  }
+
+  for (const entry of watchlist) {
+    watch(entry.uniqueId, { addedBy: entry.addedBy, addedAt: entry.addedAt });
+  }
+
+  log.info('Adopted streams', { adopted: adopted.length, failed: failed.length });
+  return { adopted, failed };
+}
+
+// Load the event journal before any events can be emitted (a cluster
+// worker's events are journaled by the coordinator)
+if (!cluster.isWorker) {
+  initJournal();
+}
+const restoring = loadDesiredConnections();
+
 // Start server
 server.listen(PORT, HOST, () => {
-  console.log(`TikTok Bridge running on http://${HOST}:${PORT}`);
-  console.log('');
-  console.log('HTTP Endpoints:');
-  console.log('  GET  /health      - Health check');
-  console.log('  GET  /status      - List active connections');
-  console.log('  POST /connect     - Connect to stream { uniqueId: "username" }');
-  console.log('  POST /disconnect  - Disconnect from stream { uniqueId: "username" }');
-  console.log('');
-  console.log('WebSocket:');
-  console.log('  WS /events        - Real-time event stream');
+  log.info('TikTok Bridge running', { host: HOST, port: PORT, restoring: restoring.length, logLevel: logSettings().level });
+  if (!authEnabled()) {
+    log.warn('TIKTOK_BRIDGE_SECRET is not set - API and WebSocket are unauthenticated', { code: 'auth_disabled' });
+  }
+
+  restoreConnections(restoring);
+  startTotalsReporter((uniqueId, totals) => {
+    broadcastEvent({ type: 'stream_totals', uniqueId, data: { ...totals, final: false } });
+  });
+  startViewerSampler((uniqueId, sample) => {
+    broadcastEvent({ type: 'viewer_sample', uniqueId, data: sample });
+  });
+  startWatchlist({
+    isActive: (uniqueId) => connections.has(uniqueId) || connecting.has(uniqueId) || reconnects.has(uniqueId),
+    onLive: connectWatchedStream
+  });
 });
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Runs a real bridge, with its state, journal and recordings in a throwaway dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-server-'));
+const port = await freePort();
+const bridge = spawn(process.execPath, [fileURLToPath(new URL('./server.js', import.meta.url))], {
+  cwd: dataDir,
+  env: {
+    PATH: process.env.PATH,
+    PORT: String(port),
+    HOST: '127.0.0.1',
+    LOG_LEVEL: 'error',
+    STATE_FILE: path.join(dataDir, 'state.json'),
+    JOURNAL_DIR: path.join(dataDir, 'journal'),
+    FIXTURES_DIR: path.join(dataDir, 'fixtures'),
+    ARCHIVE_DIR: path.join(dataDir, 'archive')
+  },
+  stdio: 'ignore'
+});
+
+test.before(async () => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await fetch(`http://127.0.0.1:${port}/health`);
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Bridge did not start');
+});
+
+test.after(async () => {
+  if (bridge.exitCode === null) {
+    bridge.kill('SIGINT');
+    await once(bridge, 'exit');
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function request(method, pathname, body) {
+  const res = await fetch(`http://127.0.0.1:${port}${pathname}`, { method, body });
+  return { status: res.status, body: await res.json() };
+}
+
+// A bad body must be answered, not take the bridge down with it
+async function assertStillUp() {
+  assert.equal(bridge.exitCode, null, 'bridge exited');
+  assert.equal((await request('GET', '/health')).status, 200);
+}
+
+test('/replay rejects a body that is not an object', async () => {
+  for (const body of ['null', '[]', '"fixture"', '3']) {
+    const { status, body: response } = await request('POST', '/replay', body);
+    assert.equal(status, 400, body);
+    assert.equal(response.error, 'Body must be a JSON object');
+  }
+  await assertStillUp();
+});
+
+test('/replay rejects a speed that is not a positive finite number', async () => {
+  for (const speed of ['0', '-1', '1e999', '"2"']) {
+    const { status, body } = await request('POST', '/replay', `{"fixture":"session","speed":${speed}}`);
+    assert.equal(status, 400, speed);
+    assert.equal(body.error, 'speed must be a positive number');
+  }
+  await assertStillUp();
+});
+
+test('/record/start rejects a body that is not an object', async () => {
+  for (const body of ['null', '[]', '"brand"']) {
+    const { status, body: response } = await request('POST', '/record/start', body);
+    assert.equal(status, 400, body);
+    assert.equal(response.error, 'Body must be a JSON object');
+  }
+  assert.equal((await request('POST', '/record/start', '{}')).body.error, 'Missing uniqueId');
+  await assertStillUp();
+});
+
+test('PUT /admin/logging rejects settings that are not an object', async () => {
+  for (const body of ['null', '[]', '"debug"']) {
+    const { status, body: response } = await request('PUT', '/admin/logging', body);
+    assert.equal(status, 400, body);
+    assert.equal(response.error, 'Settings must be an object');
+  }
+  assert.equal((await request('PUT', '/admin/logging', '{"level":"error"}')).status, 200);
+  await assertStillUp();
+});
@@ -0,0 +1,223 @@
+/**
+ * Shopping Message Decoding
+ *
+ * TikTok delivers live-shopping activity (pinned products, orders, coupons) as
+ * protobuf messages that tiktok-live-connector doesn't decode. We decode them
+ * here with the bundled schemas in proto/webcast_shopping.proto and turn each
+ * into a typed bridge event with normalized product/price fields, so consumers
+ * don't need their own copy of the protos.
+ *
+ * Only message types with a schema become typed events. The rest are passed
+ * on as `rawShopping` events (header, base64 payload and a schema-less decode)
+ * until their schemas are known, rather than as typed events with no content.
+ */
+
+import protobuf from 'protobufjs';
+import { fileURLToPath } from 'url';
+
+const root = protobuf.loadSync(fileURLToPath(new URL('./proto/webcast_shopping.proto', import.meta.url)));
+
+// Decoder for each shopping message type with a schema
+const DECODERS = {
+  WebcastOecLiveShoppingMessage: decodeOecLiveShopping
+};
+
+// Shopping-related message types to capture via rawData
+export const SHOPPING_MESSAGE_TYPES = [
+  'WebcastOecLiveShoppingMessage',
+  'WebcastVideoLiveGoodsOrderMessage',
+  'WebcastVideoLiveCouponRcmdMessage',
+  'WebcastVideoLiveGoodsRcmdMessage',
+  'WebcastLiveEcomMessage',
+  'WebcastLiveShoppingMessage'
+];
+
+// Nesting limit for schema-less decoding
+const MAX_RAW_DEPTH = 6;
+
+/**
+ * Decode a shopping message into a bridge event `{ type, data }`: a typed
+ * event when the message type has a schema, `rawShopping` otherwise.
+ * Throws if the payload can't be decoded.
+ */
+export function decodeShoppingMessage(messageType, binary) {
+  const decode = DECODERS[messageType];
+  const messageClass = root.lookupType(decode ? `webcast.${messageType}` : 'webcast.ShoppingMessageHeader');
+  const message = messageClass.toObject(messageClass.decode(binary), { longs: String });
+
+  const header = {
+    messageType,
+    msgId: message.common?.msgId || null,
+    createTime: message.common?.createTime ? Number(message.common.createTime) : null,
+    timestamp: Date.now()
+  };
+
+  if (!decode) {
+    // No published schema - pass along the payload and whatever the wire format tells us
+    return {
+      type: 'rawShopping',
+      data: { ...header, payload: Buffer.from(binary).toString('base64'), fields: decodeRaw(binary) }
+    };
+  }
+
+  return decode(message, { ...header, products: [] });
+}
+
+/**
+ * Pinned product card, product snapshot and/or voucher in an OEC shopping message
+ */
+function decodeOecLiveShopping(message, data) {
+  const { popProduct, productSnapShot, voucher } = message;
+
+  const product = extractProductDetails(popProduct) || extractProductDetails(productSnapShot && {
+    productId: productSnapShot.productId,
+    title: productSnapShot.title,
+    imageUrl: productSnapShot.cover?.url
+  });
+  if (product) {
+    data.products.push(product);
+  }
+
+  data.productNumber = message.liveProductNumber || null;
+  data.actionType = message.actionType || 0;
+  data.cardType = message.cardType || 0;
+
+  if (voucher) {
+    data.coupon = {
+      voucherTypeId: voucher.voucherTypeId || null,
+      maxFaceValue: voucher.voucherMaxFaceValue || null,
+      maxFaceValueCents: extractPrice({ price: voucher.voucherMaxFaceValue })
+    };
+  }
+
+  let type = 'shopping_update';
+  if (product) {
+    type = 'product_pinned';
+  } else if (voucher) {
+    type = 'coupon_shown';
+  }
+
+  return { type, data };
+}
+
+/**
+ * Extract normalized product details from a product object.
+ */
+function extractProductDetails(p) {
+  if (!p) return null;
+
+  // Try various field name conventions
+  const productId = (
+    p.productId ||
+    p.product_id ||
+    p.id ||
+    p.productInfo?.productId ||
+    p.productInfo?.id
+  )?.toString();
+
+  if (!productId || productId === '0') return null;
+
+  return {
+    tiktokProductId: productId,
+    title: p.title || p.name || p.productName || p.productInfo?.title || null,
+    price: extractPrice(p),
+    imageUrl: p.imageUrl || p.image || p.coverUrl || p.productInfo?.imageUrl || null,
+    sellerId: (p.sellerId || p.seller_id)?.toString() || null
+  };
+}
+
+/**
+ * Extract price in cents from various price formats.
+ */
+function extractPrice(p) {
+  // Try to find price in various locations and formats
+  const priceValue = (
+    p.price ||
+    p.priceInfo?.price ||
+    p.salePrice ||
+    p.originalPrice
+  );
+
+  if (priceValue == null) return null;
+
+  // If already a number, assume it might be in cents or dollars
+  if (typeof priceValue === 'number') {
+    // If less than 1000, probably dollars, convert to cents
+    return priceValue < 1000 ? Math.round(priceValue * 100) : priceValue;
+  }
+
+  // If string, try to parse
+  if (typeof priceValue === 'string') {
+    const cleaned = priceValue.replace(/[^0-9.]/g, '');
+    const parsed = parseFloat(cleaned);
+    if (!isNaN(parsed)) {
+      return Math.round(parsed * 100);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Schema-less protobuf decode (like `protoc --decode_raw`): a map of field
+ * number to value, with an array when a field repeats. Length-delimited fields
+ * become strings when they're printable text, nested maps when they parse as
+ * a message, and base64 otherwise.
+ */
+function decodeRaw(buffer, depth = 0) {
+  const reader = protobuf.Reader.create(buffer);
+  const fields = {};
+
+  while (reader.pos < reader.len) {
+    const tag = reader.uint32();
+    const field = tag >>> 3;
+    let value;
+
+    switch (tag & 7) {
+      case 0:
+        value = reader.uint64().toString();
+        break;
+      case 1:
+        value = reader.fixed64().toString();
+        break;
+      case 2:
+        value = decodeRawBytes(reader.bytes(), depth);
+        break;
+      case 5:
+        value = reader.fixed32();
+        break;
+      default:
+        throw new Error(`Unsupported wire type ${tag & 7}`);
+    }
+
+    if (field === 0) throw new Error('Invalid field number 0');
+
+    if (field in fields) {
+      fields[field] = [].concat(fields[field], [value]);
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Best guess at what a length-delimited field holds (see decodeRaw)
+ */
+function decodeRawBytes(bytes, depth) {
+  const text = Buffer.from(bytes).toString('utf8');
+  if (!/[\u0000-\u0008\u000E-\u001F\uFFFD]/.test(text)) {
+    return text;
+  }
+
+  if (depth < MAX_RAW_DEPTH) {
+    try {
+      return decodeRaw(bytes, depth + 1);
+    } catch {
+      // Not a nested message
+    }
+  }
+
+  return Buffer.from(bytes).toString('base64');
+}
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import protobuf from 'protobufjs';
+import { fileURLToPath } from 'url';
+import { decodeShoppingMessage } from './shopping.js';
+
+const root = protobuf.loadSync(fileURLToPath(new URL('./proto/webcast_shopping.proto', import.meta.url)));
+const NOW = 1_700_000_000_000;
+
+const common = { method: 'WebcastOecLiveShoppingMessage', msgId: '7301234567890', roomId: '42', createTime: '1699999999000' };
+
+function encode(typeName, fields) {
+  const messageClass = root.lookupType(`webcast.${typeName}`);
+  return messageClass.encode(messageClass.fromObject(fields)).finish();
+}
+
+test.beforeEach((t) => {
+  t.mock.method(Date, 'now', () => NOW);
+});
+
+test('a pinned product card becomes a product_pinned event', () => {
+  const binary = encode('WebcastOecLiveShoppingMessage', {
+    common,
+    actionType: 1,
+    liveProductNumber: 3,
+    popProduct: { title: 'Blue jacket', price: '$24.99', imageUrl: 'https://img/1.jpg', productId: '1729000000000000001' }
+  });
+
+  assert.deepEqual(decodeShoppingMessage('WebcastOecLiveShoppingMessage', binary), {
+    type: 'product_pinned',
+    data: {
+      messageType: 'WebcastOecLiveShoppingMessage',
+      msgId: '7301234567890',
+      createTime: 1699999999000,
+      timestamp: NOW,
+      products: [{
+        tiktokProductId: '1729000000000000001',
+        title: 'Blue jacket',
+        price: 2499,
+        imageUrl: 'https://img/1.jpg',
+        sellerId: null
+      }],
+      productNumber: 3,
+      actionType: 1,
+      cardType: 0
+    }
+  });
+});
+
+test('a product snapshot is used when there is no product card', () => {
+  const binary = encode('WebcastOecLiveShoppingMessage', {
+    common,
+    productSnapShot: { productId: '55', title: 'Red scarf', cover: { url: 'https://img/2.jpg' } }
+  });
+
+  const { type, data } = decodeShoppingMessage('WebcastOecLiveShoppingMessage', binary);
+  assert.equal(type, 'product_pinned');
+  assert.deepEqual(data.products, [
+    { tiktokProductId: '55', title: 'Red scarf', price: null, imageUrl: 'https://img/2.jpg', sellerId: null }
+  ]);
+});
+
+test('a voucher without a product becomes a coupon_shown event', () => {
+  const binary = encode('WebcastOecLiveShoppingMessage', {
+    common,
+    cardType: 2,
+    voucher: { voucherTypeId: '5', voucherMaxFaceValue: '$10' }
+  });
+
+  const { type, data } = decodeShoppingMessage('WebcastOecLiveShoppingMessage', binary);
+  assert.equal(type, 'coupon_shown');
+  assert.deepEqual(data.products, []);
+  assert.deepEqual(data.coupon, { voucherTypeId: '5', maxFaceValue: '$10', maxFaceValueCents: 1000 });
+});
+
+test('a message with neither is a shopping_update', () => {
+  const binary = encode('WebcastOecLiveShoppingMessage', { common, actionType: 4 });
+  assert.equal(decodeShoppingMessage('WebcastOecLiveShoppingMessage', binary).type, 'shopping_update');
+});
+
+test('messages without a schema are passed on as rawShopping', () => {
+  const header = encode('ShoppingMessageHeader', { common: { ...common, method: 'WebcastVideoLiveGoodsOrderMessage' } });
+  // Unknown fields after the header: 2 is a string, 3 a varint
+  const binary = Buffer.concat([header, Buffer.from([0x12, 0x05]), Buffer.from('hello'), Buffer.from([0x18, 0x07])]);
+
+  const { type, data } = decodeShoppingMessage('WebcastVideoLiveGoodsOrderMessage', binary);
+  assert.equal(type, 'rawShopping');
+  assert.equal(data.messageType, 'WebcastVideoLiveGoodsOrderMessage');
+  assert.equal(data.msgId, '7301234567890');
+  assert.equal(data.createTime, 1699999999000);
+  assert.equal(data.timestamp, NOW);
+  assert.equal(data.payload, binary.toString('base64'));
+  assert.equal(data.fields[2], 'hello');
+  assert.equal(data.fields[3], '7');
+  assert.equal(data.fields[1][1], 'WebcastVideoLiveGoodsOrderMessage');
+});
+
+test('a payload that is not protobuf throws', () => {
+  assert.throws(() => decodeShoppingMessage('WebcastOecLiveShoppingMessage', Buffer.from([0x0a, 0xff])));
+});
@@ -0,0 +1,161 @@
+/**
+ * Desired Connections State
+ *
+ * Persists which streams the bridge has been asked to capture, with who asked
+ * and when, so a redeploy or crash doesn't silently drop every live capture.
+ * On boot server.js reconnects to everything still wanted. A stream stops
+ * being wanted when it's disconnected on request or its LIVE ends.
+ *
+ * The watchlist (see watchlist.js) and per-stream chat moderation rules (see
+ * moderation.js) are saved alongside it.
+ *
+ * STATE_FILE is small JSON, rewritten atomically on every change:
+ *
+ *   {
+ *     "connections": [{ "uniqueId": "brand", "requestedBy": "...", "requestedAt": 1704067200000, "record": false }],
+ *     "watchlist": [{ "uniqueId": "brand", "addedBy": "...", "addedAt": 1704067200000 }],
+ *     "moderation": { "brand": { "rules": [...], "links": false } }
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+const STATE_FILE = process.env.STATE_FILE || path.join(process.cwd(), 'data', 'state.json');
+
+// Wanted streams: Map<uniqueId, { uniqueId, requestedBy, requestedAt, record }>
+const wanted = new Map();
+
+// Watched accounts as last saved by watchlist.js
+let watchlist = [];
+
+// Moderation rules by uniqueId, as last saved by moderation.js
+let moderation = {};
+
+let loaded = false;
+
+/**
+ * Parse a state file: this bridge's, or for the cluster coordinator (see
+ * cluster.js) a worker's. A missing or unreadable file is empty state.
+ */
+export function readStateFile(file) {
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log.error('Failed to load state', { file, err });
+    }
+  }
+
+  return {
+    connections: (state.connections || []).filter(entry => entry?.uniqueId),
+    watchlist: (state.watchlist || []).filter(entry => entry?.uniqueId),
+    moderation: state.moderation || {}
+  };
+}
+
+/**
+ * Read the state file once, before anything can be saved over it
+ */
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const state = readStateFile(STATE_FILE);
+  for (const entry of state.connections) {
+    wanted.set(entry.uniqueId, entry);
+  }
+  watchlist = state.watchlist;
+  moderation = state.moderation;
+}
+
+function save() {
+  const tmpFile = `${STATE_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ connections: Array.from(wanted.values()), watchlist, moderation }, null, 2));
+    fs.renameSync(tmpFile, STATE_FILE);
+  } catch (err) {
+    log.error('Failed to save state', { file: STATE_FILE, err });
+  }
+}
+
+/**
+ * Load the wanted streams saved by the previous run.
+ * Call once at startup; returns the entries to restore.
+ */
+export function loadDesiredConnections() {
+  load();
+
+  log.info('State loaded', { wantedStreams: wanted.size, file: STATE_FILE });
+  return Array.from(wanted.values());
+}
+
+/**
+ * Mark a stream as wanted. A repeat request keeps the original requester and
+ * time but updates the recording flag.
+ */
+export function wantConnection(uniqueId, { requestedBy, requestedAt = Date.now(), record = false }) {
+  load();
+  const existing = wanted.get(uniqueId);
+  wanted.set(uniqueId, {
+    uniqueId,
+    requestedBy: existing?.requestedBy || requestedBy,
+    requestedAt: existing?.requestedAt || requestedAt,
+    record
+  });
+  save();
+}
+
+/**
+ * Stop wanting a stream (no-op if it wasn't)
+ */
+export function unwantConnection(uniqueId) {
+  load();
+  if (wanted.delete(uniqueId)) {
+    save();
+  }
+}
+
+/**
+ * A wanted stream's entry, or null
+ */
+export function desiredConnection(uniqueId) {
+  return wanted.get(uniqueId) || null;
+}
+
+/**
+ * The watchlist saved by the previous run
+ */
+export function loadWatchlist() {
+  load();
+  return watchlist;
+}
+
+/**
+ * Save the watchlist (entries are stored as given)
+ */
+export function saveWatchlist(entries) {
+  load();
+  watchlist = entries;
+  save();
+}
+
+/**
+ * Per-stream moderation rules saved by the previous run
+ */
+export function loadModerationRules() {
+  load();
+  return moderation;
+}
+
+/**
+ * Save the per-stream moderation rules (stored as given)
+ */
+export function saveModerationRules(rules) {
+  load();
+  moderation = rules;
+  save();
+}
@@ -0,0 +1,119 @@
+/**
+ * WebSocket Subscriptions
+ *
+ * Lets an /events client narrow what it receives to specific streams
+ * (uniqueIds) and event types. A client that never subscribes gets everything,
+ * which is what the Elixir BridgeClient expects.
+ *
+ * Client messages:
+ *   { "type": "subscribe",   "uniqueIds": ["brand"], "events": ["chat", "gift"] }
+ *   { "type": "unsubscribe", "uniqueIds": ["brand"], "events": ["gift"] }
+ *
+ * Each field is optional; an omitted field leaves that filter unchanged. The
+ * first subscribe to a dimension narrows it from "all" to the listed values.
+ * "*" widens it back to all in a subscribe, and clears it in an unsubscribe.
+ * The initial filter can also be given on the connection URL
+ * (`?uniqueIds=a,b&events=chat`) so replayed events are filtered too.
+ */
+
+// Connection lifecycle events are delivered for subscribed streams whatever
+// the event filter, so a client following only chat still sees the stream end
+const LIFECYCLE_EVENTS = new Set([
+  'connected',
+  'disconnected',
+  'streamEnd',
+  'error',
+  'reconnecting',
+  'reconnect_failed',
+  'went_live'
+]);
+
+/**
+ * Parse a filter value (array or comma-separated string) into a Set,
+ * or null for "all"
+ */
+function parseFilter(value) {
+  const values = Array.isArray(value)
+    ? value
+    : String(value).split(',');
+
+  const cleaned = values.map(v => String(v).trim()).filter(Boolean);
+  return cleaned.includes('*') ? null : new Set(cleaned);
+}
+
+/**
+ * Create a client's subscription, optionally seeded from connection URL params
+ */
+export function createSubscription(searchParams) {
+  const uniqueIds = searchParams?.get('uniqueIds');
+  const events = searchParams?.get('events');
+
+  return {
+    uniqueIds: uniqueIds ? parseFilter(uniqueIds) : null,
+    events: events ? parseFilter(events) : null
+  };
+}
+
+/**
+ * Apply a subscribe/unsubscribe message to a subscription.
+ * Returns an error string if the message is malformed, else null.
+ */
+export function applySubscriptionMessage(subscription, message) {
+  const { type, uniqueIds, events } = message;
+
+  if (type !== 'subscribe' && type !== 'unsubscribe') {
+    return `Unknown message type: ${type}`;
+  }
+  for (const field of [uniqueIds, events]) {
+    if (field !== undefined && !Array.isArray(field)) {
+      return 'uniqueIds and events must be arrays';
+    }
+  }
+
+  for (const key of ['uniqueIds', 'events']) {
+    if (message[key] === undefined) continue;
+    const values = parseFilter(message[key]);
+
+    if (type === 'subscribe') {
+      if (values === null) {
+        subscription[key] = null;
+      } else if (subscription[key] === null) {
+        subscription[key] = values;
+      } else {
+        for (const value of values) subscription[key].add(value);
+      }
+    } else if (values === null) {
+      subscription[key] = new Set();
+    } else if (subscription[key] !== null) {
+      for (const value of values) subscription[key].delete(value);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether an event should be delivered to a subscriber.
+ * Events not tied to a stream (status, heartbeat, ...) always are.
+ */
+export function matchesSubscription(subscription, event) {
+  if (!event.uniqueId) return true;
+
+  if (subscription.uniqueIds && !subscription.uniqueIds.has(event.uniqueId)) {
+    return false;
+  }
+
+  return !subscription.events ||
+    subscription.events.has(event.type) ||
+    LIFECYCLE_EVENTS.has(event.type);
+}
+
+/**
+ * JSON-friendly view of a subscription ("*" for all)
+ */
+export function describeSubscription(subscription) {
+  return {
+    uniqueIds: subscription.uniqueIds ? Array.from(subscription.uniqueIds) : '*',
+    events: subscription.events ? Array.from(subscription.events) : '*'
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Gift Values and Stream Totals
+ *
+ * Resolves each gift to its diamond value and keeps running totals per stream
+ * (gifts, diamonds, likes, follows, shares), reported as a `stream_totals`
+ * event every STREAM_TOTALS_INTERVAL_SECONDS while they change.
+ *
+ * Streakable gifts (giftType 1) arrive as a burst of events with a growing
+ * repeatCount while the viewer keeps tapping, then one with repeatEnd set.
+ * Only that last event counts, for repeatCount × the gift's value; every other
+ * gift counts once per event.
+ *
+ * Totals survive a dropped connection being retried (or the stream being
+ * handed to another instance) and are cleared when the stream ends or is
+ * disconnected on request. They're only kept in memory: `startedAt` tells
+ * consumers which run of counting a report belongs to, since a restarted
+ * bridge starts again from zero under a new one.
+ */
+
+const STREAM_TOTALS_INTERVAL_SECONDS = parseInt(process.env.STREAM_TOTALS_INTERVAL_SECONDS || '30', 10);
+
+// TikTok gift type for gifts that can be sent as a streak
+const GIFT_TYPE_STREAKABLE = 1;
+
+// Per-stream totals: Map<uniqueId, { gifts, diamonds, likes, roomLikes, follows, shares, startedAt, updatedAt, dirty }>
+const totals = new Map();
+
+let reportTimer = null;
+
+function totalsFor(uniqueId) {
+  let entry = totals.get(uniqueId);
+  if (!entry) {
+    entry = { gifts: 0, diamonds: 0, likes: 0, roomLikes: null, follows: 0, shares: 0, startedAt: Date.now(), updatedAt: null, dirty: false };
+    totals.set(uniqueId, entry);
+  }
+  return entry;
+}
+
+function touch(entry) {
+  entry.updatedAt = Date.now();
+  entry.dirty = true;
+}
+
+/**
+ * Diamond value of one gift, preferring the extended gift info the connector
+ * looks up from the room's gift list over the value in the message itself
+ */
+function diamondValue(data) {
+  const value = data.extendedGiftInfo?.diamond_count ?? data.diamondCount;
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Count a gift event. Returns its normalized value:
+ *   { diamondValue, totalDiamonds, giftType, streaking }
+ * `streaking` is true for a streak still in progress (not counted yet, and
+ * `totalDiamonds` is what it's worth so far).
+ */
+export function recordGift(uniqueId, data) {
+  const value = diamondValue(data);
+  const repeatCount = data.repeatCount || 1;
+  const streaking = data.giftType === GIFT_TYPE_STREAKABLE && !data.repeatEnd;
+  const totalDiamonds = value * repeatCount;
+
+  if (!streaking) {
+    const entry = totalsFor(uniqueId);
+    entry.gifts += repeatCount;
+    entry.diamonds += totalDiamonds;
+    touch(entry);
+  }
+
+  return { diamondValue: value, totalDiamonds, giftType: data.giftType ?? null, streaking };
+}
+
+/**
+ * Count a like event. TikTok's running room total (which includes likes from
+ * before we connected) is kept alongside our own count when it's reported.
+ */
+export function recordLikes(uniqueId, { likeCount, totalLikeCount }) {
+  const entry = totalsFor(uniqueId);
+  entry.likes += likeCount || 0;
+  if (Number.isFinite(totalLikeCount)) {
+    entry.roomLikes = Math.max(entry.roomLikes || 0, totalLikeCount);
+  }
+  touch(entry);
+}
+
+export function recordFollow(uniqueId) {
+  const entry = totalsFor(uniqueId);
+  entry.follows++;
+  touch(entry);
+}
+
+export function recordShare(uniqueId) {
+  const entry = totalsFor(uniqueId);
+  entry.shares++;
+  touch(entry);
+}
+
+/**
+ * A stream's totals as sent in `stream_totals`, or null if nothing was counted
+ */
+export function streamTotals(uniqueId) {
+  const entry = totals.get(uniqueId);
+  if (!entry) return null;
+
+  const { gifts, diamonds, likes, roomLikes, follows, shares, startedAt, updatedAt } = entry;
+  return { gifts, diamonds, likes, roomLikes, follows, shares, startedAt, updatedAt };
+}
+
+/**
+ * Carry over totals from another instance (see handoff.js). Ignored if this
+ * stream already has totals here.
+ */
+export function seedTotals(uniqueId, seed) {
+  if (totals.has(uniqueId) || !seed) return;
+
+  const count = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+  totals.set(uniqueId, {
+    gifts: count(seed.gifts),
+    diamonds: count(seed.diamonds),
+    likes: count(seed.likes),
+    roomLikes: Number.isFinite(seed.roomLikes) ? seed.roomLikes : null,
+    follows: count(seed.follows),
+    shares: count(seed.shares),
+    startedAt: Number.isFinite(seed.startedAt) ? seed.startedAt : Date.now(),
+    updatedAt: Date.now(),
+    dirty: true
+  });
+}
+
+/**
+ * Forget a stream's totals, returning the final ones (or null)
+ */
+export function clearTotals(uniqueId) {
+  const final = streamTotals(uniqueId);
+  totals.delete(uniqueId);
+  return final;
+}
+
+/**
+ * Report changed totals every STREAM_TOTALS_INTERVAL_SECONDS.
+ * `onTotals(uniqueId, totals)` is called once per stream that changed.
+ */
+export function startTotalsReporter(onTotals) {
+  reportTimer = setInterval(() => {
+    for (const [uniqueId, entry] of totals) {
+      if (!entry.dirty) continue;
+      entry.dirty = false;
+      onTotals(uniqueId, streamTotals(uniqueId));
+    }
+  }, STREAM_TOTALS_INTERVAL_SECONDS * 1000);
+}
+
+export function stopTotalsReporter() {
+  clearInterval(reportTimer);
+  reportTimer = null;
+}
@@ -0,0 +1,136 @@
+/**
+ * Viewer Sampling
+ *
+ * TikTok reports viewer counts (roomUser) whenever it feels like it: several a
+ * second in a busy room, nothing for minutes in a quiet one. This samples the
+ * latest count per stream every VIEWER_SAMPLE_INTERVAL_SECONDS and reports it
+ * as a `viewer_sample` event, so consumers get an evenly spaced series:
+ *
+ *   { viewers, peak, average, samples, topGifters, sampledAt, updatedAt }
+ *
+ * When TikTok goes quiet the last count is carried forward (`updatedAt` says
+ * when it was last reported). `average` is the mean of the samples so far,
+ * and `topGifters` is TikTok's own ranking of the room's biggest gifters.
+ *
+ * Like the stream totals, samples carry on while a dropped connection is
+ * retried and stop when the stream ends or is disconnected on request.
+ */
+
+const VIEWER_SAMPLE_INTERVAL_SECONDS = parseInt(process.env.VIEWER_SAMPLE_INTERVAL_SECONDS || '30', 10);
+
+// Gifters listed in each sample
+const TOP_GIFTERS = 5;
+
+// Per-stream counts: Map<uniqueId, { viewers, peak, sum, samples, topGifters, updatedAt }>
+const viewers = new Map();
+
+let sampleTimer = null;
+
+function viewersFor(uniqueId) {
+  let entry = viewers.get(uniqueId);
+  if (!entry) {
+    entry = { viewers: null, peak: 0, sum: 0, samples: 0, topGifters: [], updatedAt: null };
+    viewers.set(uniqueId, entry);
+  }
+  return entry;
+}
+
+function setCount(entry, count) {
+  entry.viewers = count;
+  entry.peak = Math.max(entry.peak, count);
+  entry.updatedAt = Date.now();
+}
+
+/**
+ * Start sampling a stream, with the viewer count from its room info if there
+ * is one. A stream already being sampled (reconnected) keeps its history.
+ */
+export function trackViewers(uniqueId, viewerCount) {
+  const entry = viewersFor(uniqueId);
+  if (Number.isFinite(viewerCount)) setCount(entry, viewerCount);
+}
+
+/**
+ * Take the latest count (and gifter ranking) from a roomUser event
+ */
+export function recordViewers(uniqueId, { viewerCount, topViewers }) {
+  const entry = viewersFor(uniqueId);
+  if (Number.isFinite(viewerCount)) setCount(entry, viewerCount);
+
+  if (Array.isArray(topViewers) && topViewers.length > 0) {
+    entry.topGifters = topViewers
+      .filter(viewer => viewer.user)
+      .slice(0, TOP_GIFTERS)
+      .map((viewer, index) => ({
+        rank: index + 1,
+        userId: viewer.user.userId,
+        uniqueId: viewer.user.uniqueId,
+        nickname: viewer.user.nickname,
+        coins: viewer.coinCount || 0
+      }));
+  }
+}
+
+/**
+ * A stream's viewer stats so far (for /status), or null if it isn't sampled
+ */
+export function viewerStats(uniqueId) {
+  const entry = viewers.get(uniqueId);
+  if (!entry) return null;
+
+  return {
+    viewers: entry.viewers,
+    peak: entry.peak,
+    average: entry.samples > 0 ? Math.round(entry.sum / entry.samples) : null,
+    samples: entry.samples,
+    topGifters: entry.topGifters,
+    updatedAt: entry.updatedAt
+  };
+}
+
+/**
+ * Carry over peak and average from another instance (see handoff.js).
+ * Ignored if this stream is already sampled here.
+ */
+export function seedViewers(uniqueId, seed) {
+  if (viewers.has(uniqueId) || !seed) return;
+
+  const count = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+  const samples = count(seed.samples);
+  viewers.set(uniqueId, {
+    viewers: Number.isFinite(seed.viewers) ? seed.viewers : null,
+    peak: count(seed.peak),
+    sum: samples * count(seed.average),
+    samples,
+    topGifters: Array.isArray(seed.topGifters) ? seed.topGifters : [],
+    updatedAt: Number.isFinite(seed.updatedAt) ? seed.updatedAt : null
+  });
+}
+
+/**
+ * Stop sampling a stream
+ */
+export function clearViewers(uniqueId) {
+  viewers.delete(uniqueId);
+}
+
+/**
+ * Sample every stream every VIEWER_SAMPLE_INTERVAL_SECONDS.
+ * `onSample(uniqueId, sample)` is called once per stream with a known count.
+ */
+export function startViewerSampler(onSample) {
+  sampleTimer = setInterval(() => {
+    const sampledAt = Date.now();
+    for (const [uniqueId, entry] of viewers) {
+      if (entry.viewers === null) continue;
+      entry.sum += entry.viewers;
+      entry.samples++;
+      onSample(uniqueId, { ...viewerStats(uniqueId), sampledAt });
+    }
+  }, VIEWER_SAMPLE_INTERVAL_SECONDS * 1000);
+}
+
+export function stopViewerSampler() {
+  clearInterval(sampleTimer);
+  sampleTimer = null;
+}
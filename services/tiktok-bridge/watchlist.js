@@ -0,0 +1,155 @@
+/**
+ * Account Watchlist
+ *
+ * Polls watched TikTok accounts' room status every WATCH_POLL_INTERVAL_SECONDS
+ * with getRoomInfo (the same lookup /test-stream does) and hands accounts that
+ * have gone live to server.js, which emits `went_live` and connects. Accounts
+ * the bridge is already connected to aren't polled.
+ *
+ * The watchlist is saved in the state file (see state.js), so it survives
+ * restarts.
+ */
+
+import { WebcastPushConnection } from 'tiktok-live-connector';
+import { loadWatchlist, saveWatchlist } from './state.js';
+import { log } from './logger.js';
+
+const WATCH_POLL_INTERVAL_SECONDS = parseInt(process.env.WATCH_POLL_INTERVAL_SECONDS || '60', 10);
+
+// Pause between lookups within a poll, so a long watchlist doesn't burst requests at TikTok
+const WATCH_LOOKUP_SPACING_MS = 1000;
+
+// TikTok room status for a LIVE in progress (4 = ended)
+const ROOM_STATUS_LIVE = 2;
+
+// Watched accounts: Map<uniqueId, { uniqueId, addedBy, addedAt, live, lastCheckedAt, lastLiveAt, lastError }>
+const watched = new Map();
+
+let pollTimer = null;
+let polling = false;
+let hooks = null;
+
+function persist() {
+  saveWatchlist(Array.from(watched.values(), ({ uniqueId, addedBy, addedAt }) => ({ uniqueId, addedBy, addedAt })));
+}
+
+/**
+ * Look up an account's room. Resolves to `{ live, roomId, roomInfo }`; an
+ * account TikTok reports as offline (no room to look up) counts as not live
+ * rather than an error.
+ */
+async function fetchRoomStatus(uniqueId) {
+  const connection = new WebcastPushConnection(uniqueId, {
+    processInitialData: false,
+    enableExtendedGiftInfo: false,
+    enableWebsocketUpgrade: false
+  });
+
+  try {
+    const roomInfo = await connection.getRoomInfo();
+    return {
+      live: roomInfo?.status === ROOM_STATUS_LIVE,
+      roomId: roomInfo?.id_str || null,
+      roomInfo
+    };
+  } catch (err) {
+    if (/offline|LIVE has ended/i.test(err.message || '')) {
+      return { live: false, roomId: null, roomInfo: null };
+    }
+    throw err;
+  }
+}
+
+async function checkAccount(entry) {
+  const wasLive = entry.live;
+
+  try {
+    const { live, roomId, roomInfo } = await fetchRoomStatus(entry.uniqueId);
+    entry.live = live;
+    entry.lastError = null;
+
+    if (live) {
+      entry.lastLiveAt = Date.now();
+      // Unwatched while the lookup was in flight, or connected in the meantime
+      if (watched.get(entry.uniqueId) === entry && !hooks.isActive(entry.uniqueId)) {
+        log.info(wasLive ? 'Watched account is live' : 'Watched account went live', { uniqueId: entry.uniqueId, roomId });
+        await hooks.onLive(entry.uniqueId, { roomId, roomInfo, wasLive });
+      }
+    }
+  } catch (err) {
+    entry.lastError = err.message;
+    log.warn('Watch lookup failed', { uniqueId: entry.uniqueId, err });
+  } finally {
+    entry.lastCheckedAt = Date.now();
+  }
+}
+
+/**
+ * Check every watched account that isn't already connected
+ */
+async function poll() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    for (const entry of Array.from(watched.values())) {
+      if (!watched.has(entry.uniqueId) || hooks.isActive(entry.uniqueId)) continue;
+      await checkAccount(entry);
+      await new Promise(resolve => setTimeout(resolve, WATCH_LOOKUP_SPACING_MS));
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Load the saved watchlist and start polling.
+ *   isActive(uniqueId) - whether the bridge is connected (or connecting) already
+ *   onLive(uniqueId, { roomId, roomInfo, wasLive }) - a watched account is live
+ */
+export function startWatchlist({ isActive, onLive }) {
+  hooks = { isActive, onLive };
+
+  for (const entry of loadWatchlist()) {
+    watched.set(entry.uniqueId, { ...entry, live: null, lastCheckedAt: null, lastLiveAt: null, lastError: null });
+  }
+  log.info('Watchlist loaded', { accounts: watched.size, pollIntervalSeconds: WATCH_POLL_INTERVAL_SECONDS });
+
+  pollTimer = setInterval(poll, WATCH_POLL_INTERVAL_SECONDS * 1000);
+  poll();
+}
+
+export function stopWatchlist() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Add an account to the watchlist and check it right away.
+ * Returns false if it was already watched.
+ */
+export function watch(uniqueId, { addedBy, addedAt = Date.now() }) {
+  if (watched.has(uniqueId)) return false;
+
+  const entry = { uniqueId, addedBy, addedAt, live: null, lastCheckedAt: null, lastLiveAt: null, lastError: null };
+  watched.set(uniqueId, entry);
+  persist();
+
+  if (!hooks.isActive(uniqueId)) {
+    checkAccount(entry);
+  }
+  return true;
+}
+
+/**
+ * Remove an account from the watchlist. Returns false if it wasn't watched.
+ */
+export function unwatch(uniqueId) {
+  if (!watched.delete(uniqueId)) return false;
+  persist();
+  return true;
+}
+
+export function listWatches() {
+  return Array.from(watched.values(), entry => ({ ...entry }));
+}